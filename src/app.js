@@ -1,15 +1,31 @@
 import { join } from 'path'
 import fs from 'fs'
+import crypto from 'crypto'
 import { createBot, createProvider, createFlow } from '@builderbot/bot'
 import { MemoryDB as Database } from '@builderbot/bot'
 import { BaileysProvider as Provider } from '@builderbot/provider-baileys'
 import dotenv from 'dotenv'
 import { BlacklistService } from './services/database/blacklist.js'
 import { PortAssignmentService } from './services/database/port-assignment.js'
+import { ChatbotService } from './services/database/chatbots.js'
+import { ChatHistoryService } from './services/database/chat-history.js'
+import { HandoffService } from './services/database/handoff.js'
+import { OperatorChannel, getHandoffConfig } from './services/handoff/operator-channel.js'
+import { handoffIdleMonitor } from './services/handoff/idle-monitor.js'
 import { CONFIG } from './config/constants.js'
 import { memoryManager } from './utils/memory-manager.js'
 import { logger } from './utils/logger.js'
 import ConnectionManager from './services/connection-manager.js'
+import { messageBuffer } from './utils/message-buffer.js'
+import { isCaptureActive } from './flows/data-collection/capture-registry.js'
+import { DocumentContext } from './services/cache/document-context.js'
+import { FormSessionService } from './services/database/form-sessions.js'
+import { WebhookService } from './services/database/webhooks.js'
+import { webhookDispatcher } from './services/webhooks/dispatcher.js'
+import { ClientDataService } from './services/database/clients.js'
+import { FormFieldsService } from './services/database/form-fields.js'
+import { EXPORT_FORMATS, buildExportTable, toCsv, toXlsx } from './services/forms/client-data-export.js'
+import KnowledgeIngestion from './services/knowledge/ingestion.js'
 
 // Import router flow
 import { createRouterFlow } from './flows/router/index.js'
@@ -22,6 +38,86 @@ const PORT = process.env.PORT ?? 3019
 const processedMessages = new Set()
 const messageRateLimit = new Map()
 
+// Respuesta JSON para los endpoints HTTP
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    return res.end(JSON.stringify(body))
+}
+
+// Normalizar número recibido por API (solo dígitos)
+const normalizeNumber = (number) => String(number || '').replace(/\D/g, '')
+
+// Endpoints protegidos: header "X-API-Key: <API_KEY>" o "Authorization: Bearer <API_KEY>"
+const isAuthorized = (req) => {
+    if (!CONFIG.API.KEY) return false
+    const provided = req.headers['x-api-key'] || req.headers.authorization?.replace(/^Bearer\s+/i, '') || ''
+    const expected = Buffer.from(CONFIG.API.KEY)
+    const received = Buffer.from(String(provided))
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected)
+}
+
+// Fecha de un filtro (YYYY-MM-DD o ISO). El límite final de un día completo se incluye: to=2025-01-31 llega hasta el 1 de febrero
+const parseDateParam = (value, isEnd = false) => {
+    if (!value) return null
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) return undefined
+    if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1)
+    }
+    return date.toISOString()
+}
+
+// Cuerpo sin procesar (archivos); el parser del servidor ya consumió los application/json y
+// x-www-form-urlencoded, por eso el endpoint los rechaza antes de leer
+const PARSED_CONTENT_TYPES = ['application/json', 'application/x-www-form-urlencoded']
+
+const readRawBody = (req, maxSize, timeout) => new Promise((resolve, reject) => {
+    if (req.readableEnded) {
+        reject(Object.assign(new Error('Request body was already read'), { code: 'BODY_CONSUMED' }))
+        return
+    }
+
+    const chunks = []
+    let size = 0
+    // Un cliente que no termina de enviar no deja la petición abierta para siempre
+    const timer = setTimeout(() => {
+        reject(Object.assign(new Error(`File not received within ${timeout} ms`), { code: 'READ_TIMEOUT' }))
+    }, timeout)
+
+    req.on('data', (chunk) => {
+        size += chunk.length
+        // Se sigue leyendo sin guardar para poder responder el error
+        if (size > maxSize) {
+            chunks.length = 0
+            reject(Object.assign(new Error(`File exceeds ${maxSize} bytes`), { code: 'FILE_TOO_LARGE' }))
+            return
+        }
+        chunks.push(chunk)
+    })
+    req.on('end', () => {
+        clearTimeout(timer)
+        resolve(Buffer.concat(chunks))
+    })
+    req.on('error', (error) => {
+        clearTimeout(timer)
+        reject(error)
+    })
+})
+
+// Errores de ingesta que se deben al archivo y no al servidor
+const INGESTION_CLIENT_ERRORS = ['EMPTY_FILE', 'FILE_TOO_LARGE', 'NO_TEXT', 'UNSUPPORTED_TYPE', 'TOO_MANY_PAGES', 'BODY_CONSUMED']
+
+// Solo se agrupan mensajes de texto; audio y media se procesan por separado
+const isTextMessage = (ctx) => Boolean(ctx.message?.conversation || ctx.message?.extendedTextMessage)
+
+// Durante la captura de un formulario cada respuesta se maneja por separado
+const shouldBufferMessage = (ctx, phoneNumber) => {
+    return messageBuffer.isEnabled &&
+        Boolean(ctx.body) &&
+        isTextMessage(ctx) &&
+        !isCaptureActive(phoneNumber)
+}
+
 // Manejadores de memoria
 memoryManager.on('memory-warning', (usage) => {
     logger.warn('Uso de memoria alto:', usage)
@@ -31,6 +127,7 @@ memoryManager.on('memory-critical', (usage) => {
     logger.error('Uso de memoria crítico:', usage)
     processedMessages.clear()
     messageRateLimit.clear()
+    DocumentContext.clear()
 })
 
 const main = async () => {
@@ -95,6 +192,37 @@ const main = async () => {
         const connectionManager = new ConnectionManager(adapterProvider)
         await connectionManager.init()
 
+        // Responder al contacto cuando falla el procesamiento
+        const replyWithError = async (ctx, error) => {
+            logger.error('Error processing message:', error)
+            if (!error.message?.includes('Queue')) {
+                try {
+                    if (connectionManager.isConnected) {
+                        const to = ctx.from.includes('@s.whatsapp.net') ? 
+                            ctx.from : `${ctx.from}@s.whatsapp.net`
+                        await adapterProvider.sendMessage(to, { 
+                            text: 'Lo siento, ocurrió un error al procesar tu mensaje.' 
+                        })
+                    }
+                } catch (sendError) {
+                    logger.error('Error sending error message:', sendError)
+                }
+            }
+        }
+
+        // Entregar el mensaje al bot
+        const dispatchMessage = async (ctx) => {
+            try {
+                await handleMsg(ctx)
+            } catch (error) {
+                await replyWithError(ctx, error)
+            }
+        }
+
+        messageBuffer.on('merged', (phoneNumber, count) => {
+            logger.debug(`Mensajes agrupados para ${phoneNumber}:`, count)
+        })
+
         // Procesador de mensajes
         adapterProvider.on('message', async (ctx) => {
             try {
@@ -156,24 +284,22 @@ const main = async () => {
                     timestamp: now
                 })
 
+                // Agrupar mensajes seguidos del mismo contacto en uno solo
+                if (shouldBufferMessage(ctx, phoneNumber)) {
+                    messageBuffer.add(phoneNumber, ctx, dispatchMessage)
+                    return
+                }
+
+                // Entregar primero lo que estuviera pendiente para conservar el orden
+                if (messageBuffer.has(phoneNumber)) {
+                    await messageBuffer.flush(phoneNumber)
+                }
+
                 // Procesar mensaje
-                await handleMsg(ctx)
+                await dispatchMessage(ctx)
 
             } catch (error) {
-                logger.error('Error processing message:', error)
-                if (!error.message?.includes('Queue')) {
-                    try {
-                        if (connectionManager.isConnected) {
-                            const to = ctx.from.includes('@s.whatsapp.net') ? 
-                                ctx.from : `${ctx.from}@s.whatsapp.net`
-                            await adapterProvider.sendMessage(to, { 
-                                text: 'Lo siento, ocurrió un error al procesar tu mensaje.' 
-                            })
-                        }
-                    } catch (sendError) {
-                        logger.error('Error sending error message:', sendError)
-                    }
-                }
+                await replyWithError(ctx, error)
             }
         })
 
@@ -220,16 +346,324 @@ const main = async () => {
             }
         }))
 
+        // Handoff: sesiones atendidas por asesores humanos
+        adapterProvider.server.get('/v1/handoff', async (req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const sessions = await HandoffService.listActiveSessions(chatbot.id)
+                return sendJson(res, 200, { status: 'success', sessions })
+            } catch (error) {
+                logger.error('Error listando handoff:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        })
+
+        adapterProvider.server.post('/v1/handoff/takeover', async (req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+            const { agent } = req.body
+            const number = normalizeNumber(req.body.number)
+            if (!number) {
+                return sendJson(res, 400, { status: 'error', message: 'number es requerido' })
+            }
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const started = await HandoffService.startHandoff(chatbot.user_id, chatbot.id, number, {
+                    reason: 'agent',
+                    agent: agent ?? null
+                })
+                // Tomar una sesión existente (ej. pedida por el contacto) también cuenta como actividad del asesor
+                const session = await HandoffService.touchAgentActivity(started.id, agent ? { agent } : {})
+                await OperatorChannel.notify(chatbot, 'handoff.started', {
+                    session_id: session.id,
+                    phone_number: number,
+                    reason: 'agent',
+                    agent: agent ?? null
+                })
+                return sendJson(res, 200, { status: 'success', session })
+            } catch (error) {
+                logger.error('Error en handoff takeover:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        })
+
+        adapterProvider.server.post('/v1/handoff/reply', handleCtx(async (bot, req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+            if (!connectionManager.isConnected) {
+                return sendJson(res, 503, { error: 'Bot desconectado' })
+            }
+            const { message, urlMedia } = req.body
+            const number = normalizeNumber(req.body.number)
+            if (!number || !message) {
+                return sendJson(res, 400, { status: 'error', message: 'number y message son requeridos' })
+            }
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const session = await HandoffService.getActiveSession(chatbot.id, number)
+                if (!session) {
+                    return sendJson(res, 409, { status: 'error', message: 'No hay handoff activo para este número' })
+                }
+
+                await bot.sendMessage(number, message, { media: urlMedia ?? null })
+                await HandoffService.touchAgentActivity(session.id)
+                await ChatHistoryService.addEntry(
+                    chatbot.user_id,
+                    chatbot.id,
+                    number,
+                    '[asesor]',
+                    message
+                )
+                return sendJson(res, 200, { status: 'success', session_id: session.id })
+            } catch (error) {
+                logger.error('Error en handoff reply:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        }))
+
+        adapterProvider.server.post('/v1/handoff/release', handleCtx(async (bot, req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+            const number = normalizeNumber(req.body.number)
+            if (!number) {
+                return sendJson(res, 400, { status: 'error', message: 'number es requerido' })
+            }
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const session = await HandoffService.releaseHandoff(chatbot.id, number, 'agent')
+                if (!session) {
+                    return sendJson(res, 404, { status: 'error', message: 'No hay handoff activo para este número' })
+                }
+
+                if (connectionManager.isConnected) {
+                    await bot.sendMessage(number, getHandoffConfig(chatbot).releaseMessage, {})
+                }
+                await OperatorChannel.notify(chatbot, 'handoff.released', {
+                    session_id: session.id,
+                    phone_number: number,
+                    reason: 'agent'
+                })
+                return sendJson(res, 200, { status: 'success', session })
+            } catch (error) {
+                logger.error('Error en handoff release:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        }))
+
+        // Webhooks salientes: registro de entregas y reenvío
+        adapterProvider.server.get('/v1/webhooks/deliveries', async (req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const { status, limit } = req.query || {}
+                const deliveries = await WebhookService.listDeliveries(chatbot.id, {
+                    status: status || null,
+                    limit: Math.min(Number(limit) || 50, 200)
+                })
+                return sendJson(res, 200, { status: 'success', deliveries })
+            } catch (error) {
+                logger.error('Error listando entregas de webhooks:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        })
+
+        adapterProvider.server.post('/v1/webhooks/replay', async (req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+            const { delivery_id } = req.body
+            if (!delivery_id) {
+                return sendJson(res, 400, { status: 'error', message: 'delivery_id es requerido' })
+            }
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const delivery = await webhookDispatcher.replay(chatbot.id, delivery_id)
+                if (!delivery) {
+                    return sendJson(res, 404, { status: 'error', message: 'Entrega no encontrada' })
+                }
+                return sendJson(res, 200, { status: 'success', delivery_id: delivery.id })
+            } catch (error) {
+                logger.error('Error reenviando webhook:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        })
+
+        // Exportar client_data del chatbot: ?format=csv|xlsx&form_type=cotizacion&from=2025-01-01&to=2025-01-31
+        adapterProvider.server.get('/v1/client-data/export', async (req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+
+            const { format = 'csv', form_type: formType = null, date_field: dateField = 'updated_at' } = req.query || {}
+            const from = parseDateParam(req.query?.from)
+            const to = parseDateParam(req.query?.to, true)
+            if (!EXPORT_FORMATS[format]) {
+                return sendJson(res, 400, { status: 'error', message: 'format debe ser csv o xlsx' })
+            }
+            if (!['updated_at', 'created_at'].includes(dateField)) {
+                return sendJson(res, 400, { status: 'error', message: 'date_field debe ser updated_at o created_at' })
+            }
+            if (from === undefined || to === undefined) {
+                return sendJson(res, 400, { status: 'error', message: 'from y to deben ser fechas YYYY-MM-DD' })
+            }
+
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const [records, fields] = await Promise.all([
+                    ClientDataService.getAllClientData(chatbot.id, { formType, from, to, dateField }),
+                    formType
+                        ? FormFieldsService.getFormFields(chatbot.id, formType)
+                        : FormFieldsService.getAllFormFields(chatbot.id)
+                ])
+
+                const table = buildExportTable(records, fields)
+                const file = format === 'xlsx' ? await toXlsx(table) : toCsv(table)
+                const { contentType, extension } = EXPORT_FORMATS[format]
+                const fileName = `clientes-${(formType || 'todos').replace(/[^\w-]/g, '_')}-${new Date().toISOString().slice(0, 10)}.${extension}`
+
+                logger.info(`Exportando ${records.length} registros de client_data (${format})`)
+                res.writeHead(200, {
+                    'Content-Type': contentType,
+                    'Content-Disposition': `attachment; filename="${fileName}"`
+                })
+                return res.end(file)
+            } catch (error) {
+                logger.error('Error exportando client_data:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        })
+
+        // Historial de un contacto, con las herramientas que usó la IA en cada turno: ?number=573001234567&limit=20
+        adapterProvider.server.get('/v1/chat-history', async (req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+
+            const number = normalizeNumber(req.query?.number)
+            if (!number) {
+                return sendJson(res, 400, { status: 'error', message: 'number es requerido' })
+            }
+            const limit = Math.min(Number(req.query?.limit) || CONFIG.MAX_CHAT_HISTORY, CONFIG.MAX_CHAT_HISTORY)
+
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const history = await ChatHistoryService.getRecentHistory(chatbot.id, number, limit)
+                return sendJson(res, 200, { status: 'success', number, history })
+            } catch (error) {
+                logger.error('Error obteniendo historial:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        })
+
+        // Base de conocimiento: archivos cargados
+        adapterProvider.server.get('/v1/knowledge', async (req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const sources = await KnowledgeIngestion.listSources(chatbot.id)
+                return sendJson(res, 200, { status: 'success', sources })
+            } catch (error) {
+                logger.error('Error listando conocimiento:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        })
+
+        // Cargar un archivo (cuerpo binario): ?file_name=catalogo.pdf&source=catalogo&category=productos
+        // Si el source ya existe sus fragmentos se reemplazan
+        adapterProvider.server.post('/v1/knowledge/ingest', async (req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+
+            const { file_name: fileName, source, category } = req.query || {}
+            if (!fileName) {
+                return sendJson(res, 400, { status: 'error', message: 'file_name es requerido' })
+            }
+
+            const mimetype = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+            if (PARSED_CONTENT_TYPES.includes(mimetype)) {
+                return sendJson(res, 415, {
+                    status: 'error',
+                    message: `Envía el archivo como cuerpo binario con su tipo (application/pdf, text/plain...), no ${mimetype}`
+                })
+            }
+
+            try {
+                const { MAX_FILE_SIZE, READ_TIMEOUT } = CONFIG.KNOWLEDGE_INGESTION
+                const buffer = await readRawBody(req, MAX_FILE_SIZE, READ_TIMEOUT)
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const result = await KnowledgeIngestion.ingestFile({
+                    userId: chatbot.user_id,
+                    chatbotId: chatbot.id,
+                    buffer,
+                    fileName,
+                    mimetype,
+                    source,
+                    category
+                })
+                return sendJson(res, 200, { status: 'success', ...result })
+            } catch (error) {
+                const status = error.code === 'READ_TIMEOUT'
+                    ? 408
+                    : INGESTION_CLIENT_ERRORS.includes(error.code) ? 400 : 500
+                logger.error('Error en ingesta de conocimiento:', error)
+                return sendJson(res, status, { status: 'error', code: error.code, message: error.message })
+            }
+        })
+
+        adapterProvider.server.post('/v1/knowledge/delete', async (req, res) => {
+            if (!isAuthorized(req)) {
+                return sendJson(res, 401, { status: 'error', message: 'API key inválida o no configurada' })
+            }
+
+            const { source } = req.body || {}
+            if (!source) {
+                return sendJson(res, 400, { status: 'error', message: 'source es requerido' })
+            }
+
+            try {
+                const chatbot = await ChatbotService.getActiveChatbotForPort()
+                const removed = await KnowledgeIngestion.deleteSource(chatbot.id, source)
+                return sendJson(res, 200, { status: 'success', source, removed })
+            } catch (error) {
+                logger.error('Error eliminando conocimiento:', error)
+                return sendJson(res, 500, { status: 'error', message: error.message })
+            }
+        })
+
         // Métricas endpoint
         adapterProvider.server.get('/v1/metrics', (req, res) => {
             const stats = {
                 memory: memoryManager.getStats(),
-                connection: connectionManager.getStatus()
+                connection: connectionManager.getStatus(),
+                messageBuffer: messageBuffer.getStats()
             }
             res.writeHead(200, { 'Content-Type': 'application/json' })
             return res.end(JSON.stringify(stats))
         })
 
+        // Limpiar periódicamente los formularios abandonados
+        setInterval(() => FormSessionService.cleanExpiredSessions(), 60 * 60 * 1000)
+
+        // Entregar los webhooks pendientes (también los que quedaron de antes del reinicio)
+        webhookDispatcher.start()
+
+        // Devolver al bot las sesiones de handoff cuyo asesor dejó de responder
+        handoffIdleMonitor.start({
+            sendMessage: (number, text) => adapterProvider.sendMessage(number, text, {}),
+            isConnected: () => connectionManager.isConnected
+        })
+
         // Iniciar servidor
         httpServer(+PORT)
         logger.info(`Server running on port ${PORT}`)
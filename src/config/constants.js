@@ -1,16 +1,142 @@
 export const CONFIG = {
     WELCOME_MESSAGE_EXPIRY: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
     DEFAULT_FLOW_PRIORITY: 0,
+    DEFAULT_FORM_TYPE: 'registration', // form_messages.message_type del formulario principal
     MAX_CHAT_HISTORY: 50, // Maximum number of messages to keep in chat history
+    // Valores por defecto de generación; cada chatbot los ajusta con chatbots.ai_settings
+    // El modelo por defecto depende del proveedor (AI_PROVIDERS.DEFAULT_MODELS)
     AI_CONFIG: {
-        MODEL: 'gpt-3.5-turbo',
-        MAX_TOKENS: 200,
+        MAX_TOKENS: 500,
+        AUDIO_MAX_TOKENS: 200, // Las respuestas de voz deben ser cortas
         TEMPERATURE: 0.5,
+        TOP_P: 0.9,
+        PRESENCE_PENALTY: 0.3,
+        FREQUENCY_PENALTY: 0.3,
         EMBEDDING_MODEL: 'text-embedding-ada-002'
     },
+    AI_PROVIDERS: {
+        DEFAULT: process.env.AI_PROVIDER || 'openai', // openai | anthropic | local | mock
+        // Debe mantenerse: los vectores guardados dependen del modelo. Con AI_PROVIDER=mock también es mock (sin red)
+        EMBEDDINGS: process.env.EMBEDDING_PROVIDER || (process.env.AI_PROVIDER === 'mock' ? 'mock' : 'openai'),
+        DEFAULT_MODELS: {
+            openai: 'gpt-4o',
+            anthropic: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+            local: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+            mock: 'mock'
+        },
+        LOCAL_BASE_URL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1', // Ollama; llama.cpp usa :8080/v1
+        LOCAL_EMBEDDING_MODEL: process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+        ANTHROPIC_BASE_URL: 'https://api.anthropic.com/v1',
+        ANTHROPIC_VERSION: '2023-06-01',
+        TIMEOUT: 60000
+    },
+    KNOWLEDGE_RETRIEVAL: {
+        ENABLED: process.env.KNOWLEDGE_RETRIEVAL !== 'false',
+        TOP_K: 5,
+        THRESHOLD: 0.75, // Similitud mínima (coseno) de un fragmento con la pregunta
+        TOKEN_BUDGET: Number(process.env.KNOWLEDGE_TOKEN_BUDGET) || 1500
+    },
+    AI_TOOLS: {
+        ENABLED: process.env.AI_TOOLS !== 'false',
+        MAX_ROUNDS: 3 // Rondas de llamadas a herramientas por mensaje antes de exigir una respuesta de texto
+    },
+    KNOWLEDGE_INGESTION: {
+        CHUNK_SIZE: 1200, // Caracteres por fragmento (~300 tokens)
+        CHUNK_OVERLAP: 200,
+        MAX_FILE_SIZE: 20 * 1024 * 1024, // 20MB
+        MAX_PAGES: 300,
+        READ_TIMEOUT: 30 * 1000, // milliseconds para recibir el archivo completo
+        DEFAULT_CATEGORY: 'general'
+    },
     RATE_LIMITS: {
         MAX_MESSAGES_PER_MINUTE: 60,
         COOLDOWN_PERIOD: 60 * 1000 // 1 minute in milliseconds
+    },
+    IMAGE_ANALYSIS: {
+        MODEL: 'gpt-4o', // Debe ser un modelo con visión
+        MAX_TOKENS: 300,
+        MAX_IMAGE_SIZE: 10 * 1024 * 1024, // 10MB
+        DETAIL: 'auto',
+        DEFAULT_PROMPT: 'El usuario envió esta imagen sin texto. Descríbela brevemente y responde según tu rol.'
+    },
+    TEMPLATES: {
+        LOCALE: 'es-CO',
+        TIMEZONE: process.env.BOT_TIMEZONE || 'America/Bogota'
+    },
+    DOCUMENTS: {
+        MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
+        MAX_PAGES: 20,
+        MAX_CHARS: 12000, // Texto máximo que se envía a la IA
+        CONTEXT_TTL: 30 * 60 * 1000, // 30 minutes in milliseconds
+        DEFAULT_QUESTION: 'Resume brevemente el documento que te envié.'
+    },
+    MEDIA_STORAGE: {
+        DRIVER: process.env.MEDIA_STORAGE_DRIVER || 'supabase', // supabase | local
+        BUCKET: process.env.MEDIA_STORAGE_BUCKET || 'form-uploads',
+        LOCAL_DIR: process.env.MEDIA_STORAGE_DIR || 'uploads',
+        MAX_FILE_SIZE: 10 * 1024 * 1024 // 10MB, cada campo puede bajarlo con validation_rules.max_size
+    },
+    MESSAGE_DEBOUNCE: {
+        QUIET_WINDOW: process.env.MESSAGE_DEBOUNCE_MS !== undefined
+            ? Number(process.env.MESSAGE_DEBOUNCE_MS)
+            : 3000, // milliseconds, 0 disables grouping
+        MAX_MESSAGES: 5
+    },
+    SEMANTIC_MATCH: {
+        THRESHOLD: Number(process.env.SEMANTIC_MATCH_THRESHOLD) || 0.82,
+        CANDIDATES: 5, // varios candidatos: el mejor puede no estar disponible (horario)
+        EMBEDDING_TTL: 60 * 1000 // milliseconds, el mismo mensaje reutiliza su embedding durante el turno
+    },
+    FORM_REVIEW: {
+        CONFIRM_WORDS: ['confirmar', 'confirmo', 'si', 'enviar', 'ok'],
+        EDIT_WORDS: ['editar', 'cambiar', 'corregir'],
+        TITLE: '📋 Revisa tus datos antes de enviarlos:',
+        INSTRUCTIONS: 'Responde *confirmar* para enviar, o *editar 2* / *cambiar email* para corregir un dato.',
+        NOT_UNDERSTOOD: 'No entendí tu respuesta.'
+    },
+    FORM_PREFILL: {
+        KEEP_WORDS: ['si', 'sigo', 'igual', 'mantener', 'ok'],
+        CHANGE_WORDS: ['no', 'cambiar', 'otro', 'otra'],
+        CURRENT_VALUE: 'Tenemos registrado: *{{value}}*.',
+        KEEP_HINT: 'Responde *sí* para mantenerlo o escribe el nuevo dato.'
+    },
+    FORM_EXTRACTION: {
+        MODEL: 'gpt-4o-mini',
+        MAX_TOKENS: 300,
+        MIN_WORDS: 4, // Respuestas más cortas se validan directamente, sin llamar a la IA
+        PROMPT: 'Extrae del mensaje del usuario los valores de los campos de un formulario. ' +
+            'Responde solo con un objeto JSON cuyas claves sean los nombres de campo y cuyos valores sean ' +
+            'el texto tal como lo escribió el usuario. Incluye solo los campos que aparezcan explícitamente; no inventes ni deduzcas datos.',
+        NOTED_MESSAGE: '📝 Anoté: {{fields}}'
+    },
+    FORM_SESSIONS: {
+        TTL: Number(process.env.FORM_SESSION_TTL) || 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+        RESUME_MESSAGE: 'Continuemos donde quedamos 👇'
+    },
+    FLOW_MENU: {
+        BACK_WORDS: ['0', 'volver', 'atras'],
+        NAVIGATION_TTL: 30 * 60 * 1000 // 30 minutes in milliseconds
+    },
+    HANDOFF: {
+        KEYWORDS: ['humano', 'asesor', 'agente'],
+        IDLE_TIMEOUT: Number(process.env.HANDOFF_IDLE_TIMEOUT) || 30 * 60 * 1000, // 30 minutes in milliseconds
+        IDLE_CHECK_INTERVAL: 60 * 1000, // Revisión de sesiones sin actividad del asesor
+        WEBHOOK_URL: process.env.HANDOFF_WEBHOOK_URL || null,
+        AI_ESCALATION: true,
+        START_MESSAGE: 'Te estoy comunicando con un asesor humano, en breve te atenderá. 🙋',
+        RELEASE_MESSAGE: 'El asesor finalizó la conversación. Puedes seguir escribiéndome cuando quieras. 🤖'
+    },
+    API: {
+        KEY: process.env.API_KEY || null // Requerida para los endpoints con datos de clientes
+    },
+    WEBHOOKS: {
+        SIGNATURE_HEADER: 'X-Webhook-Signature',
+        TIMEOUT: 10000,
+        MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+        BASE_DELAY: 30 * 1000, // 30 seconds, se duplica en cada intento
+        MAX_DELAY: 60 * 60 * 1000, // 1 hour
+        POLL_INTERVAL: 15 * 1000, // 15 seconds
+        BATCH_SIZE: 20
     }
 }
 
@@ -28,7 +154,14 @@ export const TABLES = {
     CLIENT_DATA: 'client_data',
     BEHAVIOR_PROMPTS: 'behavior_prompts',
     KNOWLEDGE_PROMPTS: 'knowledge_prompts',
-    CHAT_HISTORY: 'chat_history'
+    CHAT_HISTORY: 'chat_history',
+    HANDOFF_SESSIONS: 'handoff_sessions',
+    BUSINESS_HOURS: 'business_hours',
+    OUT_OF_OFFICE_TRACKING: 'out_of_office_tracking',
+    FLOW_NAVIGATION: 'flow_navigation',
+    FORM_SESSIONS: 'form_sessions',
+    WEBHOOK_ENDPOINTS: 'webhook_endpoints',
+    WEBHOOK_DELIVERIES: 'webhook_deliveries'
 }
 
 export const ERROR_MESSAGES = {
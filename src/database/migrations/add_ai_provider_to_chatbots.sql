@@ -0,0 +1,7 @@
+-- Proveedor de IA por chatbot: openai, anthropic, local (Ollama / llama.cpp) o mock
+-- NULL usa el proveedor por defecto del servidor (AI_PROVIDER)
+ALTER TABLE chatbots
+ADD COLUMN IF NOT EXISTS ai_provider TEXT
+    CHECK (ai_provider IN ('openai', 'anthropic', 'local', 'mock'));
+
+COMMENT ON COLUMN chatbots.ai_provider IS 'Proveedor de modelos de lenguaje del chatbot; NULL usa AI_PROVIDER';
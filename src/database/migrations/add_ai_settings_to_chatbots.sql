@@ -0,0 +1,9 @@
+-- Modelo y parámetros de generación por chatbot y por canal
+-- Formato: { "model": "gpt-4o-mini", "temperature": 0.6, "max_tokens": 600, "top_p": 0.9,
+--            "presence_penalty": 0.3, "frequency_penalty": 0.3, "system_preamble": "...",
+--            "audio": { "max_tokens": 200 }, "text": { "temperature": 0.7 } }
+-- Las claves omitidas usan CONFIG.AI_CONFIG; el modelo omitido usa el del proveedor.
+ALTER TABLE chatbots
+ADD COLUMN IF NOT EXISTS ai_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN chatbots.ai_settings IS 'Parámetros de generación de IA; validar con ChatbotService.updateAISettings';
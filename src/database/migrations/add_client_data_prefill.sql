@@ -0,0 +1,29 @@
+-- Contactos recurrentes: el formulario actualiza su registro de client_data en lugar de duplicarlo
+--   prefill_mode: qué hacer con un campo que ya conocemos del contacto
+--     confirm: se ofrece el valor actual como predeterminado (por defecto)
+--     skip:    se toma el valor actual sin preguntar (se puede corregir en la revisión)
+--     ask:     se pregunta siempre
+--   prefill_question: pregunta alternativa cuando hay valor conocido, ej. '¿Sigues viviendo en {{value}}?'
+ALTER TABLE form_fields
+ADD COLUMN IF NOT EXISTS prefill_mode TEXT NOT NULL DEFAULT 'confirm'
+    CHECK (prefill_mode IN ('confirm', 'skip', 'ask')),
+ADD COLUMN IF NOT EXISTS prefill_question TEXT;
+
+-- Historial de cambios: [{ "changed_at": "...", "changes": { "ciudad": { "from": "Bogotá", "to": "Cali" } } }]
+ALTER TABLE client_data
+ADD COLUMN IF NOT EXISTS change_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- Los registros anteriores a la columna quedan con la fecha de la migración; sin cambios, su última actualización es la creación
+UPDATE client_data
+SET updated_at = created_at
+WHERE change_history = '[]'::jsonb AND updated_at > created_at;
+
+CREATE INDEX IF NOT EXISTS idx_client_data_phone
+ON client_data(chatbot_id, phone_number, form_type, created_at DESC);
+
+-- La exportación filtra por fecha de última actualización
+CREATE INDEX IF NOT EXISTS idx_client_data_updated
+ON client_data(chatbot_id, updated_at DESC);
+
+COMMENT ON COLUMN client_data.change_history IS 'Cambios de form_data cada vez que el contacto vuelve a enviar el formulario';
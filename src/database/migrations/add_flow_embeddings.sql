@@ -0,0 +1,8 @@
+-- Coincidencia semántica de bot_flows
+-- El embedding se genera a partir de keyword, option_label y example_phrases.
+-- La función match_bot_flows está definida en src/scripts/setup-supabase.sql
+ALTER TABLE bot_flows
+ADD COLUMN IF NOT EXISTS example_phrases TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS embedding vector(1536);
+
+COMMENT ON COLUMN bot_flows.example_phrases IS 'Frases de ejemplo que deben activar el flujo (ej. "cuánto cuesta" para el flujo "precio")';
@@ -0,0 +1,12 @@
+-- Estrategia de coincidencia de keywords por flujo
+--   exact:       el mensaje completo es igual a la keyword (comportamiento anterior)
+--   starts_with: el mensaje empieza con la keyword
+--   contains:    la keyword aparece como palabra(s) completa(s) dentro del mensaje
+--   regex:       la keyword es una expresión regular (sin distinguir mayúsculas)
+--   fuzzy:       tolera errores de escritura hasta match_threshold ediciones
+ALTER TABLE bot_flows
+ADD COLUMN IF NOT EXISTS match_mode TEXT NOT NULL DEFAULT 'exact'
+    CHECK (match_mode IN ('exact', 'starts_with', 'contains', 'regex', 'fuzzy')),
+ADD COLUMN IF NOT EXISTS match_threshold INTEGER CHECK (match_threshold IS NULL OR match_threshold >= 0);
+
+COMMENT ON COLUMN bot_flows.match_threshold IS 'Distancia de edición máxima en modo fuzzy (por defecto 1 para keywords de hasta 4 letras, 2 para las demás)';
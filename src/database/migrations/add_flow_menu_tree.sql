@@ -0,0 +1,26 @@
+-- Menús de varios niveles en bot_flows: cada flujo puede tener opciones hijas
+ALTER TABLE bot_flows
+ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES bot_flows(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS option_label TEXT,
+ADD COLUMN IF NOT EXISTS order_index INTEGER NOT NULL DEFAULT 0;
+
+-- Los flujos hijos pueden no tener keywords propias
+ALTER TABLE bot_flows ALTER COLUMN keyword SET DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_bot_flows_parent ON bot_flows(parent_id, order_index);
+
+-- Posición de cada contacto dentro del árbol de menús (sobrevive reinicios)
+CREATE TABLE IF NOT EXISTS flow_navigation (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chatbot_id UUID NOT NULL REFERENCES chatbots(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    phone_number TEXT NOT NULL,
+    current_flow_id UUID NOT NULL REFERENCES bot_flows(id) ON DELETE CASCADE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE (chatbot_id, phone_number)
+);
+
+COMMENT ON COLUMN bot_flows.parent_id IS 'Flujo padre; los hijos se presentan como opciones numeradas de su padre';
+COMMENT ON COLUMN bot_flows.option_label IS 'Texto de la opción en el menú del padre (por defecto la primera keyword)';
+COMMENT ON TABLE flow_navigation IS 'Nodo del menú en el que se encuentra cada contacto';
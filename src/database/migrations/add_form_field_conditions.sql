@@ -0,0 +1,13 @@
+-- Condiciones entre campos del formulario
+--   show_if: el campo solo se pregunta si se cumplen las condiciones sobre respuestas anteriores
+--   match:   'all' (todas) o 'any' (cualquiera) de las condiciones de show_if
+--   next:    reglas de salto al siguiente campo; la primera que se cumpla define el campo destino
+-- Ejemplo:
+-- {
+--   "show_if": [{ "field": "tipo_cliente", "operator": "equals", "value": "empresa" }],
+--   "next": [{ "field": "tipo_cliente", "operator": "equals", "value": "persona", "goto": "email" }]
+-- }
+ALTER TABLE form_fields
+ADD COLUMN IF NOT EXISTS conditions JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN form_fields.conditions IS 'Condiciones show_if/match/next que deciden si el campo se pregunta y a cuál se salta después (goto "__end__" termina el formulario)';
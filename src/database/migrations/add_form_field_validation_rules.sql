@@ -0,0 +1,14 @@
+-- Validación configurable por campo del formulario
+--   validation_type: text, name, email, phone, number, date, regex, choice, url, cedula, nit
+--   validation_rules: parámetros del tipo, ej.
+--     number: { "min": 18, "max": 99, "integer": true }
+--     date:   { "locale": "es-CO", "formats": ["DD/MM/YYYY"], "min": "2020-01-01", "max": "today" }
+--     regex:  { "pattern": "^[a-z]{3}\\d{3}$", "flags": "i" }
+--     choice: { "options": ["Persona", "Empresa"] }
+--     cualquier tipo: { "min_length": 3, "max_length": 100 }
+--   error_message: reemplaza el mensaje de error por defecto del tipo
+--   hint_text: ayuda que se muestra junto al error antes de repetir la pregunta
+ALTER TABLE form_fields
+ADD COLUMN IF NOT EXISTS validation_rules JSONB NOT NULL DEFAULT '{}'::jsonb,
+ADD COLUMN IF NOT EXISTS error_message TEXT,
+ADD COLUMN IF NOT EXISTS hint_text TEXT;
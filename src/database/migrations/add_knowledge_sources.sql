@@ -0,0 +1,15 @@
+-- Ingesta de archivos en la base de conocimiento
+-- Cada archivo se guarda como varios fragmentos de knowledge_prompts con el mismo source,
+-- así volver a cargarlo reemplaza sus fragmentos y se puede borrar por source.
+ALTER TABLE knowledge_prompts
+ADD COLUMN IF NOT EXISTS source TEXT,
+ADD COLUMN IF NOT EXISTS chunk_index INTEGER,
+ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_prompts_source
+ON knowledge_prompts(chatbot_id, source)
+WHERE source IS NOT NULL;
+
+COMMENT ON COLUMN knowledge_prompts.source IS 'Archivo de origen (ej. "catalogo-2025.pdf"); NULL para prompts escritos a mano';
+COMMENT ON COLUMN knowledge_prompts.chunk_index IS 'Posición del fragmento dentro del archivo';
+COMMENT ON COLUMN knowledge_prompts.metadata IS 'Datos del archivo: { file_name, type, pages, chunks, ingested_at }';
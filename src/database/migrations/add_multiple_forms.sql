@@ -0,0 +1,24 @@
+-- Varios formularios por chatbot (registro, cotización, queja...)
+-- form_messages.message_type identifica el formulario; sus campos y registros lo referencian con form_type.
+-- message_content admite además "destination": { "webhook_url": "...", "secret": "..." }; la URL se registra en webhook_endpoints para recibir cada registro.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_form_messages_chatbot_type
+ON form_messages(chatbot_id, message_type);
+
+ALTER TABLE form_fields
+ADD COLUMN IF NOT EXISTS form_type TEXT NOT NULL DEFAULT 'registration';
+
+-- Un mismo field_name puede repetirse en formularios distintos
+ALTER TABLE form_fields DROP CONSTRAINT IF EXISTS form_fields_chatbot_id_field_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_form_fields_chatbot_form_field
+ON form_fields(chatbot_id, form_type, field_name);
+
+ALTER TABLE client_data
+ADD COLUMN IF NOT EXISTS form_type TEXT NOT NULL DEFAULT 'registration';
+
+CREATE INDEX IF NOT EXISTS idx_client_data_form_type ON client_data(chatbot_id, form_type);
+
+ALTER TABLE form_sessions
+ADD COLUMN IF NOT EXISTS form_type TEXT NOT NULL DEFAULT 'registration';
+
+COMMENT ON COLUMN form_fields.form_type IS 'Formulario al que pertenece el campo (form_messages.message_type)';
+COMMENT ON COLUMN client_data.form_type IS 'Formulario que generó el registro';
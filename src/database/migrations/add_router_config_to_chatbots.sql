@@ -0,0 +1,7 @@
+-- Configuración del pipeline de handlers del router por chatbot
+-- Formato: { "handlers": { "<nombre>": { "enabled": true, "order": 10 } } }
+--   "after_hours": { "all_flows": true } mantiene todos los flujos y menús activos fuera de horario
+ALTER TABLE chatbots
+ADD COLUMN IF NOT EXISTS router_config JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN chatbots.router_config IS 'Permite activar, desactivar y reordenar los handlers del router (blacklist, welcome, dynamic, data-collection, audio, ai)';
@@ -0,0 +1,6 @@
+-- Herramientas que usó la IA en cada turno (iniciar formulario, enviar material, pedir asesor...)
+-- Formato: [{ "name": "start_form", "arguments": {...}, "output": {...}, "reply": "...", "called_at": "..." }]
+ALTER TABLE chat_history
+ADD COLUMN IF NOT EXISTS tool_calls JSONB;
+
+COMMENT ON COLUMN chat_history.tool_calls IS 'Llamadas a herramientas de la IA en este turno; NULL si respondió solo con texto';
@@ -0,0 +1,43 @@
+-- Horario de atención por chatbot
+-- weekly_schedule: { "mon": [{ "start": "08:00", "end": "18:00" }], "sat": [{ "start": "09:00", "end": "13:00" }], ... }
+-- Días: mon, tue, wed, thu, fri, sat, sun. Un día sin rangos se considera cerrado.
+CREATE TABLE IF NOT EXISTS business_hours (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chatbot_id UUID NOT NULL UNIQUE REFERENCES chatbots(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    timezone TEXT NOT NULL DEFAULT 'America/Bogota',
+    weekly_schedule JSONB NOT NULL DEFAULT '{}'::jsonb,
+    holidays DATE[] NOT NULL DEFAULT '{}',
+    out_of_office_message TEXT NOT NULL,
+    media_url TEXT,
+    message_interval_minutes INTEGER NOT NULL DEFAULT 720,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_business_hours_chatbot_active ON business_hours(chatbot_id, is_active);
+
+CREATE TRIGGER update_business_hours_updated_at
+    BEFORE UPDATE ON business_hours
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Control de envíos del mensaje fuera de horario (mismo esquema que welcome_tracking)
+CREATE TABLE IF NOT EXISTS out_of_office_tracking (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    business_hours_id UUID NOT NULL REFERENCES business_hours(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    phone_number TEXT NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_out_of_office_tracking_lookup
+ON out_of_office_tracking(business_hours_id, phone_number, expires_at);
+
+-- Flujos que siguen respondiendo fuera del horario de atención
+ALTER TABLE bot_flows
+ADD COLUMN IF NOT EXISTS active_after_hours BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON TABLE business_hours IS 'Horario semanal, festivos y mensaje fuera de horario por chatbot';
+COMMENT ON COLUMN bot_flows.active_after_hours IS 'Si es true el flujo responde aunque el chatbot esté fuera de horario';
@@ -0,0 +1,18 @@
+-- Progreso de formularios en curso, para retomarlos tras un reinicio o despliegue
+CREATE TABLE IF NOT EXISTS form_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chatbot_id UUID NOT NULL REFERENCES chatbots(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    phone_number TEXT NOT NULL,
+    current_field TEXT NOT NULL,
+    answers JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE (chatbot_id, phone_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_form_sessions_expires ON form_sessions(expires_at);
+
+COMMENT ON TABLE form_sessions IS 'Formulario en curso de cada contacto; se elimina al completar o cancelar y expira si se abandona';
+COMMENT ON COLUMN form_sessions.current_field IS 'field_name del campo pendiente de respuesta';
@@ -0,0 +1,7 @@
+-- Campos de archivo en formularios (validation_type = 'media')
+--   validation_rules: { "kinds": ["image", "document", "audio"], "mime_types": ["image/*", "application/pdf"], "max_size": 5242880 }
+-- Los archivos se guardan en este bucket privado (MEDIA_STORAGE_DRIVER=supabase) con la ruta
+-- <chatbot_id>/<teléfono>/<field_name>_<timestamp>.<ext>; client_data.form_data solo guarda la referencia.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('form-uploads', 'form-uploads', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,38 @@
+-- Sesiones de atención humana (handoff) por contacto
+CREATE TABLE IF NOT EXISTS handoff_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chatbot_id UUID NOT NULL REFERENCES chatbots(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    phone_number TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'released')),
+    reason TEXT,
+    agent TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    released_at TIMESTAMP WITH TIME ZONE,
+    released_by TEXT
+);
+
+-- Solo puede haber una sesión activa por contacto y chatbot
+CREATE UNIQUE INDEX IF NOT EXISTS idx_handoff_sessions_active
+ON handoff_sessions(chatbot_id, phone_number)
+WHERE status = 'active';
+
+-- Última actividad del asesor (toma de control o respuesta); el tiempo de inactividad se mide desde aquí,
+-- no desde los mensajes del contacto
+ALTER TABLE handoff_sessions
+ADD COLUMN IF NOT EXISTS agent_activity_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_handoff_sessions_activity
+ON handoff_sessions(status, last_activity_at);
+
+CREATE INDEX IF NOT EXISTS idx_handoff_sessions_agent_activity
+ON handoff_sessions(status, agent_activity_at);
+
+-- Configuración de handoff por chatbot
+-- Formato: { "keywords": ["humano"], "webhook_url": "...", "idle_timeout": 1800000, "ai_escalation": true,
+--            "start_message": "...", "release_message": "..." }
+ALTER TABLE chatbots
+ADD COLUMN IF NOT EXISTS handoff_config JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON TABLE handoff_sessions IS 'Contactos atendidos por un asesor humano; el bot no responde mientras la sesión está activa';
@@ -176,7 +176,8 @@ export const createAIChatFlow = (adapterProvider) => {
                     behaviorPrompt.prompt_text,
                     knowledgePrompts?.map(p => p.prompt_text).join('\n\n') || '',
                     isAudioMessage,
-                    chatbot.id // Pasar chatbot.id para el caché
+                    chatbot.id, // Pasar chatbot.id para el caché
+                    { chatbot }
                 )
 
                 console.log('🤖 IA: Respuesta generada:', aiResponse?.substring(0, 50) + '...')
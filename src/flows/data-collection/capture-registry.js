@@ -0,0 +1,36 @@
+import { CONFIG } from '../../config/constants.js'
+
+/**
+ * Registro en memoria de los contactos que están respondiendo un formulario.
+ * Permite que el procesador de mensajes (app.js) sepa que cada respuesta
+ * debe manejarse por separado, sin agruparla con otras.
+ * Cada marca vence con la sesión del formulario (FORM_SESSIONS.TTL desde la última respuesta guardada),
+ * así un formulario abandonado no deja al contacto fuera de la agrupación para siempre.
+ */
+const activeCaptures = new Map()
+
+const removeExpired = (now) => {
+    for (const [phoneNumber, expiresAt] of activeCaptures) {
+        if (expiresAt <= now) activeCaptures.delete(phoneNumber)
+    }
+}
+
+export const markCaptureActive = (phoneNumber) => {
+    const now = Date.now()
+    removeExpired(now)
+    activeCaptures.set(phoneNumber, now + CONFIG.FORM_SESSIONS.TTL)
+}
+
+export const clearCaptureActive = (phoneNumber) => {
+    activeCaptures.delete(phoneNumber)
+}
+
+export const isCaptureActive = (phoneNumber) => {
+    const expiresAt = activeCaptures.get(phoneNumber)
+    if (expiresAt === undefined) return false
+    if (expiresAt <= Date.now()) {
+        activeCaptures.delete(phoneNumber)
+        return false
+    }
+    return true
+}
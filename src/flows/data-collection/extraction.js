@@ -0,0 +1,71 @@
+import { CONFIG } from '../../config/constants.js'
+import { OpenAIService } from '../../services/ai/openai.js'
+import { FormFieldsService } from '../../services/database/form-fields.js'
+import { renderTemplate } from '../../utils/template.js'
+import { getFirstFieldIndex, getNextFieldIndex } from '../../utils/form-branching.js'
+import { isMediaField } from './media-field.js'
+
+/**
+ * Campos que la respuesta puede llenar: el que se está preguntando y los pendientes del recorrido
+ * con las respuestas actuales. Los ocultos por show_if o saltados por next no se ofrecen a la IA,
+ * ni los de archivo.
+ */
+const getExtractableFields = ({ fields, answers, currentField }) => {
+    const extractable = []
+    let index = getFirstFieldIndex(fields, answers)
+
+    while (index !== -1) {
+        const field = fields[index]
+        if (!isMediaField(field) && (index === currentField || !(field.field_name in answers))) {
+            extractable.push(field)
+        }
+        index = getNextFieldIndex(fields, index, answers)
+    }
+
+    return extractable
+}
+
+/**
+ * Extracción con IA (opcional por formulario con "ai_extraction": true en message_content):
+ * una respuesta como "soy Juan, 34 años, de Medellín" llena varios campos a la vez.
+ * Cada valor extraído pasa por la validación de su campo; los inválidos se preguntan después.
+ * @param {string} input - Respuesta del contacto
+ * @param {Object} currentState - Estado de captura; se actualizan sus answers
+ * @param {Object} chatbot - Chatbot activo (define el proveedor de IA)
+ * @returns {Promise<Array>} Campos llenados (vacío si no aplica o no se extrajo nada)
+ */
+export const extractFormAnswers = async (input, currentState, chatbot) => {
+    if (!currentState.messages?.ai_extraction) return []
+    if (input.split(/\s+/).length < CONFIG.FORM_EXTRACTION.MIN_WORDS) return []
+
+    const candidates = getExtractableFields(currentState)
+    const extracted = await OpenAIService.extractFormFields(input, candidates, { chatbot })
+
+    const filled = []
+    for (const field of candidates) {
+        if (!(field.field_name in extracted)) continue
+
+        const validation = FormFieldsService.validateField(String(extracted[field.field_name]).trim(), field)
+        if (!validation.isValid) {
+            console.log('⚠️ Valor extraído no válido para', field.field_name)
+            continue
+        }
+
+        currentState.answers[field.field_name] = validation.value
+        filled.push(field)
+    }
+
+    if (filled.length > 0) {
+        console.log('🧠 Campos extraídos con IA:', filled.map(field => field.field_name))
+    }
+    return filled
+}
+
+/**
+ * Mensaje con los datos que se tomaron de la respuesta
+ */
+export const buildExtractionNotice = (filled) => {
+    return renderTemplate(CONFIG.FORM_EXTRACTION.NOTED_MESSAGE, {
+        fields: filled.map(field => field.field_label).join(', ')
+    })
+}
@@ -5,11 +5,42 @@ import { FormFieldsService } from '../../services/database/form-fields.js'
 import { FormMessagesService } from '../../services/database/form-messages.js'
 import { ChatHistoryService } from '../../services/database/chat-history.js'
 import { normalizeText } from '../../utils/text-utils.js'
+import { validators } from '../../utils/validators.js'
+
+// Carga mensajes y campos de un formulario y los deja listos para la captura
+const buildFormConfig = async (chatbotId, formType, formMessages) => {
+    const formFields = await FormFieldsService.getFormFields(chatbotId, formType)
+
+    if (!formMessages?.trigger_words?.length || !formFields?.length) {
+        console.log('❌ Configuración incompleta del formulario:', formType)
+        return null
+    }
+
+    const fields = formFields.sort((a, b) => a.order_index - b.order_index)
+
+    // Las reglas inválidas se ignoran al recorrer el formulario, solo se avisa
+    const conditionsValidation = validators.validateFieldConditions(fields)
+    if (!conditionsValidation.isValid) {
+        console.warn('⚠️ Condiciones de formulario inválidas:', conditionsValidation.errors)
+    }
+
+    // Retornar configuración procesada
+    return {
+        formType,
+        messages: formMessages,
+        fields,
+        trigger_words: formMessages.trigger_words.map(normalizeText)
+    }
+}
 
 /**
  * Retorna la configuración necesaria para el flujo de recolección de datos
+ * @param {Object} [options]
+ * @param {string} [options.formType] - Formulario a cargar (ej. al retomar una sesión)
+ * @param {string} [options.message] - Mensaje del usuario; se elige el formulario cuyo trigger coincide
+ * @returns {Promise<Object|null>} Configuración del formulario o null si no aplica ninguno
  */
-export const getDataCollectionConfig = async () => {
+export const getDataCollectionConfig = async ({ formType, message } = {}) => {
     try {
         const chatbot = await ChatbotService.getActiveChatbotForPort()
         if (!chatbot) {
@@ -17,23 +48,23 @@ export const getDataCollectionConfig = async () => {
             return null
         }
 
-        // Obtener configuración del formulario
-        const [formMessages, formFields] = await Promise.all([
-            FormMessagesService.getFormMessages(chatbot.id),
-            FormFieldsService.getFormFields(chatbot.id)
-        ])
+        if (formType) {
+            const formMessages = await FormMessagesService.getFormMessages(chatbot.id, formType)
+            return await buildFormConfig(chatbot.id, formType, formMessages)
+        }
+
+        // Buscar el formulario cuyas trigger words coinciden con el mensaje
+        const normalizedMessage = normalizeText(message)
+        const forms = await FormMessagesService.listForms(chatbot.id)
+        const form = forms.find(({ message_content: content }) =>
+            content?.trigger_words?.some(word => normalizeText(word) === normalizedMessage)
+        )
 
-        if (!formMessages?.trigger_words?.length || !formFields?.length) {
-            console.log('❌ Configuración incompleta del formulario')
+        if (!form) {
             return null
         }
 
-        // Retornar configuración procesada
-        return {
-            messages: formMessages,
-            fields: formFields.sort((a, b) => a.order_index - b.order_index),
-            trigger_words: formMessages.trigger_words.map(normalizeText)
-        }
+        return await buildFormConfig(chatbot.id, form.message_type, form.message_content)
     } catch (error) {
         console.error('Error obteniendo configuración:', error)
         return null
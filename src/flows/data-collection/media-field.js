@@ -0,0 +1,88 @@
+import { downloadContentFromMessage } from '@whiskeysockets/baileys'
+import { CONFIG } from '../../config/constants.js'
+import DocumentReader from '../../services/documents/document-reader.js'
+import MediaStorage from '../../services/storage/media-storage.js'
+
+export const MEDIA_KINDS = ['image', 'document', 'audio']
+
+export const isMediaField = (field) => field?.validation_type === 'media'
+
+/**
+ * Archivo adjunto del mensaje: foto, documento o nota de voz
+ * @returns {{ kind: string, message: Object, mimetype: string, fileName: string|null, size: number }|null}
+ */
+export const getMediaAttachment = (ctx) => {
+    const imageMessage = ctx.message?.imageMessage
+    const documentMessage = DocumentReader.getDocumentMessage(ctx)
+    const audioMessage = ctx.message?.audioMessage || ctx.message?.pttMessage
+
+    const [kind, message] = (imageMessage && ['image', imageMessage]) ||
+        (documentMessage && ['document', documentMessage]) ||
+        (audioMessage && ['audio', audioMessage]) ||
+        []
+    if (!message) return null
+
+    return {
+        kind,
+        message,
+        mimetype: message.mimetype?.split(';')[0] || 'application/octet-stream',
+        fileName: message.fileName || null,
+        size: Number(message.fileLength) || 0
+    }
+}
+
+// Acepta tipos exactos (application/pdf) o comodines (image/*)
+const matchesMimeType = (mimetype, allowed) => {
+    return allowed.some(pattern => pattern.endsWith('/*')
+        ? mimetype.startsWith(pattern.slice(0, -1))
+        : mimetype === pattern)
+}
+
+const getMaxSize = (rules = {}) => Math.min(rules.max_size || Infinity, CONFIG.MEDIA_STORAGE.MAX_FILE_SIZE)
+
+/**
+ * Reglas del campo (validation_rules): kinds, mime_types y max_size en bytes
+ * @returns {string|null} Mensaje de error o null si el archivo es válido
+ */
+export const checkMediaRules = (attachment, rules = {}) => {
+    if (rules.kinds?.length && !rules.kinds.includes(attachment.kind)) {
+        return '❌ Este tipo de archivo no es válido para este dato.'
+    }
+    if (rules.mime_types?.length && !matchesMimeType(attachment.mimetype, rules.mime_types)) {
+        return '❌ El formato del archivo no es válido para este dato.'
+    }
+    const maxSize = getMaxSize(rules)
+    if (attachment.size > maxSize) {
+        return `❌ El archivo es muy pesado, el máximo es ${Math.floor(maxSize / (1024 * 1024))} MB.`
+    }
+    return null
+}
+
+/**
+ * Descarga el adjunto de WhatsApp y lo guarda en el almacenamiento configurado
+ * @returns {Promise<Object>} Referencia que se guarda como respuesta del campo
+ */
+export const storeMediaAnswer = async (attachment, field, { chatbotId, phoneNumber }) => {
+    const maxSize = getMaxSize(field.validation_rules)
+    const chunks = []
+    let size = 0
+
+    const stream = await downloadContentFromMessage(attachment.message, attachment.kind)
+    for await (const chunk of stream) {
+        size += chunk.length
+        // fileLength puede no venir en el mensaje: verificar también durante la descarga
+        if (size > maxSize) {
+            throw new Error('Media file too large')
+        }
+        chunks.push(chunk)
+    }
+
+    return MediaStorage.save(Buffer.concat(chunks), {
+        chatbotId,
+        phoneNumber,
+        fieldName: field.field_name,
+        kind: attachment.kind,
+        mimetype: attachment.mimetype,
+        fileName: attachment.fileName
+    })
+}
@@ -0,0 +1,89 @@
+import { CONFIG } from '../../config/constants.js'
+import { ClientDataService } from '../../services/database/clients.js'
+import { normalizeWords } from '../../utils/text-utils.js'
+import { renderTemplate } from '../../utils/template.js'
+import { formatAnswer } from './review.js'
+
+const PREFILL_MODES = {
+    CONFIRM: 'confirm',
+    SKIP: 'skip',
+    ASK: 'ask'
+}
+
+const hasValue = (value) => value !== undefined && value !== null && value !== ''
+
+/**
+ * Datos que ya tenemos del contacto para este formulario (último registro de client_data)
+ * Un error en la consulta no impide iniciar el formulario, solo se pregunta todo.
+ * @returns {Promise<Object>} form_data conocido o {}
+ */
+export const loadKnownClientData = async (chatbotId, phoneNumber, formType) => {
+    try {
+        const client = await ClientDataService.getClientByPhone(chatbotId, phoneNumber, formType)
+        return client?.form_data || {}
+    } catch (error) {
+        console.error('Error consultando datos previos del contacto:', error)
+        return {}
+    }
+}
+
+// Valor conocido del campo si debe ofrecerse como predeterminado
+const getDefaultValue = (field, known) => {
+    const mode = field.prefill_mode || PREFILL_MODES.CONFIRM
+    const value = known?.[field.field_name]
+    return mode === PREFILL_MODES.CONFIRM && hasValue(value) ? value : null
+}
+
+/**
+ * Respuestas que se toman directamente de los datos conocidos (prefill_mode = 'skip')
+ * @param {Array} fields - Campos del formulario
+ * @param {Object} known - form_data del registro existente
+ * @returns {Object} Respuestas iniciales
+ */
+export const getPrefilledAnswers = (fields, known) => {
+    return Object.fromEntries(
+        fields
+            .filter(field => field.prefill_mode === PREFILL_MODES.SKIP && hasValue(known[field.field_name]))
+            .map(field => [field.field_name, known[field.field_name]])
+    )
+}
+
+/**
+ * Pregunta del campo; si ya conocemos el dato se ofrece como predeterminado
+ * ("¿Sigues viviendo en {{value}}?" en prefill_question)
+ * @param {Object} field - Campo del formulario
+ * @param {Object} currentState - Estado de captura (known)
+ * @returns {string}
+ */
+export const getFieldPrompt = (field, { known } = {}) => {
+    const value = getDefaultValue(field, known)
+    if (value === null) return field.field_label
+
+    const variables = { value: formatAnswer(value) }
+    if (field.prefill_question) {
+        return `${renderTemplate(field.prefill_question, variables)}\n${CONFIG.FORM_PREFILL.KEEP_HINT}`
+    }
+    const current = renderTemplate(CONFIG.FORM_PREFILL.CURRENT_VALUE, variables)
+    return `${field.field_label}\n${current} ${CONFIG.FORM_PREFILL.KEEP_HINT}`
+}
+
+/**
+ * Interpreta la respuesta a un valor ofrecido como predeterminado
+ * @param {Object} field - Campo del formulario
+ * @param {string} input - Respuesta del contacto
+ * @param {Object} currentState - Estado de captura (known)
+ * @returns {{ action: 'keep', value: * } | { action: 'change' } | null} null si es una respuesta normal al campo
+ */
+export const parsePrefillAnswer = (field, input, { known } = {}) => {
+    const value = getDefaultValue(field, known)
+    if (value === null) return null
+
+    const normalizedInput = normalizeWords(input)
+    if (CONFIG.FORM_PREFILL.KEEP_WORDS.includes(normalizedInput)) {
+        return { action: 'keep', value }
+    }
+    if (CONFIG.FORM_PREFILL.CHANGE_WORDS.includes(normalizedInput)) {
+        return { action: 'change' }
+    }
+    return null
+}
@@ -0,0 +1,65 @@
+import { CONFIG } from '../../config/constants.js'
+import { normalizeText } from '../../utils/text-utils.js'
+import { getAnsweredPath } from '../../utils/form-branching.js'
+
+/**
+ * Texto de una respuesta para mostrarla al contacto; los archivos se muestran por su nombre
+ */
+export const formatAnswer = (value) => {
+    if (value?.type === 'media') return `📎 ${value.file_name}`
+    return String(value)
+}
+
+/**
+ * Resumen numerado de las respuestas para que el contacto las confirme o corrija
+ * @param {Object} currentState - Estado de captura (fields, answers, messages)
+ * @returns {string}
+ */
+export const buildReviewMessage = ({ fields, answers, messages }) => {
+    const lines = getAnsweredPath(fields, answers)
+        .map((field, index) => `${index + 1}. ${field.field_label}: ${formatAnswer(answers[field.field_name])}`)
+
+    return [
+        messages?.review_message || CONFIG.FORM_REVIEW.TITLE,
+        '',
+        ...lines,
+        '',
+        CONFIG.FORM_REVIEW.INSTRUCTIONS
+    ].join('\n')
+}
+
+// Busca el campo por número del resumen, field_name o etiqueta
+const findFieldToEdit = (answeredFields, target) => {
+    if (/^\d+$/.test(target)) {
+        return answeredFields[Number(target) - 1] || null
+    }
+
+    return answeredFields.find(field => normalizeText(field.field_name) === target) ||
+        answeredFields.find(field => normalizeText(field.field_label).includes(target)) ||
+        null
+}
+
+/**
+ * Interpreta la respuesta del contacto durante la revisión
+ * @param {string} input - Mensaje del contacto
+ * @param {Object} currentState - Estado de captura
+ * @returns {{ action: 'confirm' } | { action: 'edit', field: Object } | { action: 'unknown' }}
+ */
+export const parseReviewCommand = (input, { fields, answers }) => {
+    const normalizedInput = normalizeText(input)
+
+    if (CONFIG.FORM_REVIEW.CONFIRM_WORDS.includes(normalizedInput)) {
+        return { action: 'confirm' }
+    }
+
+    const [command, ...rest] = normalizedInput.split(' ')
+    const target = rest.join(' ').trim()
+    if (CONFIG.FORM_REVIEW.EDIT_WORDS.includes(command) && target) {
+        const field = findFieldToEdit(getAnsweredPath(fields, answers), target)
+        if (field) {
+            return { action: 'edit', field }
+        }
+    }
+
+    return { action: 'unknown' }
+}
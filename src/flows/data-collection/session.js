@@ -0,0 +1,68 @@
+import { FormSessionService } from '../../services/database/form-sessions.js'
+import { getDataCollectionConfig } from './index.js'
+import { clearCaptureActive, markCaptureActive } from './capture-registry.js'
+import { getPendingFieldIndex } from '../../utils/form-branching.js'
+import { loadKnownClientData } from './prefill.js'
+
+/**
+ * Guarda en Supabase el progreso del formulario para poder retomarlo tras un reinicio.
+ * Un error al guardar no interrumpe el formulario en curso.
+ */
+export const persistFormProgress = async (chatbot, phoneNumber, currentState) => {
+    // Cada respuesta guardada renueva la marca de captura, igual que la sesión
+    markCaptureActive(phoneNumber)
+    try {
+        await FormSessionService.saveProgress(chatbot.user_id, chatbot.id, phoneNumber, {
+            formType: currentState.formType,
+            currentField: currentState.fields[currentState.currentField].field_name,
+            answers: currentState.answers
+        })
+    } catch (error) {
+        console.error('Error guardando progreso del formulario:', error)
+    }
+}
+
+/**
+ * Termina la sesión del formulario (completado o cancelado)
+ */
+export const endFormSession = async (chatbotId, phoneNumber) => {
+    clearCaptureActive(phoneNumber)
+    try {
+        await FormSessionService.clearSession(chatbotId, phoneNumber)
+    } catch (error) {
+        console.error('Error eliminando sesión del formulario:', error)
+    }
+}
+
+/**
+ * Reconstruye el estado de captura a partir de la sesión guardada del contacto
+ * @returns {Promise<Object|null>} Estado para state.update o null si no hay sesión que retomar
+ */
+export const restoreFormSession = async (chatbotId, phoneNumber) => {
+    const session = await FormSessionService.getActiveSession(chatbotId, phoneNumber)
+    if (!session) return null
+
+    const config = await getDataCollectionConfig({ formType: session.form_type })
+    const currentField = config?.fields.findIndex(field => field.field_name === session.current_field) ?? -1
+
+    // El formulario cambió y el campo pendiente ya no existe
+    if (currentField === -1) {
+        console.log('⚠️ No se puede retomar el formulario, el campo ya no existe:', session.current_field)
+        await FormSessionService.clearSession(chatbotId, phoneNumber)
+        return null
+    }
+
+    const answers = session.answers || {}
+    const known = await loadKnownClientData(chatbotId, phoneNumber, config.formType)
+
+    return {
+        formType: config.formType,
+        currentField,
+        fields: config.fields,
+        answers,
+        known,
+        messages: config.messages,
+        // Sin campos pendientes el contacto estaba revisando sus datos
+        reviewing: getPendingFieldIndex(config.fields, answers) === -1
+    }
+}
@@ -7,6 +7,7 @@ import { OpenAIService } from '../../services/ai/openai.js'
 import { BlacklistService } from '../../services/database/blacklist.js'
 import { memoryManager } from '../../utils/memory-manager.js'
 import { ResponseCache } from '../../services/cache/response-cache.js'
+import { matchFlow, rankFlowMatches } from '../../utils/keyword-matcher.js'
 
 // Constantes para configuración
 const CONFIG = {
@@ -42,18 +43,14 @@ export const normalizeText = (text) => {
         .trim()
 }
 
-// Función para verificar coincidencia
-const checkKeywordMatch = (message, keywords) => {
-    if (!message || !keywords || !Array.isArray(keywords)) return false;
+// Función para verificar coincidencia según el match_mode del flujo
+const checkKeywordMatch = (message, flow) => {
+    if (!message || !flow?.keyword || !Array.isArray(flow.keyword)) return false;
     
     const normalizedMessage = normalizeText(message);
     if (!normalizedMessage) return false;
     
-    // Verificar coincidencia exacta después de normalización
-    return keywords.some(keyword => {
-        const normalizedKeyword = normalizeText(keyword);
-        return normalizedKeyword && normalizedKeyword === normalizedMessage;
-    });
+    return Boolean(matchFlow(flow, normalizedMessage));
 }
 
 // Función para verificar si es un archivo de audio
@@ -173,8 +170,11 @@ export const createDynamicFlows = async () => {
                     return endFlow()
                 }
 
-                // Buscar coincidencia
-                const matchingFlow = flows.find(flow => checkKeywordMatch(message, flow.keyword))
+                // Buscar coincidencia (la mejor si varias coinciden)
+                const matchingFlow = rankFlowMatches(
+                    flows.filter(flow => checkKeywordMatch(message, flow)),
+                    message
+                )[0]?.flow
                 
                 if (matchingFlow) {
                     console.log('✅ Coincidencia encontrada:', matchingFlow.id)
@@ -240,7 +240,8 @@ export const createDynamicFlows = async () => {
                                     behaviorPrompt?.prompt_text || '',
                                     knowledgePrompts?.map(p => p.prompt_text).join('\n\n') || '',
                                     false,
-                                    chatbot.id
+                                    chatbot.id,
+                                    { chatbot }
                                 )
                             })
 
@@ -0,0 +1,166 @@
+import { ChatHistoryService } from '../../../services/database/chat-history.js'
+import { PromptsService } from '../../../services/database/prompts.js'
+import { OpenAIService } from '../../../services/ai/openai.js'
+import TextToSpeechService from '../../../services/ai/text-to-speech.js'
+import { getHandoffConfig } from '../../../services/handoff/operator-channel.js'
+import { DocumentContext } from '../../../services/cache/document-context.js'
+import { retrieveKnowledge } from '../../../services/ai/knowledge-retrieval.js'
+import fs from 'fs'
+import { HANDLER_RESULT } from '../pipeline.js'
+import { requestHandoff } from './handoff.js'
+import { resolveTools, createToolExecutor } from '../tools/registry.js'
+
+// Marcador que la IA devuelve cuando el contacto necesita un asesor humano
+const HANDOFF_MARKER = '[HANDOFF]'
+const HANDOFF_INSTRUCTION = `Si el usuario pide explícitamente hablar con una persona, está muy molesto o tiene un problema que no puedes resolver, responde únicamente con ${HANDOFF_MARKER} y nada más.`
+
+/**
+ * Genera la respuesta con IA usando los prompts del chatbot
+ * @param {Object} [image] - Imagen recibida ({ buffer, mimetype, caption }) para analizar con visión
+ * @param {Object} [context] - Contexto del router (state, afterHours...); con él la IA puede usar herramientas
+ */
+export const handleAI = async (chatbot, phoneNumber, message, flowDynamic, isAudioMessage = false, image = null, context = null) => {
+    console.log('🤖 Procesando con IA:', message)
+
+    const [history, behaviorPrompt] = await Promise.all([
+        ChatHistoryService.getRecentHistory(chatbot.id, phoneNumber),
+        PromptsService.getActiveBehaviorPrompt(chatbot.id)
+    ])
+
+    // Verificar si hay prompt de comportamiento configurado
+    if (!behaviorPrompt) {
+        console.log('🤖 IA: No hay prompt de comportamiento - Finalizando sin respuesta')
+        return false
+    }
+
+    const messages = history.slice(-5).flatMap(entry => [
+        { role: 'user', content: entry.message },
+        { role: 'assistant', content: entry.response }
+    ])
+    // La imagen se agrega como último mensaje del usuario dentro del servicio de visión
+    if (!image) {
+        messages.push({ role: 'user', content: message })
+    }
+
+    // Solo el conocimiento relevante para la pregunta, dentro del presupuesto de tokens
+    const knowledge = await retrieveKnowledge(chatbot.id, message)
+
+    console.log('🤖 IA: Prompts obtenidos:', {
+        behavior: behaviorPrompt?.id,
+        knowledge: knowledge.source,
+        chunks: knowledge.chunks.map(chunk => chunk.id)
+    })
+
+    // Acciones disponibles para la IA (formularios, material de los flujos, asesor...).
+    // Las respuestas a imágenes no usan herramientas
+    const toolContext = { ...context, chatbot, phoneNumber, message, flowDynamic }
+    const tools = context && !image ? await resolveTools(toolContext) : []
+    const toolCalls = []
+
+    // Permitir que la IA escale la conversación a un asesor humano; con herramientas lo hace request_human
+    const { aiEscalation } = getHandoffConfig(chatbot)
+    const useHandoffMarker = aiEscalation && !tools.some(tool => tool.name === 'request_human')
+    const behaviorText = useHandoffMarker
+        ? `${behaviorPrompt.prompt_text}\n\n${HANDOFF_INSTRUCTION}`
+        : behaviorPrompt.prompt_text
+
+    // Incluir el último documento que envió el contacto, si sigue vigente
+    const documentPrompt = DocumentContext.toPrompt(chatbot.id, phoneNumber)
+    const knowledgeText = [knowledge.text, documentPrompt].filter(Boolean).join('\n\n')
+    const aiResponse = image
+        ? await OpenAIService.generateImageResponse(messages, image, behaviorText, knowledgeText, { chatbot })
+        : await OpenAIService.generateChatResponse(
+            messages,
+            behaviorText,
+            knowledgeText,
+            isAudioMessage,
+            // Las respuestas sobre un documento dependen de él, no se usan respuestas en caché
+            documentPrompt ? null : chatbot.id,
+            {
+                chatbot,
+                tools: tools.map(({ name, description, parameters }) => ({ name, description, parameters })),
+                executeTool: createToolExecutor(tools, toolContext, toolCalls)
+            }
+        )
+
+    if (useHandoffMarker && aiResponse?.includes(HANDOFF_MARKER)) {
+        console.log('🙋 IA: Escalando conversación a un asesor humano')
+        await requestHandoff({ chatbot, phoneNumber, message, flowDynamic }, 'ai')
+        return true
+    }
+
+    if (toolCalls.length > 0) {
+        console.log('🛠️ IA: Herramientas usadas en el turno:', toolCalls.map(call => call.name))
+    }
+
+    // Guardar en historial, con lo que enviaron las herramientas y las llamadas que se hicieron
+    const historyResponse = [...toolCalls.map(call => call.reply), aiResponse].filter(Boolean).join('\n\n')
+    await ChatHistoryService.addEntry(
+        chatbot.user_id,
+        chatbot.id,
+        phoneNumber,
+        message,
+        historyResponse,
+        toolCalls
+    )
+
+    // Una herramienta pudo haber respondido ya (formulario, asesor) y la IA no agrega texto
+    if (!aiResponse) {
+        console.log('✅ Turno resuelto con herramientas')
+        return true
+    }
+
+    // Enviar respuesta según el tipo de mensaje
+    if (isAudioMessage) {
+        try {
+            // Primero enviar la respuesta en texto
+            await flowDynamic(aiResponse)
+
+            console.log('🔊 Generando respuesta de audio...')
+            const audioPath = await TextToSpeechService.convertToSpeech(aiResponse)
+
+            // Luego enviar el mismo mensaje en audio
+            await flowDynamic([{
+                media: audioPath,
+                ptt: true,
+                type: 'audio'
+            }])
+
+            console.log('✅ Respuesta enviada en texto y audio')
+
+            // Limpiar archivo temporal inmediatamente después de enviarlo
+            if (fs.existsSync(audioPath)) {
+                await fs.promises.unlink(audioPath)
+                console.log('🧹 Archivo temporal eliminado')
+            }
+        } catch (audioError) {
+            console.error('❌ Error en proceso de audio:', audioError)
+            // Ya se envió el texto, no necesitamos fallback
+        }
+    } else {
+        // Solo texto para mensajes de texto
+        await flowDynamic(aiResponse)
+    }
+
+    console.log('✅ Respuesta IA enviada')
+    return true
+}
+
+/**
+ * Resultado del handler después de responder con IA: si una herramienta inició un formulario
+ * el flujo queda abierto para capturar las respuestas
+ */
+export const getResultAfterAI = (state) => (state?.getMyState()?.fields ? HANDLER_RESULT.CAPTURE : HANDLER_RESULT.DONE)
+
+export const aiHandler = {
+    name: 'ai',
+    order: 100,
+    async handle(context) {
+        const { chatbot, phoneNumber, message, flowDynamic, isAudioMessage, state } = context
+        const aiHandled = await handleAI(chatbot, phoneNumber, message, flowDynamic, isAudioMessage, null, context)
+        if (!aiHandled) {
+            console.log('🤖 IA: No hay configuración de IA - No se envía respuesta')
+        }
+        return getResultAfterAI(state)
+    }
+}
@@ -0,0 +1,30 @@
+import AudioTranscriber from '../../../services/ai/audio-transcriber.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+
+// Transcribe notas de voz y reemplaza el mensaje del contexto por la transcripción
+export const audioHandler = {
+    name: 'audio',
+    order: 50,
+    async handle(context) {
+        if (!context.isAudioMessage) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        try {
+            await context.flowDynamic('Procesando mensaje de voz...')
+            const transcription = await AudioTranscriber.transcribeAudio(context.ctx, null)
+
+            if (!transcription) {
+                throw new Error('No se pudo transcribir el audio')
+            }
+
+            context.message = transcription
+            console.log('🎤 Audio transcrito:', context.message)
+            return HANDLER_RESULT.NEXT
+        } catch (audioError) {
+            console.error('Error procesando audio:', audioError)
+            await context.flowDynamic('No pude procesar el mensaje de voz correctamente.')
+            return HANDLER_RESULT.DONE
+        }
+    }
+}
@@ -0,0 +1,16 @@
+import { BlacklistService } from '../../../services/database/blacklist.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+
+// Detiene el procesamiento si el número está en lista negra
+export const blacklistHandler = {
+    name: 'blacklist',
+    order: 10,
+    async handle({ chatbot, phoneNumber }) {
+        const isBlacklisted = await BlacklistService.isBlacklisted(chatbot.id, phoneNumber)
+        if (isBlacklisted) {
+            console.log('🚫 MENSAJE BLOQUEADO - Número en lista negra:', phoneNumber)
+            return HANDLER_RESULT.DONE
+        }
+        return HANDLER_RESULT.NEXT
+    }
+}
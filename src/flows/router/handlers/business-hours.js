@@ -0,0 +1,58 @@
+import { BusinessHoursService } from '../../../services/database/business-hours.js'
+import { ChatHistoryService } from '../../../services/database/chat-history.js'
+import { isWithinBusinessHours } from '../../../utils/schedule.js'
+import { HANDLER_RESULT, resolvePipeline } from '../pipeline.js'
+import { dynamicHandler } from './dynamic.js'
+
+// Fuera del horario de atención responde con el mensaje de ausencia en lugar de flujos e IA.
+// Los flujos marcados active_after_hours (keywords y opciones de sus menús) siguen respondiendo;
+// con router_config.after_hours.all_flows = true responden todos los flujos y menús.
+export const businessHoursHandler = {
+    name: 'business-hours',
+    order: 25,
+    async handle(context) {
+        const { chatbot, phoneNumber, message, flowDynamic, render } = context
+
+        const schedule = await BusinessHoursService.getActiveSchedule(chatbot.id)
+        if (!schedule || isWithinBusinessHours(schedule)) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        console.log('🌙 Fuera de horario de atención:', phoneNumber)
+
+        // Los flujos que siguen activos responden antes que el mensaje de ausencia (si el handler dynamic está activo)
+        if (resolvePipeline(chatbot).some(handler => handler.name === dynamicHandler.name)) {
+            context.afterHours = !chatbot.router_config?.after_hours?.all_flows
+            const result = await dynamicHandler.handle(context)
+            if (result !== HANDLER_RESULT.NEXT) {
+                return result
+            }
+        }
+
+        const shouldSend = await BusinessHoursService.trackOutOfOfficeMessage(schedule, phoneNumber)
+        if (!shouldSend) {
+            console.log('🌙 Mensaje fuera de horario ya enviado recientemente')
+            return HANDLER_RESULT.DONE
+        }
+
+        const outOfOfficeMessage = await render(schedule.out_of_office_message)
+        if (schedule.media_url) {
+            await flowDynamic([{
+                body: outOfOfficeMessage,
+                media: schedule.media_url
+            }])
+        } else {
+            await flowDynamic(outOfOfficeMessage)
+        }
+
+        await ChatHistoryService.addEntry(
+            chatbot.user_id,
+            chatbot.id,
+            phoneNumber,
+            message,
+            outOfOfficeMessage
+        )
+
+        return HANDLER_RESULT.DONE
+    }
+}
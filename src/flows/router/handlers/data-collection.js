@@ -0,0 +1,82 @@
+import { getDataCollectionConfig } from '../../data-collection/index.js'
+import { markCaptureActive } from '../../data-collection/capture-registry.js'
+import { persistFormProgress } from '../../data-collection/session.js'
+import { loadKnownClientData, getPrefilledAnswers, getFieldPrompt } from '../../data-collection/prefill.js'
+import { buildReviewMessage } from '../../data-collection/review.js'
+import { getPendingFieldIndex, getAnsweredPath } from '../../../utils/form-branching.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+import { renderFieldTexts } from '../templating.js'
+
+/**
+ * Inicia un formulario: precarga los datos conocidos, guarda el estado de captura y envía
+ * la bienvenida con la primera pregunta (o el resumen si ya se conoce todo)
+ * @param {Object} context - { chatbot, phoneNumber, flowDynamic, render, state } del router
+ * @param {Object} config - Configuración de getDataCollectionConfig
+ * @returns {Promise<Object|null>} Estado del formulario o null si ningún campo aplica
+ */
+export const startForm = async ({ chatbot, phoneNumber, flowDynamic, render, state }, config) => {
+    // Datos que ya tenemos si el contacto llenó antes este formulario
+    const known = await loadKnownClientData(chatbot.id, phoneNumber, config.formType)
+    const answers = getPrefilledAnswers(config.fields, known)
+
+    // El primer campo puede estar condicionado o ya conocido
+    const firstField = getPendingFieldIndex(config.fields, answers)
+    if (firstField === -1 && getAnsweredPath(config.fields, answers).length === 0) {
+        console.log('❌ Ningún campo del formulario aplica sin respuestas previas')
+        return null
+    }
+
+    // Inicializar estado; si ya conocemos todo se pasa directo a la revisión
+    const formState = {
+        formType: config.formType,
+        currentField: firstField === -1 ? 0 : firstField,
+        fields: config.fields,
+        answers,
+        known,
+        messages: config.messages,
+        reviewing: firstField === -1
+    }
+    await state.update(formState)
+    await persistFormProgress(chatbot, phoneNumber, formState)
+
+    // Las respuestas del formulario no se agrupan con otros mensajes
+    markCaptureActive(phoneNumber)
+
+    // Enviar mensaje de bienvenida y primer campo (o el resumen)
+    await flowDynamic(await render(config.messages.welcome_message))
+    await flowDynamic(formState.reviewing
+        ? buildReviewMessage(formState)
+        : getFieldPrompt(await renderFieldTexts(config.fields[firstField], render), formState))
+
+    return formState
+}
+
+// Mantiene la captura activa o inicia el formulario si el mensaje es un trigger
+export const dataCollectionHandler = {
+    name: 'data-collection',
+    order: 40,
+    async handle({ chatbot, phoneNumber, message, flowDynamic, render, state }) {
+        // Verificar si hay proceso de captura activo
+        const currentState = state.getMyState()
+        if (currentState?.fields) {
+            markCaptureActive(phoneNumber)
+            return HANDLER_RESULT.CAPTURE
+        }
+
+        // Buscar el formulario cuyas trigger words coinciden con el mensaje
+        const config = await getDataCollectionConfig({ message })
+        if (!config) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        console.log('📝 Coincidencia encontrada en DataCollection:', config.formType)
+
+        const formState = await startForm({ chatbot, phoneNumber, flowDynamic, render, state }, config)
+        if (!formState) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        // No terminar el flujo para permitir la captura de datos
+        return HANDLER_RESULT.CAPTURE
+    }
+}
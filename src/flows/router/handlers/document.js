@@ -0,0 +1,56 @@
+import DocumentReader from '../../../services/documents/document-reader.js'
+import { DocumentContext } from '../../../services/cache/document-context.js'
+import { CONFIG } from '../../../config/constants.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+import { handleAI, getResultAfterAI } from './ai.js'
+
+// Mensajes para el usuario según el motivo por el que no se pudo leer el documento
+const ERROR_REPLIES = {
+    UNSUPPORTED_TYPE: 'Por ahora solo puedo leer documentos PDF, Word (.docx) o de texto.',
+    FILE_TOO_LARGE: `El documento es muy grande. El tamaño máximo es de ${CONFIG.DOCUMENTS.MAX_FILE_SIZE / 1024 / 1024}MB.`,
+    TOO_MANY_PAGES: `El documento tiene demasiadas páginas. Puedo leer hasta ${CONFIG.DOCUMENTS.MAX_PAGES} páginas.`
+}
+
+// Lee los documentos recibidos y los deja como contexto para las respuestas de la IA
+export const documentHandler = {
+    name: 'document',
+    order: 65,
+    async handle(context) {
+        const { ctx, chatbot, phoneNumber, flowDynamic } = context
+        if (!context.isDocumentMessage) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        let document
+        try {
+            await flowDynamic('Revisando el documento...')
+            document = await DocumentReader.readFromMessage(ctx)
+        } catch (documentError) {
+            console.error('Error procesando documento:', documentError)
+            await flowDynamic(ERROR_REPLIES[documentError.code] || 'No pude leer el documento correctamente.')
+            return HANDLER_RESULT.DONE
+        }
+
+        if (!document.text) {
+            await flowDynamic('No encontré texto en el documento. Si es una imagen escaneada, envíala como foto.')
+            return HANDLER_RESULT.DONE
+        }
+
+        console.log('📄 Documento leído:', {
+            fileName: document.fileName,
+            pages: document.pages,
+            chars: document.text.length
+        })
+
+        // Guardar el texto para esta y las siguientes preguntas del contacto
+        DocumentContext.set(chatbot.id, phoneNumber, document)
+
+        const question = document.caption || CONFIG.DOCUMENTS.DEFAULT_QUESTION
+        const aiHandled = await handleAI(chatbot, phoneNumber, `[documento: ${document.fileName}] ${question}`, flowDynamic, false, null, context)
+        if (!aiHandled) {
+            console.log('🤖 IA: No hay configuración de IA - No se responde el documento')
+        }
+
+        return getResultAfterAI(context.state)
+    }
+}
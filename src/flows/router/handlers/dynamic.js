@@ -0,0 +1,169 @@
+import { FlowService } from '../../../services/database/flows.js'
+import { ChatHistoryService } from '../../../services/database/chat-history.js'
+import { FlowNavigationService } from '../../../services/database/flow-navigation.js'
+import { CONFIG } from '../../../config/constants.js'
+import { normalizeText } from '../../../utils/text-utils.js'
+import { getChildFlows, buildMenuText, resolveMenuOption } from '../../../utils/flow-tree.js'
+import { rankFlowMatches } from '../../../utils/keyword-matcher.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+
+/**
+ * Busca el flujo cuyo keyword coincide con el mensaje según el match_mode de cada flujo.
+ * Si varios coinciden se elige el mejor de forma determinista (ver rankFlowMatches).
+ * @param {Array} flows - Flujos activos del chatbot
+ * @param {string} message - Mensaje del usuario
+ * @returns {Object|undefined} Flujo coincidente
+ */
+export const findMatchingFlow = (flows, message) => {
+    const [bestMatch] = rankFlowMatches(flows, message)
+    if (bestMatch) {
+        console.log('🔑 Keyword coincidente:', {
+            keyword: bestMatch.keyword,
+            mode: bestMatch.mode,
+            distance: bestMatch.distance
+        })
+    }
+    return bestMatch?.flow
+}
+
+/**
+ * Envía la respuesta de un flujo (texto y media)
+ * @param {Object} flow - Flujo a enviar
+ * @param {Function} flowDynamic - Función de envío de builderbot
+ * @param {string} [text] - Texto a enviar, por defecto response_text
+ */
+export const sendFlowResponse = async (flow, flowDynamic, text = flow.response_text) => {
+    if (flow.media_url) {
+        if (flow.media_url.toLowerCase().endsWith('.mp3')) {
+            await flowDynamic([{
+                media: flow.media_url
+            }])
+            await flowDynamic(text)
+        } else {
+            await flowDynamic([{
+                body: text,
+                media: flow.media_url
+            }])
+        }
+    } else {
+        await flowDynamic(text)
+    }
+}
+
+/**
+ * Busca la respuesta para el mensaje dentro del menú en el que está el contacto.
+ * Devuelve el flujo a presentar y el nodo en el que queda el contacto (null = nivel principal).
+ */
+const resolveMenuNavigation = (flows, currentNode, message) => {
+    const normalizedMessage = normalizeText(message)
+
+    // Volver al nivel anterior
+    if (CONFIG.FLOW_MENU.BACK_WORDS.includes(normalizedMessage)) {
+        const parent = flows.find(flow => flow.id === currentNode.parent_id)
+        return parent
+            ? { flow: parent, node: parent }
+            : { flow: null, node: null }
+    }
+
+    const option = resolveMenuOption(getChildFlows(flows, currentNode.id), message)
+    if (!option) {
+        return null
+    }
+
+    // Si la opción es una hoja el contacto permanece en el menú actual
+    const hasChildren = getChildFlows(flows, option.id).length > 0
+    return { flow: option, node: hasChildren ? option : currentNode }
+}
+
+/**
+ * Flujos activos que pueden responder en este momento
+ * (fuera de horario solo los habilitados para ello)
+ */
+export const getAvailableFlows = async ({ chatbot, afterHours }) => {
+    const flows = await FlowService.getActiveFlows(chatbot.id) || []
+    return afterHours ? flows.filter(flow => flow.active_after_hours) : flows
+}
+
+/**
+ * Nodo del menú en el que queda el contacto al activar un flujo:
+ * el propio flujo si tiene opciones, su padre si es una opción o ninguno
+ */
+const getNavigationNode = (flows, flow) => {
+    if (getChildFlows(flows, flow.id).length > 0) return flow
+    return flows.find(item => item.id === flow.parent_id) || null
+}
+
+/**
+ * Responde con un flujo: actualiza la navegación del menú, guarda el historial y envía la respuesta
+ * @param {Object} context - Contexto del router
+ * @param {Array} flows - Flujos disponibles
+ * @param {Object} flow - Flujo a presentar
+ * @param {Object|null} [node] - Nodo en el que queda el contacto
+ * @param {boolean} [hadNavigation=true] - Si el contacto tenía navegación previa que limpiar
+ */
+export const respondWithFlow = async (context, flows, flow, node = getNavigationNode(flows, flow), hadNavigation = true) => {
+    const { chatbot, phoneNumber, message, flowDynamic, render } = context
+
+    // Actualizar posición del contacto en el árbol
+    if (node) {
+        await FlowNavigationService.setCurrentNode(chatbot.user_id, chatbot.id, phoneNumber, node.id)
+    } else if (hadNavigation) {
+        await FlowNavigationService.clearNavigation(chatbot.id, phoneNumber)
+    }
+
+    const responseText = await render(buildMenuText(flow, getChildFlows(flows, flow.id)))
+    console.log('✨ Coincidencia encontrada:', flow.id)
+
+    // Guardar en historial
+    await ChatHistoryService.addEntry(
+        chatbot.user_id,
+        chatbot.id,
+        phoneNumber,
+        message,
+        responseText
+    )
+
+    // Enviar respuesta
+    await sendFlowResponse(flow, flowDynamic, responseText)
+}
+
+// Responde con el flujo cuyo keyword coincide con el mensaje
+export const dynamicHandler = {
+    name: 'dynamic',
+    order: 30,
+    async handle(context) {
+        const { chatbot, phoneNumber, message } = context
+
+        // Buscar coincidencia en tiempo real
+        const flows = await getAvailableFlows(context)
+
+        // Las opciones del menú actual tienen prioridad sobre las keywords globales
+        let navigation = null
+        const currentNodeId = await FlowNavigationService.getCurrentNode(chatbot.id, phoneNumber)
+        const currentNode = flows.find(flow => flow.id === currentNodeId)
+        if (currentNode) {
+            navigation = resolveMenuNavigation(flows, currentNode, message)
+        }
+
+        if (!navigation) {
+            const matchingFlow = findMatchingFlow(flows, message)
+            if (matchingFlow) {
+                navigation = { flow: matchingFlow, node: getNavigationNode(flows, matchingFlow) }
+            }
+        }
+
+        if (!navigation) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        // "Volver" desde el nivel principal: salir del menú y seguir con el pipeline
+        if (!navigation.flow) {
+            await FlowNavigationService.clearNavigation(chatbot.id, phoneNumber)
+            return HANDLER_RESULT.NEXT
+        }
+
+        await respondWithFlow(context, flows, navigation.flow, navigation.node, Boolean(currentNodeId))
+
+        return HANDLER_RESULT.DONE
+    }
+}
@@ -0,0 +1,36 @@
+import { CONFIG } from '../../../config/constants.js'
+import { restoreFormSession } from '../../data-collection/session.js'
+import { markCaptureActive } from '../../data-collection/capture-registry.js'
+import { buildReviewMessage } from '../../data-collection/review.js'
+import { getFieldPrompt } from '../../data-collection/prefill.js'
+import { renderFieldTexts } from '../templating.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+
+// Retoma el formulario que el contacto dejó a medias si el estado en memoria se perdió (reinicio, despliegue)
+export const formResumeHandler = {
+    name: 'form-resume',
+    order: 18,
+    async handle({ chatbot, phoneNumber, flowDynamic, render, state }) {
+        // Con estado en memoria la captura sigue su curso normal
+        if (state.getMyState()?.fields) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        const restoredState = await restoreFormSession(chatbot.id, phoneNumber)
+        if (!restoredState) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        console.log('📝 Retomando formulario de:', phoneNumber)
+        await state.update(restoredState)
+        markCaptureActive(phoneNumber)
+
+        // Repetir la pregunta pendiente o el resumen si ya estaba revisando
+        await flowDynamic(CONFIG.FORM_SESSIONS.RESUME_MESSAGE)
+        await flowDynamic(restoredState.reviewing
+            ? buildReviewMessage(restoredState)
+            : getFieldPrompt(await renderFieldTexts(restoredState.fields[restoredState.currentField], render), restoredState))
+
+        return HANDLER_RESULT.CAPTURE
+    }
+}
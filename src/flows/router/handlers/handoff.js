@@ -0,0 +1,117 @@
+import { HandoffService } from '../../../services/database/handoff.js'
+import { ChatHistoryService } from '../../../services/database/chat-history.js'
+import { OperatorChannel, getHandoffConfig } from '../../../services/handoff/operator-channel.js'
+import { releaseIdleSession } from '../../../services/handoff/idle-monitor.js'
+import AudioTranscriber from '../../../services/ai/audio-transcriber.js'
+import { normalizeText } from '../../../utils/text-utils.js'
+import { getMediaAttachment, storeMediaAnswer } from '../../data-collection/media-field.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+
+// Los archivos que el contacto envía al asesor se guardan como los de los formularios
+const HANDOFF_MEDIA_FIELD = { field_name: 'handoff', validation_rules: {} }
+
+/**
+ * Pasa la conversación del contacto a un asesor humano
+ * @param {Object} context - Contexto del router (chatbot, phoneNumber, message, flowDynamic)
+ * @param {string} reason - Origen del handoff: 'keyword', 'ai' o 'agent'
+ * @param {Object} [options] - { saveHistory: false si quien llama guarda el historial }
+ */
+export const requestHandoff = async ({ chatbot, phoneNumber, message, flowDynamic }, reason, { saveHistory = true } = {}) => {
+    const config = getHandoffConfig(chatbot)
+    const session = await HandoffService.startHandoff(chatbot.user_id, chatbot.id, phoneNumber, { reason })
+
+    await flowDynamic(config.startMessage)
+
+    // Cuando lo pide una herramienta de la IA, el historial lo guarda la respuesta de la IA
+    if (saveHistory) {
+        await ChatHistoryService.addEntry(
+            chatbot.user_id,
+            chatbot.id,
+            phoneNumber,
+            message,
+            config.startMessage
+        )
+    }
+
+    await OperatorChannel.notify(chatbot, 'handoff.started', {
+        session_id: session.id,
+        phone_number: phoneNumber,
+        reason,
+        message
+    })
+
+    return session
+}
+
+/**
+ * Contenido que se reenvía al asesor: el texto, la transcripción de las notas de voz
+ * y la referencia del archivo guardado (foto, documento, audio)
+ */
+const buildForwardedMessage = async ({ ctx, chatbot, phoneNumber, message }) => {
+    const attachment = getMediaAttachment(ctx)
+    const forwarded = { message, media_type: attachment?.kind || null, media: null, transcription: null }
+    if (!attachment) return forwarded
+
+    try {
+        forwarded.media = await storeMediaAnswer(attachment, HANDOFF_MEDIA_FIELD, { chatbotId: chatbot.id, phoneNumber })
+    } catch (error) {
+        console.error('❌ [HANDOFF] Error guardando archivo del contacto:', error)
+    }
+
+    if (attachment.kind === 'audio') {
+        try {
+            forwarded.transcription = await AudioTranscriber.transcribeAudio(ctx, null)
+        } catch (error) {
+            console.error('❌ [HANDOFF] Error transcribiendo audio:', error)
+        }
+    }
+
+    return forwarded
+}
+
+// Mientras haya un asesor a cargo, reenvía los mensajes al operador en lugar de responder
+export const handoffHandler = {
+    name: 'handoff',
+    order: 15,
+    async handle(context) {
+        const { chatbot, phoneNumber, message, flowDynamic } = context
+        const config = getHandoffConfig(chatbot)
+
+        const session = await HandoffService.getActiveSession(chatbot.id, phoneNumber)
+
+        if (session) {
+            // El asesor no respondió a tiempo: el bot retoma la conversación con este mensaje
+            if (HandoffService.isIdle(session, config.idleTimeout)) {
+                await releaseIdleSession(chatbot, session, (number, text) => flowDynamic(text))
+                return HANDLER_RESULT.NEXT
+            }
+
+            console.log('🙋 [HANDOFF] Mensaje reenviado al operador:', phoneNumber)
+            const forwarded = await buildForwardedMessage(context)
+            await HandoffService.touchSession(session.id)
+            await OperatorChannel.notify(chatbot, 'handoff.message', {
+                session_id: session.id,
+                phone_number: phoneNumber,
+                ...forwarded
+            })
+            await ChatHistoryService.addEntry(
+                chatbot.user_id,
+                chatbot.id,
+                phoneNumber,
+                message || forwarded.transcription || (forwarded.media_type ? `[${forwarded.media_type}]` : ''),
+                null
+            )
+            return HANDLER_RESULT.DONE
+        }
+
+        // Palabra clave para solicitar un asesor
+        const normalizedMessage = normalizeText(message)
+        const isHandoffKeyword = config.keywords.some(keyword => normalizeText(keyword) === normalizedMessage)
+        if (!isHandoffKeyword) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        await requestHandoff(context, 'keyword')
+        return HANDLER_RESULT.DONE
+    }
+}
@@ -0,0 +1,37 @@
+import ImageAnalyzer from '../../../services/ai/image-analyzer.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+import { handleAI } from './ai.js'
+
+// Marcador con el que se guardan las imágenes en el historial
+const IMAGE_MARKER = '[imagen]'
+
+// Analiza las fotos recibidas con un modelo de visión y responde con los prompts del chatbot
+export const imageHandler = {
+    name: 'image',
+    order: 60,
+    async handle(context) {
+        const { ctx, chatbot, phoneNumber, flowDynamic } = context
+        if (!context.isImageMessage) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        try {
+            const image = await ImageAnalyzer.downloadImage(ctx)
+            const historyMessage = image.caption
+                ? `${IMAGE_MARKER} ${image.caption}`
+                : IMAGE_MARKER
+
+            console.log('🖼️ Imagen recibida de:', phoneNumber, image.caption ? `(${image.caption})` : '')
+
+            const aiHandled = await handleAI(chatbot, phoneNumber, historyMessage, flowDynamic, false, image)
+            if (!aiHandled) {
+                console.log('🤖 IA: No hay configuración de IA - No se responde la imagen')
+            }
+        } catch (imageError) {
+            console.error('Error procesando imagen:', imageError)
+            await flowDynamic('No pude revisar la imagen correctamente. ¿Puedes describirme lo que necesitas?')
+        }
+
+        return HANDLER_RESULT.DONE
+    }
+}
@@ -0,0 +1,40 @@
+import { registerHandler } from '../pipeline.js'
+import { blacklistHandler } from './blacklist.js'
+import { handoffHandler } from './handoff.js'
+import { formResumeHandler } from './form-resume.js'
+import { welcomeHandler } from './welcome.js'
+import { businessHoursHandler } from './business-hours.js'
+import { dynamicHandler } from './dynamic.js'
+import { dataCollectionHandler } from './data-collection.js'
+import { audioHandler } from './audio.js'
+import { imageHandler } from './image.js'
+import { documentHandler } from './document.js'
+import { semanticHandler } from './semantic.js'
+import { aiHandler } from './ai.js'
+
+// Handlers por defecto del router, en su orden natural
+export const DEFAULT_HANDLERS = [
+    blacklistHandler,
+    handoffHandler,
+    formResumeHandler,
+    welcomeHandler,
+    businessHoursHandler,
+    dynamicHandler,
+    dataCollectionHandler,
+    audioHandler,
+    imageHandler,
+    documentHandler,
+    semanticHandler,
+    aiHandler
+]
+
+let registered = false
+
+/**
+ * Registra los handlers por defecto una sola vez
+ */
+export const registerDefaultHandlers = () => {
+    if (registered) return
+    DEFAULT_HANDLERS.forEach(handler => registerHandler(handler))
+    registered = true
+}
@@ -0,0 +1,34 @@
+import { FlowService } from '../../../services/database/flows.js'
+import { CONFIG } from '../../../config/constants.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+import { getAvailableFlows, respondWithFlow } from './dynamic.js'
+
+// Si ninguna keyword coincidió, busca el flujo más parecido por significado antes de usar la IA
+export const semanticHandler = {
+    name: 'semantic',
+    order: 90,
+    async handle(context) {
+        const { chatbot, message } = context
+        if (!message?.trim()) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        const threshold = chatbot.router_config?.semantic_threshold ?? CONFIG.SEMANTIC_MATCH.THRESHOLD
+        const matches = await FlowService.findSemanticMatches(chatbot.id, message, threshold)
+        if (!matches.length) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        // Solo flujos disponibles en este momento (respeta horario de atención)
+        const flows = await getAvailableFlows(context)
+        const match = matches.find(candidate => flows.some(item => item.id === candidate.id))
+        if (!match) {
+            return HANDLER_RESULT.NEXT
+        }
+        const flow = flows.find(item => item.id === match.id)
+
+        console.log('🧠 Coincidencia semántica:', { flow: flow.id, similarity: match.similarity })
+        await respondWithFlow(context, flows, flow)
+        return HANDLER_RESULT.DONE
+    }
+}
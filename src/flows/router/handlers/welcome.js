@@ -0,0 +1,31 @@
+import { WelcomeService } from '../../../services/database/welcomes.js'
+import { HANDLER_RESULT } from '../pipeline.js'
+
+// Envía el welcome si corresponde; nunca detiene el pipeline
+export const welcomeHandler = {
+    name: 'welcome',
+    order: 20,
+    async handle({ chatbot, phoneNumber, flowDynamic, render }) {
+        const welcome = await WelcomeService.getActiveWelcome(chatbot.id)
+        if (!welcome?.welcome_message) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        const shouldSendWelcome = await WelcomeService.trackWelcomeMessage(welcome.id, phoneNumber)
+        if (!shouldSendWelcome) {
+            return HANDLER_RESULT.NEXT
+        }
+
+        console.log('👋 Enviando welcome a:', phoneNumber)
+        const welcomeMessage = await render(welcome.welcome_message)
+        if (welcome.media_url) {
+            await flowDynamic([{
+                body: welcomeMessage,
+                media: welcome.media_url
+            }])
+        } else {
+            await flowDynamic(welcomeMessage)
+        }
+        return HANDLER_RESULT.NEXT
+    }
+}
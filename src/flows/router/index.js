@@ -1,17 +1,22 @@
 import { addKeyword } from '@builderbot/bot'
 import { ChatbotService } from '../../services/database/chatbots.js'
-import { FlowService } from '../../services/database/flows.js'
 import { ChatHistoryService } from '../../services/database/chat-history.js'
-import { WelcomeService } from '../../services/database/welcomes.js'
-import { PromptsService } from '../../services/database/prompts.js'
 import { FormFieldsService } from '../../services/database/form-fields.js'
 import { ClientDataService } from '../../services/database/clients.js'
-import { BlacklistService } from '../../services/database/blacklist.js'
-import { OpenAIService } from '../../services/ai/openai.js'
-import { normalizeText } from '../../utils/text-utils.js'
-import { getDataCollectionConfig } from '../data-collection/index.js'
-import AudioTranscriber from '../../services/ai/audio-transcriber.js'
-import TextToSpeechService from '../../services/ai/text-to-speech.js'
+import { FormDestination } from '../../services/forms/form-destination.js'
+import { webhookDispatcher } from '../../services/webhooks/dispatcher.js'
+import { CONFIG } from '../../config/constants.js'
+import { HANDLER_RESULT, runPipeline } from './pipeline.js'
+import { registerDefaultHandlers } from './handlers/index.js'
+import { registerDefaultTools } from './tools/index.js'
+import { persistFormProgress, endFormSession } from '../data-collection/session.js'
+import DocumentReader from '../../services/documents/document-reader.js'
+import { createTemplateVariables, createTemplateRenderer, renderFieldTexts } from './templating.js'
+import { getPendingFieldIndex, getAnsweredPath } from '../../utils/form-branching.js'
+import { buildReviewMessage, parseReviewCommand } from '../data-collection/review.js'
+import { getFieldPrompt, parsePrefillAnswer } from '../data-collection/prefill.js'
+import { extractFormAnswers, buildExtractionNotice } from '../data-collection/extraction.js'
+import { isMediaField, getMediaAttachment, checkMediaRules, storeMediaAnswer } from '../data-collection/media-field.js'
 import path from 'path'
 import fs from 'fs'
 
@@ -32,187 +37,6 @@ const retry = async (fn, maxRetries = 3) => {
     throw lastError
 }
 
-// Helper para manejar welcome
-const handleWelcome = async (chatbot, phoneNumber, flowDynamic) => {
-    const welcome = await WelcomeService.getActiveWelcome(chatbot.id)
-    if (!welcome?.welcome_message) {
-        return false
-    }
-
-    const shouldSendWelcome = await WelcomeService.trackWelcomeMessage(welcome.id, phoneNumber)
-    if (!shouldSendWelcome) {
-        return false
-    }
-
-    console.log('👋 Enviando welcome a:', phoneNumber)
-    if (welcome.media_url) {
-        await flowDynamic([{
-            body: welcome.welcome_message,
-            media: welcome.media_url
-        }])
-    } else {
-        await flowDynamic(welcome.welcome_message)
-    }
-    return true
-}
-
-// Helper para manejar keywords
-const handleDynamic = async (chatbot, phoneNumber, message, flowDynamic) => {
-    // Buscar coincidencia en tiempo real
-    const flows = await FlowService.getActiveFlows(chatbot.id)
-    const matchingFlow = flows?.find(flow => 
-        flow.keyword?.some(k => normalizeText(k) === normalizeText(message))
-    )
-
-    if (!matchingFlow) {
-        return false
-    }
-
-    console.log('✨ Coincidencia encontrada:', matchingFlow.id)
-
-    // Guardar en historial
-    await ChatHistoryService.addEntry(
-        chatbot.user_id,
-        chatbot.id,
-        phoneNumber,
-        message,
-        matchingFlow.response_text
-    )
-
-    // Enviar respuesta
-    if (matchingFlow.media_url) {
-        if (matchingFlow.media_url.toLowerCase().endsWith('.mp3')) {
-            await flowDynamic([{
-                media: matchingFlow.media_url
-            }])
-            await flowDynamic(matchingFlow.response_text)
-        } else {
-            await flowDynamic([{
-                body: matchingFlow.response_text,
-                media: matchingFlow.media_url
-            }])
-        }
-    } else {
-        await flowDynamic(matchingFlow.response_text)
-    }
-
-    return true
-}
-
-// Helper para manejar DataCollection
-const handleDataCollection = async (chatbot, phoneNumber, message, flowDynamic, state) => {
-    // Obtener configuración de DataCollection
-    const config = await getDataCollectionConfig()
-    if (!config) {
-        return false
-    }
-
-    // Verificar si hay coincidencia con keywords
-    const isDataCollectionTrigger = config.trigger_words.some(
-        word => word === normalizeText(message)
-    )
-
-    if (!isDataCollectionTrigger) {
-        return false
-    }
-
-    console.log('📝 Coincidencia encontrada en DataCollection')
-    
-    // Inicializar estado
-    await state.update({
-        currentField: 0,
-        fields: config.fields,
-        answers: {},
-        messages: config.messages
-    })
-
-    // Enviar mensaje de bienvenida y primer campo
-    await flowDynamic(config.messages.welcome_message)
-    await flowDynamic(config.fields[0].field_label)
-    
-    return true
-}
-
-// Helper para manejar IA
-const handleAI = async (chatbot, phoneNumber, message, flowDynamic, isAudioMessage = false) => {
-    console.log('🤖 Procesando con IA:', message)
-
-    const [history, behaviorPrompt, knowledgePrompts] = await Promise.all([
-        ChatHistoryService.getRecentHistory(chatbot.id, phoneNumber),
-        PromptsService.getActiveBehaviorPrompt(chatbot.id),
-        PromptsService.getActiveKnowledgePrompts(chatbot.id)
-    ])
-
-    // Verificar si hay prompt de comportamiento configurado
-    if (!behaviorPrompt) {
-        console.log('🤖 IA: No hay prompt de comportamiento - Finalizando sin respuesta')
-        return false
-    }
-
-    const messages = history.slice(-5).flatMap(entry => [
-        { role: 'user', content: entry.message },
-        { role: 'assistant', content: entry.response }
-    ])
-    messages.push({ role: 'user', content: message })
-
-    console.log('🤖 IA: Prompts obtenidos:', {
-        behavior: behaviorPrompt?.id,
-        knowledge: knowledgePrompts?.length || 0
-    })
-
-    const aiResponse = await OpenAIService.generateChatResponse(
-        messages,
-        behaviorPrompt.prompt_text,
-        knowledgePrompts?.map(p => p.prompt_text).join('\n\n') || '',
-        isAudioMessage,
-        chatbot.id
-    )
-
-    // Guardar en historial
-    await ChatHistoryService.addEntry(
-        chatbot.user_id,
-        chatbot.id,
-        phoneNumber,
-        message,
-        aiResponse
-    )
-
-    // Enviar respuesta según el tipo de mensaje
-    if (isAudioMessage) {
-        try {
-            // Primero enviar la respuesta en texto
-            await flowDynamic(aiResponse)
-            
-            console.log('🔊 Generando respuesta de audio...')
-            const audioPath = await TextToSpeechService.convertToSpeech(aiResponse)
-            
-            // Luego enviar el mismo mensaje en audio
-            await flowDynamic([{
-                media: audioPath,
-                ptt: true,
-                type: 'audio'
-            }])
-
-            console.log('✅ Respuesta enviada en texto y audio')
-
-            // Limpiar archivo temporal inmediatamente después de enviarlo
-            if (fs.existsSync(audioPath)) {
-                await fs.promises.unlink(audioPath)
-                console.log('🧹 Archivo temporal eliminado')
-            }
-        } catch (audioError) {
-            console.error('❌ Error en proceso de audio:', audioError)
-            // Ya se envió el texto, no necesitamos fallback
-        }
-    } else {
-        // Solo texto para mensajes de texto
-        await flowDynamic(aiResponse)
-    }
-
-    console.log('✅ Respuesta IA enviada')
-    return true
-}
-
 // Asegurar que existe el directorio temporal
 const ensureTmpDir = () => {
     const tmpDir = path.join(process.cwd(), 'tmp')
@@ -229,6 +53,10 @@ export const createRouterFlow = () => {
     // Crear directorio tmp al iniciar
     ensureTmpDir()
 
+    // Registrar handlers del pipeline y herramientas de la IA
+    registerDefaultHandlers()
+    registerDefaultTools()
+
     const routerFlow = addKeyword([])
     .addAction(async (ctx, { flowDynamic, endFlow, state }) => {
         try {
@@ -237,72 +65,55 @@ export const createRouterFlow = () => {
             }
 
             const phoneNumber = ctx.from.replace('@s.whatsapp.net', '')
-            let message = ctx.body?.toLowerCase().trim() || ''
             
-            // Detectar si es mensaje de voz
+            // Detectar si es mensaje de voz, imagen o documento
             const isAudioMessage = Boolean(ctx.message?.audioMessage || ctx.message?.pttMessage)
-            console.log('📩 Mensaje recibido de:', phoneNumber, isAudioMessage ? '(audio)' : '(texto)')
-
-            // 1. Obtener chatbot
+            const isImageMessage = Boolean(ctx.message?.imageMessage)
+            const documentMessage = DocumentReader.getDocumentMessage(ctx)
+            const isDocumentMessage = Boolean(documentMessage)
+            console.log('📩 Mensaje recibido de:', phoneNumber,
+                isAudioMessage ? '(audio)' : isImageMessage ? '(imagen)' : isDocumentMessage ? '(documento)' : '(texto)')
+
+            // En imágenes y documentos el texto del mensaje es el pie de foto
+            const body = isImageMessage
+                ? ctx.message.imageMessage.caption
+                : isDocumentMessage ? documentMessage.caption : ctx.body
+            const message = body?.toLowerCase().trim() || ''
+
+            // Obtener chatbot
             const chatbot = await retry(async () => {
                 const bot = await ChatbotService.getActiveChatbotForPort()
                 if (!bot) throw new Error('No se encontró chatbot activo')
                 return bot
             })
 
-            // 2. Verificar blacklist
-            const isBlacklisted = await BlacklistService.isBlacklisted(chatbot.id, phoneNumber)
-            if (isBlacklisted) {
-                console.log('🚫 MENSAJE BLOQUEADO - Número en lista negra:', phoneNumber)
-                return endFlow()
-            }
-
-            // 3. Procesar Welcome (sin return si se envía)
-            await handleWelcome(chatbot, phoneNumber, flowDynamic)
-
-            // 4. Procesar Dynamic
-            const dynamicHandled = await handleDynamic(chatbot, phoneNumber, message, flowDynamic)
-            if (dynamicHandled) {
-                return endFlow()
-            }
-
-            // 5. Verificar si hay proceso de captura activo
-            const currentState = state.getMyState()
-            if (currentState?.fields) {
-                return // Si hay captura activa, no procesar nada más
-            }
+            // Variables ({{name}}, {{chatbot.name}}...) para los textos configurados; los handlers las aplican
+            // al enviar bienvenidas, flujos y formularios, nunca a respuestas de la IA o del contacto
+            const render = createTemplateRenderer(createTemplateVariables({
+                ctx,
+                phoneNumber,
+                getChatbot: async () => chatbot
+            }))
+
+            // Ejecutar pipeline de handlers (blacklist, welcome, dynamic, formulario, audio, IA...)
+            const { result } = await runPipeline({
+                ctx,
+                chatbot,
+                phoneNumber,
+                message,
+                isAudioMessage,
+                isImageMessage,
+                isDocumentMessage,
+                flowDynamic,
+                render,
+                endFlow,
+                state
+            })
 
-            // 6. Intentar iniciar DataCollection
-            const dataCollectionHandled = await handleDataCollection(chatbot, phoneNumber, message, flowDynamic, state)
-            if (dataCollectionHandled) {
+            if (result === HANDLER_RESULT.CAPTURE) {
                 return // No terminar el flujo para permitir la captura de datos
             }
 
-            // 7. Procesar mensaje de voz o AI
-            if (isAudioMessage) {
-                try {
-                    await flowDynamic('Procesando mensaje de voz...')
-                    const transcription = await AudioTranscriber.transcribeAudio(ctx, null)
-                    
-                    if (!transcription) {
-                        throw new Error('No se pudo transcribir el audio')
-                    }
-
-                    message = transcription
-                    console.log('🎤 Audio transcrito:', message)
-                } catch (audioError) {
-                    console.error('Error procesando audio:', audioError)
-                    await flowDynamic('No pude procesar el mensaje de voz correctamente.')
-                    return endFlow()
-                }
-            }
-
-            // Procesar con AI solo si no hay captura activa ni match previo
-            const aiHandled = await handleAI(chatbot, phoneNumber, message, flowDynamic, isAudioMessage)
-            if (!aiHandled) {
-                console.log('🤖 IA: No hay configuración de IA - No se envía respuesta')
-            }
-
         } catch (error) {
             await handleError(error, flowDynamic)
         }
@@ -316,6 +127,18 @@ export const createRouterFlow = () => {
         const currentState = state.getMyState()
         if (!currentState?.fields) return
 
+        const phoneNumber = ctx.from.replace('@s.whatsapp.net', '')
+        let chatbotPromise = null
+        const getChatbot = () => (chatbotPromise ||= ChatbotService.getActiveChatbotForPort())
+
+        // Los textos configurados del formulario también admiten variables, incluidas las respuestas ya capturadas
+        const render = createTemplateRenderer(createTemplateVariables({
+            ctx,
+            phoneNumber,
+            getChatbot,
+            getAnswers: () => currentState.answers
+        }))
+
         try {
             const input = ctx.body.trim()
             const currentField = currentState.fields[currentState.currentField]
@@ -324,59 +147,100 @@ export const createRouterFlow = () => {
             if (input.toLowerCase() === 'cancelar') {
                 // Usar el mensaje configurable de cancelación
                 const cancelMessage = currentState.messages?.cancel_message || 'Registro cancelado'
-                await flowDynamic(cancelMessage)
+                await flowDynamic(await render(cancelMessage))
                 await state.clear()
+                await endFormSession((await getChatbot()).id, phoneNumber)
                 return endFlow()
             }
 
-            // Validar y procesar respuesta
-            if (!await validateAndSaveResponse(input, currentState, state, flowDynamic, fallBack)) {
-                return
+            // Revisión: el formulario solo se envía con confirmación explícita
+            if (currentState.reviewing) {
+                const command = parseReviewCommand(input, currentState)
+
+                if (command.action === 'confirm') {
+                    await completeFormSubmission(currentState, ctx, flowDynamic, render)
+                    await state.clear()
+                    await endFormSession((await getChatbot()).id, phoneNumber)
+                    return endFlow()
+                }
+
+                if (command.action === 'edit') {
+                    return await editField(command.field, currentState, state, fallBack, render, await getChatbot(), phoneNumber)
+                }
+
+                await flowDynamic(CONFIG.FORM_REVIEW.NOT_UNDERSTOOD)
+                return fallBack(buildReviewMessage(currentState))
+            }
+
+            // Campos de archivo: la respuesta es una foto, documento o nota de voz
+            const attachment = isMediaField(currentField) ? getMediaAttachment(ctx) : null
+            if (attachment) {
+                if (!await saveMediaResponse(attachment, currentState, state, flowDynamic, fallBack, render, await getChatbot(), phoneNumber)) {
+                    return
+                }
+            } else {
+                // "sí" / "no" al valor que ya teníamos del contacto se resuelve antes de intentar extraer datos
+                const prefill = parsePrefillAnswer(currentField, input, currentState)
+                if (prefill?.action === 'change') {
+                    delete currentState.known[currentField.field_name]
+                    await state.update(currentState)
+                    return fallBack(await render(currentField.field_label))
+                }
+
+                if (prefill?.action === 'keep') {
+                    currentState.answers[currentField.field_name] = prefill.value
+                    await state.update(currentState)
+                } else {
+                    // Con extracción activa una respuesta puede llenar varios campos; los extraídos se guardan
+                    // aunque la respuesta al campo actual no sea válida
+                    const extractedFields = await extractFormAnswers(input, currentState, await getChatbot())
+                    if (extractedFields.length > 0) {
+                        await state.update(currentState)
+                        if (extractedFields.some(field => field.field_name !== currentField.field_name)) {
+                            await flowDynamic(buildExtractionNotice(extractedFields))
+                        }
+                    }
+
+                    // La respuesta al campo actual se valida siempre, salvo que la extracción ya haya tomado
+                    // de ella un valor válido para ese campo
+                    const currentExtracted = extractedFields.some(field => field.field_name === currentField.field_name)
+                    if (!currentExtracted && !await validateAndSaveResponse(input, currentState, state, flowDynamic, fallBack, render)) {
+                        return
+                    }
+                }
             }
 
-            // Si hay más campos, continuar
-            if (currentState.currentField < currentState.fields.length - 1) {
-                return await moveToNextField(currentState, state, fallBack)
+            // Siguiente campo sin responder según las respuestas (tras una corrección puede no haber ninguno)
+            const nextField = getPendingFieldIndex(currentState.fields, currentState.answers)
+            if (nextField !== -1) {
+                return await moveToNextField(nextField, currentState, state, fallBack, render, await getChatbot(), phoneNumber)
             }
 
-            // Completar proceso
-            await completeFormSubmission(currentState, ctx, flowDynamic)
-            await state.clear()
-            return endFlow()
+            // Mostrar el resumen para confirmar o corregir
+            return await startReview(currentState, state, fallBack, await getChatbot(), phoneNumber)
 
         } catch (error) {
-            await handleError(error, flowDynamic, fallBack, currentState)
+            await handleError(error, flowDynamic, fallBack, currentState, render)
         }
     })
 
 // Funciones auxiliares para el manejo del formulario
-const validateAndSaveResponse = async (input, currentState, state, flowDynamic, fallBack) => {
+const validateAndSaveResponse = async (input, currentState, state, flowDynamic, fallBack, render) => {
     try {
-        const currentField = currentState.fields[currentState.currentField]
-
-        // Si es campo de nombre, solo verificar que no esté vacío
-        if (currentField.field_name === 'nombres' || currentField.validation_type === 'name') {
-            if (!input.trim()) {
-                await flowDynamic('❌ El nombre no puede estar vacío.')
-                await fallBack(currentField.field_label)
-                return false
-            }
-        } else {
-            // Para otros campos, usar la validación normal
-            const isValid = await FormFieldsService.validateField(
-                input,
-                currentField.validation_type
-            )
-
-            if (!isValid) {
-                await flowDynamic('❌ Respuesta no válida.')
-                await fallBack(currentField.field_label)
-                return false
-            }
+        const currentField = await renderFieldTexts(currentState.fields[currentState.currentField], render)
+
+        const validation = FormFieldsService.validateField(input, currentField)
+
+        if (!validation.isValid) {
+            // Error y ayuda configurables por campo
+            const hint = currentField.hint_text ? `\n💡 ${currentField.hint_text}` : ''
+            await flowDynamic(`${validation.error}${hint}`)
+            await fallBack(currentField.field_label)
+            return false
         }
 
-        // Guardar respuesta
-        currentState.answers[currentField.field_name] = input
+        // Guardar respuesta normalizada (fechas en ISO, NIT con guion...)
+        currentState.answers[currentField.field_name] = validation.value
         await state.update(currentState)
         return true
 
@@ -385,17 +249,65 @@ const validateAndSaveResponse = async (input, currentState, state, flowDynamic,
     }
 }
 
-const moveToNextField = async (currentState, state, fallBack) => {
-    currentState.currentField++
+const saveMediaResponse = async (attachment, currentState, state, flowDynamic, fallBack, render, chatbot, phoneNumber) => {
+    const currentField = await renderFieldTexts(currentState.fields[currentState.currentField], render)
+
+    const ruleError = checkMediaRules(attachment, currentField.validation_rules)
+    if (ruleError) {
+        const hint = currentField.hint_text ? `\n💡 ${currentField.hint_text}` : ''
+        await flowDynamic(`${currentField.error_message || ruleError}${hint}`)
+        await fallBack(currentField.field_label)
+        return false
+    }
+
+    try {
+        // En form_data solo queda la referencia al archivo guardado
+        currentState.answers[currentField.field_name] = await storeMediaAnswer(attachment, currentField, {
+            chatbotId: chatbot.id,
+            phoneNumber
+        })
+        await state.update(currentState)
+        return true
+    } catch (error) {
+        throw Object.assign(error, { name: 'MediaError' })
+    }
+}
+
+const moveToNextField = async (nextField, currentState, state, fallBack, render, chatbot, phoneNumber) => {
+    currentState.currentField = nextField
+    await state.update(currentState)
+    await persistFormProgress(chatbot, phoneNumber, currentState)
+    const field = await renderFieldTexts(currentState.fields[currentState.currentField], render)
+    return fallBack(getFieldPrompt(field, currentState))
+}
+
+const startReview = async (currentState, state, fallBack, chatbot, phoneNumber) => {
+    currentState.reviewing = true
     await state.update(currentState)
-    return fallBack(currentState.fields[currentState.currentField].field_label)
+    await persistFormProgress(chatbot, phoneNumber, currentState)
+    return fallBack(buildReviewMessage(currentState))
 }
 
-const completeFormSubmission = async (currentState, ctx, flowDynamic) => {
+// Volver a preguntar solo el campo que el contacto quiere corregir
+const editField = async (field, currentState, state, fallBack, render, chatbot, phoneNumber) => {
+    currentState.reviewing = false
+    currentState.currentField = currentState.fields.findIndex(item => item.field_name === field.field_name)
+    await state.update(currentState)
+    await persistFormProgress(chatbot, phoneNumber, currentState)
+    return fallBack(await render(field.field_label))
+}
+
+const completeFormSubmission = async (currentState, ctx, flowDynamic, render) => {
     try {
         const chatbot = await ChatbotService.getActiveChatbotForPort()
+
+        // Solo los campos del recorrido; los saltados por condiciones no se guardan
+        const answeredFields = getAnsweredPath(currentState.fields, currentState.answers)
+        const answers = Object.fromEntries(
+            answeredFields.map(field => [field.field_name, currentState.answers[field.field_name]])
+        )
         const formAnswers = {
-            ...currentState.answers,
+            ...answers,
             phone_number: ctx.from
         }
 
@@ -403,32 +315,38 @@ const completeFormSubmission = async (currentState, ctx, flowDynamic) => {
             formAnswers.full_name = formAnswers.nombres
         }
 
-        // Guardar datos
-        await ClientDataService.createClientData(
+        // Guardar datos indicando qué formulario los generó; si el contacto ya tenía registro se actualiza
+        const formType = currentState.formType || CONFIG.DEFAULT_FORM_TYPE
+        const clientData = await ClientDataService.upsertFormSubmission(
             chatbot.user_id,
             chatbot.id,
-            formAnswers
+            formAnswers,
+            formType
         )
 
+        // El destino propio del formulario, si tiene, se entrega como un endpoint más del chatbot
+        await FormDestination.register(chatbot, formType, currentState.messages)
+
+        // Webhooks firmados del chatbot (cola persistente con reintentos)
+        await webhookDispatcher.enqueue(chatbot, 'form.submitted', {
+            form_type: formType,
+            client_data_id: clientData.id,
+            phone_number: clientData.phone_number,
+            form_data: clientData.form_data
+        }, { formType })
+
         // Registrar en historial
+        const successMessage = await render(currentState.messages.success_message)
         await ChatHistoryService.addEntry(
             chatbot.user_id,
             chatbot.id,
             ctx.from,
-            'registro completado',
-            currentState.messages.success_message
+            `formulario completado: ${formType}`,
+            successMessage
         )
 
-        // Mostrar resumen
-        let summaryMessage = `${currentState.messages.success_message}\n\n📋 Resumen de datos registrados:\n`
-        Object.entries(currentState.answers).forEach(([field, value]) => {
-            const fieldConfig = currentState.fields.find(f => f.field_name === field)
-            if (fieldConfig) {
-                summaryMessage += `${fieldConfig.field_label}: ${value}\n`
-            }
-        })
-
-        await flowDynamic(summaryMessage)
+        // El resumen ya se mostró en la revisión
+        await flowDynamic(successMessage)
 
     } catch (error) {
         throw Object.assign(error, { name: 'DatabaseError' })
@@ -436,7 +354,7 @@ const completeFormSubmission = async (currentState, ctx, flowDynamic) => {
 }
 
 // Sistema centralizado de manejo de errores
-const handleError = async (error, flowDynamic, fallBack, state) => {
+const handleError = async (error, flowDynamic, fallBack, state, render = async text => text) => {
     console.error('❌ Error:', error)
     
     let errorMessage = 'Lo siento, ocurrió un error al procesar tu mensaje.'
@@ -444,6 +362,8 @@ const handleError = async (error, flowDynamic, fallBack, state) => {
     // Errores específicos
     if (error.name === 'ValidationError') {
         errorMessage = '❌ La respuesta proporcionada no es válida.'
+    } else if (error.name === 'MediaError') {
+        errorMessage = '❌ No pude guardar el archivo. Por favor, envíalo nuevamente.'
     } else if (error.name === 'DatabaseError') {
         errorMessage = '❌ Error al guardar los datos. Por favor, intenta nuevamente.'
     } else if (error.message?.includes('transcribir')) {
@@ -456,11 +376,16 @@ const handleError = async (error, flowDynamic, fallBack, state) => {
 
     await flowDynamic(errorMessage)
 
+    // Si estamos revisando el formulario, repetir el resumen
+    if (state?.reviewing && fallBack) {
+        return fallBack(buildReviewMessage(state))
+    }
+
     // Si estamos en proceso de captura, repetir la pregunta actual
     if (state?.fields && fallBack) {
         const currentField = state.fields[state.currentField]
         if (currentField?.field_label) {
-            return fallBack(currentField.field_label)
+            return fallBack(await render(currentField.field_label))
         }
     }
 
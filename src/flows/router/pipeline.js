@@ -0,0 +1,83 @@
+/**
+ * Pipeline de handlers del Message Router
+ *
+ * Cada handler se registra con un nombre, un orden y una función `handle(context)`
+ * que indica si manejó el mensaje o si lo pasa al siguiente handler.
+ */
+
+/**
+ * Resultados posibles de un handler
+ */
+export const HANDLER_RESULT = {
+    NEXT: 'next',       // No manejado, continuar con el siguiente handler
+    DONE: 'done',       // Manejado, terminar el flujo
+    CAPTURE: 'capture'  // Manejado, mantener el flujo abierto para captura de respuestas
+}
+
+const registry = new Map()
+
+/**
+ * Registra un handler en el pipeline
+ * @param {Object} handler
+ * @param {string} handler.name - Nombre único del handler
+ * @param {number} handler.order - Posición por defecto (menor se ejecuta primero)
+ * @param {Function} handler.handle - async (context) => HANDLER_RESULT
+ * @param {boolean} [handler.enabled=true] - Si está activo por defecto
+ */
+export const registerHandler = ({ name, order, handle, enabled = true }) => {
+    if (!name || typeof handle !== 'function') {
+        throw new Error('Un handler necesita nombre y función handle')
+    }
+    if (registry.has(name)) {
+        throw new Error(`Ya existe un handler registrado con el nombre "${name}"`)
+    }
+    registry.set(name, { name, order: Number(order) || 0, handle, enabled })
+}
+
+/**
+ * Lista los handlers registrados con su configuración por defecto
+ */
+export const getRegisteredHandlers = () => {
+    return [...registry.values()].sort((a, b) => a.order - b.order)
+}
+
+/**
+ * Resuelve el pipeline para un chatbot aplicando su configuración.
+ *
+ * `chatbot.router_config.handlers` acepta, por nombre de handler,
+ * `{ enabled: boolean, order: number }` para activarlo/desactivarlo o reordenarlo.
+ */
+export const resolvePipeline = (chatbot) => {
+    const overrides = chatbot?.router_config?.handlers || {}
+
+    return getRegisteredHandlers()
+        .map(handler => {
+            const override = overrides[handler.name] || {}
+            return {
+                ...handler,
+                enabled: override.enabled ?? handler.enabled,
+                order: Number.isFinite(override.order) ? override.order : handler.order
+            }
+        })
+        .filter(handler => handler.enabled)
+        .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name))
+}
+
+/**
+ * Ejecuta el pipeline hasta que un handler maneje el mensaje
+ * @returns {Promise<{ result: string, handler: string|null }>}
+ */
+export const runPipeline = async (context) => {
+    const pipeline = resolvePipeline(context.chatbot)
+
+    for (const handler of pipeline) {
+        const result = await handler.handle(context) || HANDLER_RESULT.NEXT
+
+        if (result !== HANDLER_RESULT.NEXT) {
+            console.log(`🧭 Mensaje manejado por "${handler.name}" (${result})`)
+            return { result, handler: handler.name }
+        }
+    }
+
+    return { result: HANDLER_RESULT.NEXT, handler: null }
+}
@@ -0,0 +1,76 @@
+import { ClientDataService } from '../../services/database/clients.js'
+import { CONFIG } from '../../config/constants.js'
+import { renderMessages, messagesHaveTemplates } from '../../utils/template.js'
+
+/**
+ * Crea la función que arma las variables de plantilla de un contacto.
+ * Los datos del cliente solo se consultan la primera vez que un mensaje usa variables.
+ * @param {Object} options
+ * @param {Object} options.ctx - Contexto del mensaje (pushName)
+ * @param {string} options.phoneNumber - Número del contacto
+ * @param {Function} options.getChatbot - Devuelve el chatbot activo
+ * @param {Function} [options.getAnswers] - Respuestas del formulario en curso
+ * @returns {Function} Función async que devuelve las variables
+ */
+export const createTemplateVariables = ({ ctx, phoneNumber, getChatbot, getAnswers = () => ({}) }) => {
+    let clientPromise = null
+
+    return async () => {
+        const chatbot = await getChatbot()
+
+        clientPromise ||= ClientDataService.getClientByPhone(chatbot.id, phoneNumber)
+            .catch(error => {
+                console.error('Error obteniendo datos del cliente para plantilla:', error)
+                return null
+            })
+        const client = await clientPromise
+
+        // Las respuestas del formulario en curso tienen prioridad sobre lo guardado
+        const formData = { ...(client?.form_data || {}), ...getAnswers() }
+        const now = new Date()
+        const { LOCALE, TIMEZONE } = CONFIG.TEMPLATES
+
+        return {
+            ...formData,
+            form: formData,
+            name: formData.nombres || formData.full_name || formData.name || ctx?.pushName || '',
+            pushName: ctx?.pushName || '',
+            phone: phoneNumber,
+            date: now.toLocaleDateString(LOCALE, { timeZone: TIMEZONE }),
+            time: now.toLocaleTimeString(LOCALE, { timeZone: TIMEZONE, hour: '2-digit', minute: '2-digit' }),
+            // Solo datos públicos: las respuestas del contacto también pasan por la plantilla
+            chatbot: {
+                name: chatbot?.name_chatbot || '',
+                description: chatbot?.description || ''
+            }
+        }
+    }
+}
+
+/**
+ * Crea la función que renderiza los textos configurados (bienvenida, flujos, mensajes y campos de formulario).
+ * Solo se aplica a esos textos: las respuestas de la IA, de las herramientas y lo que escribe el contacto
+ * se envían tal cual, aunque contengan llaves.
+ * @param {Function} getVariables - Función creada con createTemplateVariables
+ * @returns {Function} async (messages) => mensajes renderizados, en el formato que recibe flowDynamic
+ */
+export const createTemplateRenderer = (getVariables) => async (messages) => {
+    if (!messagesHaveTemplates(messages)) {
+        return messages
+    }
+    return renderMessages(messages, await getVariables())
+}
+
+/**
+ * Copia del campo con sus textos configurados renderizados (pregunta, ayuda y error).
+ * prefill_question se renderiza en getFieldPrompt con el valor conocido.
+ */
+export const renderFieldTexts = async (field, render) => {
+    if (!field) return field
+    return {
+        ...field,
+        field_label: await render(field.field_label),
+        hint_text: await render(field.hint_text),
+        error_message: await render(field.error_message)
+    }
+}
@@ -0,0 +1,35 @@
+import { BlacklistService } from '../../../services/database/blacklist.js'
+import { OperatorChannel } from '../../../services/handoff/operator-channel.js'
+
+// Bloquea al contacto (lista negra). Apagada por defecto: se activa con router_config.tools.block_contact
+export const blockContactTool = {
+    name: 'block_contact',
+    enabled: false,
+    async definition() {
+        return {
+            description: 'Bloquea a este contacto para que el bot no le vuelva a responder. ' +
+                'Úsala solo ante insultos graves, acoso o spam repetido, nunca por una queja.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    reason: {
+                        type: 'string',
+                        description: 'Motivo del bloqueo'
+                    }
+                },
+                required: ['reason']
+            }
+        }
+    },
+    async execute({ reason }, { chatbot, phoneNumber }) {
+        await BlacklistService.addToBlacklist(chatbot.user_id, chatbot.id, phoneNumber)
+        console.log('🚫 IA: Contacto bloqueado:', phoneNumber, reason)
+
+        await OperatorChannel.notify(chatbot, 'contact.blocked', {
+            phone_number: phoneNumber,
+            reason: reason || null
+        })
+
+        return { output: { blocked: true }, stop: true }
+    }
+}
@@ -0,0 +1,36 @@
+import { ClientDataService } from '../../../services/database/clients.js'
+
+// Datos que el contacto dejó en formularios anteriores
+export const lookupClientDataTool = {
+    name: 'lookup_client_data',
+    async definition() {
+        return {
+            description: 'Consulta los datos que este contacto registró antes en un formulario (nombre, correo, etc.). ' +
+                'Úsala para personalizar la respuesta o cuando pregunte qué datos tenemos.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    form_type: {
+                        type: 'string',
+                        description: 'Formulario a consultar; sin valor se usa el más reciente'
+                    }
+                }
+            }
+        }
+    },
+    async execute({ form_type: formType }, { chatbot, phoneNumber }) {
+        const client = await ClientDataService.getClientByPhone(chatbot.id, phoneNumber, formType || null)
+        if (!client) {
+            return { output: { found: false } }
+        }
+
+        return {
+            output: {
+                found: true,
+                form_type: client.form_type,
+                data: client.form_data || {},
+                updated_at: client.updated_at || client.created_at
+            }
+        }
+    }
+}
@@ -0,0 +1,52 @@
+import { getAvailableFlows, sendFlowResponse } from '../handlers/dynamic.js'
+
+// Identificador legible del flujo para el modelo: su primer keyword
+const getFlowKey = (flow) => flow.keyword?.[0]
+
+const getMediaFlows = async (context) => {
+    const flows = await getAvailableFlows(context)
+    return flows.filter(flow => flow.media_url && getFlowKey(flow))
+}
+
+// Envía el archivo (catálogo, lista de precios, ubicación...) de un flujo de bot_flows
+export const sendFlowMediaTool = {
+    name: 'send_flow_media',
+    async definition(context) {
+        const flows = await getMediaFlows(context)
+        if (flows.length === 0) return null
+
+        const flowList = flows
+            .map(flow => `${getFlowKey(flow)}: ${flow.option_label || flow.response_text?.slice(0, 80) || ''}`)
+            .join('; ')
+
+        return {
+            description: 'Envía al contacto el archivo o imagen de un flujo del chatbot junto con su mensaje. ' +
+                'El mensaje del flujo se envía con el archivo; no lo repitas en tu respuesta.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    flow: {
+                        type: 'string',
+                        enum: flows.map(getFlowKey),
+                        description: `Flujo cuyo archivo se envía: ${flowList}`
+                    }
+                },
+                required: ['flow']
+            }
+        }
+    },
+    async execute({ flow: key }, context) {
+        const flows = await getMediaFlows(context)
+        const flow = flows.find(item => getFlowKey(item) === key)
+        if (!flow) {
+            return { output: { sent: false, error: 'Flujo no encontrado' } }
+        }
+
+        const responseText = await context.render(flow.response_text)
+        await sendFlowResponse(flow, context.flowDynamic, responseText)
+        return {
+            output: { sent: true, message: responseText },
+            reply: responseText
+        }
+    }
+}
@@ -0,0 +1,26 @@
+import { registerTool } from './registry.js'
+import { startFormTool } from './start-form.js'
+import { lookupClientDataTool } from './client-data.js'
+import { sendFlowMediaTool } from './flow-media.js'
+import { blockContactTool } from './block-contact.js'
+import { requestHumanTool } from './request-human.js'
+
+// Herramientas por defecto de la IA
+export const DEFAULT_TOOLS = [
+    startFormTool,
+    lookupClientDataTool,
+    sendFlowMediaTool,
+    blockContactTool,
+    requestHumanTool
+]
+
+let registered = false
+
+/**
+ * Registra las herramientas por defecto una sola vez
+ */
+export const registerDefaultTools = () => {
+    if (registered) return
+    DEFAULT_TOOLS.forEach(tool => registerTool(tool))
+    registered = true
+}
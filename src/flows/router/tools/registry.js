@@ -0,0 +1,90 @@
+/**
+ * Herramientas que la IA puede usar al responder
+ *
+ * Cada herramienta se registra con un nombre, una función `definition(context)` que devuelve
+ * su descripción y parámetros (JSON Schema), o null si no aplica en esta conversación,
+ * y una función `execute(args, context)` que devuelve `{ output, stop, reply }`:
+ *   output - resultado que vuelve al modelo
+ *   stop   - la herramienta ya respondió al contacto y el turno termina sin texto de la IA
+ *   reply  - texto enviado al contacto, para el historial
+ */
+import { CONFIG } from '../../../config/constants.js'
+
+const registry = new Map()
+
+/**
+ * Registra una herramienta
+ * @param {Object} tool
+ * @param {string} tool.name - Nombre único (el que ve el modelo)
+ * @param {Function} tool.definition - async (context) => { description, parameters } | null
+ * @param {Function} tool.execute - async (args, context) => { output, stop?, reply? }
+ * @param {boolean} [tool.enabled=true] - Si está activa por defecto
+ */
+export const registerTool = ({ name, definition, execute, enabled = true }) => {
+    if (!name || typeof definition !== 'function' || typeof execute !== 'function') {
+        throw new Error('Una herramienta necesita nombre, definition y execute')
+    }
+    if (registry.has(name)) {
+        throw new Error(`Ya existe una herramienta registrada con el nombre "${name}"`)
+    }
+    registry.set(name, { name, definition, execute, enabled })
+}
+
+export const getRegisteredTools = () => [...registry.values()]
+
+/**
+ * Herramientas disponibles para esta conversación.
+ *
+ * `chatbot.router_config.tools` acepta, por nombre de herramienta, `{ enabled: boolean }`.
+ */
+export const resolveTools = async (context) => {
+    if (!CONFIG.AI_TOOLS.ENABLED) return []
+
+    const overrides = context.chatbot?.router_config?.tools || {}
+    const tools = []
+
+    for (const tool of registry.values()) {
+        if (!(overrides[tool.name]?.enabled ?? tool.enabled)) continue
+
+        try {
+            const definition = await tool.definition(context)
+            if (definition) {
+                tools.push({ name: tool.name, ...definition, execute: tool.execute })
+            }
+        } catch (error) {
+            console.error(`🛠️ Error preparando la herramienta "${tool.name}":`, error.message)
+        }
+    }
+
+    return tools
+}
+
+/**
+ * Ejecutor de llamadas para OpenAIService.generateChatResponse.
+ * Cada llamada queda en `log` con sus argumentos y resultado.
+ */
+export const createToolExecutor = (tools, context, log) => async (call) => {
+    const tool = tools.find(item => item.name === call.name)
+    const entry = {
+        name: call.name,
+        arguments: call.arguments,
+        called_at: new Date().toISOString()
+    }
+    log.push(entry)
+    console.log('🛠️ IA: Herramienta', call.name, call.arguments)
+
+    if (!tool) {
+        entry.error = 'Herramienta no disponible'
+        return { output: { error: entry.error } }
+    }
+
+    try {
+        const { output, stop = false, reply = null } = await tool.execute(call.arguments || {}, context)
+        Object.assign(entry, { output, stop, reply })
+        return { output, stop }
+    } catch (error) {
+        console.error(`🛠️ Error en la herramienta "${call.name}":`, error)
+        entry.error = error.message
+        return { output: { error: error.message } }
+    }
+}
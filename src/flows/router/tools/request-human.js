@@ -0,0 +1,34 @@
+import { getHandoffConfig } from '../../../services/handoff/operator-channel.js'
+import { requestHandoff } from '../handlers/handoff.js'
+
+// Pasa la conversación a un asesor humano (reemplaza el marcador [HANDOFF] cuando hay herramientas)
+export const requestHumanTool = {
+    name: 'request_human',
+    async definition({ chatbot }) {
+        if (!getHandoffConfig(chatbot).aiEscalation) return null
+
+        return {
+            description: 'Pasa la conversación a un asesor humano cuando el contacto lo pide, está muy molesto ' +
+                'o tiene un problema que no puedes resolver.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    reason: {
+                        type: 'string',
+                        description: 'Resumen breve de lo que necesita el contacto'
+                    }
+                }
+            }
+        }
+    },
+    async execute({ reason }, context) {
+        console.log('🙋 IA: Escalando conversación a un asesor humano:', reason || '')
+        const session = await requestHandoff(context, 'ai', { saveHistory: false })
+
+        return {
+            output: { handed_off: true, session_id: session.id },
+            stop: true,
+            reply: getHandoffConfig(context.chatbot).startMessage
+        }
+    }
+}
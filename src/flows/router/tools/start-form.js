@@ -0,0 +1,53 @@
+import { FormMessagesService } from '../../../services/database/form-messages.js'
+import { getDataCollectionConfig } from '../../data-collection/index.js'
+import { startForm } from '../handlers/data-collection.js'
+
+// Inicia un formulario cuando el contacto lo pide con sus palabras ("quiero registrarme")
+export const startFormTool = {
+    name: 'start_form',
+    async definition({ chatbot, state }) {
+        // Sin estado de builderbot no se puede capturar, y no se inicia otro formulario encima
+        if (!state || state.getMyState()?.fields) return null
+
+        const forms = await FormMessagesService.listForms(chatbot.id)
+        if (forms.length === 0) return null
+
+        const formList = forms
+            .map(form => `${form.message_type} (${form.message_content?.trigger_words?.join(', ') || 'sin palabras clave'})`)
+            .join('; ')
+
+        return {
+            description: 'Inicia un formulario del chatbot cuando el contacto quiere registrarse, cotizar o dejar sus datos. ' +
+                'El bot envía las preguntas una por una; no las hagas tú.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    form_type: {
+                        type: 'string',
+                        enum: forms.map(form => form.message_type),
+                        description: `Formulario a iniciar: ${formList}`
+                    }
+                },
+                required: ['form_type']
+            }
+        }
+    },
+    async execute({ form_type: formType }, context) {
+        const config = await getDataCollectionConfig({ formType })
+        if (!config) {
+            return { output: { started: false, error: 'Formulario no disponible' } }
+        }
+
+        const formState = await startForm(context, config)
+        if (!formState) {
+            return { output: { started: false, error: 'El formulario no tiene preguntas para este contacto' } }
+        }
+
+        console.log('📝 Formulario iniciado por la IA:', formType)
+        return {
+            output: { started: true, form_type: formType },
+            stop: true,
+            reply: await context.render(config.messages.welcome_message)
+        }
+    }
+}
@@ -0,0 +1,40 @@
+import dotenv from 'dotenv'
+import { ChatbotService } from '../services/database/chatbots.js'
+import { FlowService } from '../services/database/flows.js'
+
+dotenv.config()
+
+const DEFAULT_USER_ID = process.env.DEFAULT_USER_ID
+
+// Genera los embeddings de los flujos existentes para la coincidencia semántica
+const embedFlows = async () => {
+    try {
+        console.log('🚀 Generando embeddings de flujos...')
+
+        const chatbots = await ChatbotService.listUserChatbots(DEFAULT_USER_ID)
+        if (!chatbots?.length) {
+            throw new Error('No se encontró ningún chatbot')
+        }
+
+        for (const chatbot of chatbots) {
+            const flows = await FlowService.getActiveFlows(chatbot.id)
+            console.log(`🤖 ${chatbot.name_chatbot}: ${flows.length} flujos`)
+
+            for (const flow of flows) {
+                const updated = await FlowService.refreshFlowEmbedding(flow)
+                console.log(updated ? '✅' : '⚠️', flow.id, flow.keyword?.join(', '))
+            }
+        }
+
+    } catch (error) {
+        console.error('❌ Error:', error)
+        process.exit(1)
+    }
+}
+
+embedFlows()
+    .then(() => console.log('🎉 Proceso completado'))
+    .catch(error => {
+        console.error('💥 Error fatal:', error)
+        process.exit(1)
+    })
@@ -0,0 +1,96 @@
+import fs from 'fs'
+import path from 'path'
+import dotenv from 'dotenv'
+import { ChatbotService } from '../services/database/chatbots.js'
+import KnowledgeIngestion from '../services/knowledge/ingestion.js'
+
+dotenv.config()
+
+const DEFAULT_USER_ID = process.env.DEFAULT_USER_ID
+
+const USAGE = `Uso:
+  node src/scripts/ingest-knowledge.js <archivo...> [--category <categoría>] [--source <nombre>] [--chatbot <id>]
+  node src/scripts/ingest-knowledge.js --delete <source> [--chatbot <id>]
+  node src/scripts/ingest-knowledge.js --list [--chatbot <id>]`
+
+// Argumentos: archivos sueltos y opciones --nombre valor
+const parseArgs = (argv) => {
+    const options = { files: [] }
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index]
+        if (arg === '--list') {
+            options.list = true
+        } else if (arg.startsWith('--')) {
+            options[arg.slice(2)] = argv[++index]
+        } else {
+            options.files.push(arg)
+        }
+    }
+    return options
+}
+
+// Chatbot indicado con --chatbot o el primero del usuario por defecto
+const resolveChatbot = async (chatbotId) => {
+    if (chatbotId) {
+        return ChatbotService.getChatbot(chatbotId, DEFAULT_USER_ID)
+    }
+    const chatbots = await ChatbotService.listUserChatbots(DEFAULT_USER_ID)
+    if (!chatbots?.length) {
+        throw new Error('No se encontró ningún chatbot')
+    }
+    return chatbots[0]
+}
+
+// Carga archivos en la base de conocimiento, o borra / lista las fuentes cargadas
+const ingestKnowledge = async () => {
+    try {
+        const options = parseArgs(process.argv.slice(2))
+        if (!options.files.length && !options.delete && !options.list) {
+            console.log(USAGE)
+            process.exit(1)
+        }
+
+        const chatbot = await resolveChatbot(options.chatbot)
+        console.log(`🤖 Chatbot: ${chatbot.name_chatbot}`)
+
+        if (options.list) {
+            const sources = await KnowledgeIngestion.listSources(chatbot.id)
+            for (const source of sources) {
+                console.log(`📄 ${source.source} [${source.category}] - ${source.chunks} fragmentos`)
+            }
+            return
+        }
+
+        if (options.delete) {
+            await KnowledgeIngestion.deleteSource(chatbot.id, options.delete)
+            return
+        }
+
+        if (options.source && options.files.length > 1) {
+            throw new Error('--source solo se puede usar con un archivo')
+        }
+
+        for (const file of options.files) {
+            const result = await KnowledgeIngestion.ingestFile({
+                userId: chatbot.user_id || DEFAULT_USER_ID,
+                chatbotId: chatbot.id,
+                buffer: fs.readFileSync(file),
+                fileName: path.basename(file),
+                source: options.source,
+                category: options.category
+            })
+            console.log(`✅ ${result.source}: ${result.chunks} fragmentos`)
+        }
+
+    } catch (error) {
+        console.error('❌ Error:', error)
+        process.exit(1)
+    }
+}
+
+ingestKnowledge()
+    .then(() => console.log('🎉 Proceso completado'))
+    .catch(error => {
+        console.error('💥 Error fatal:', error)
+        process.exit(1)
+    })
@@ -56,10 +56,11 @@ const initFormFields = async () => {
             .upsert(
                 formFields.map(field => ({
                     ...field,
+                    form_type: 'registration',
                     chatbot_id: chatbot.id,
                     updated_at: new Date()
                 })),
-                { onConflict: 'chatbot_id,field_name' }
+                { onConflict: 'chatbot_id,form_type,field_name' }
             )
 
         if (error) throw error
@@ -28,7 +28,7 @@ const initFormMessages = async () => {
                 message_content: messages,
                 is_active: true,
                 updated_at: new Date()
-            })
+            }, { onConflict: 'chatbot_id,message_type' })
 
         if (error) throw error
         console.log('✅ Mensajes del formulario creados exitosamente')
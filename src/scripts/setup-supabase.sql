@@ -69,4 +69,36 @@ begin
   order by kp.embedding <=> query_embedding
   limit match_count;
 end;
-$$; 
\ No newline at end of file
+$$; 
+
+-- Función para buscar flujos por similitud semántica
+create or replace function match_bot_flows(
+  query_embedding vector(1536),
+  match_threshold float,
+  match_count int,
+  p_chatbot_id uuid
+)
+returns table (
+  id uuid,
+  keyword text[],
+  response_text text,
+  similarity float
+)
+language plpgsql
+as $$
+begin
+  return query
+  select
+    bf.id,
+    bf.keyword,
+    bf.response_text,
+    1 - (bf.embedding <=> query_embedding) as similarity
+  from bot_flows bf
+  where bf.chatbot_id = p_chatbot_id
+    and bf.is_active = true
+    and bf.embedding is not null
+    and 1 - (bf.embedding <=> query_embedding) > match_threshold
+  order by bf.embedding <=> query_embedding
+  limit match_count;
+end;
+$$;
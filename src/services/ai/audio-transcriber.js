@@ -4,14 +4,23 @@ import path from 'path'
 import { downloadMediaMessage, downloadContentFromMessage } from '@whiskeysockets/baileys'
 import { memoryManager } from '../../utils/memory-manager.js'
 
+// Whisper de OpenAI directamente, no pasa por ./providers: los audios necesitan OPENAI_API_KEY con cualquier AI_PROVIDER
 class AudioTranscriber {
     constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        })
+        this.client = null
         this.MAX_AUDIO_SIZE = 25 * 1024 * 1024 // 25MB máximo
     }
 
+    // El cliente se crea al transcribir el primer audio: sin OPENAI_API_KEY el bot arranca igual
+    get openai() {
+        if (!this.client) {
+            this.client = new OpenAI({
+                apiKey: process.env.OPENAI_API_KEY
+            })
+        }
+        return this.client
+    }
+
     async transcribeAudio(ctx, provider) {
         let audioPath = null
         try {
@@ -0,0 +1,49 @@
+import { downloadContentFromMessage } from '@whiskeysockets/baileys'
+import { CONFIG } from '../../config/constants.js'
+
+class ImageAnalyzer {
+    constructor() {
+        this.MAX_IMAGE_SIZE = CONFIG.IMAGE_ANALYSIS.MAX_IMAGE_SIZE
+    }
+
+    async downloadImage(ctx) {
+        const imageMessage = ctx.message?.imageMessage
+        if (!imageMessage) {
+            throw new Error('No image message found')
+        }
+
+        console.log('📥 Descargando imagen...', {
+            mimetype: imageMessage.mimetype,
+            fileLength: imageMessage.fileLength
+        })
+
+        const chunks = []
+        let size = 0
+        try {
+            // Descargar el contenido de la imagen usando downloadContentFromMessage
+            const stream = await downloadContentFromMessage(imageMessage, 'image')
+            for await (const chunk of stream) {
+                chunks.push(chunk)
+                size += chunk.length
+
+                // Verificar tamaño durante la descarga
+                if (size > this.MAX_IMAGE_SIZE) {
+                    throw new Error('Image file too large')
+                }
+            }
+        } catch (downloadError) {
+            console.error('Error downloading image:', downloadError)
+            throw new Error('Failed to download image content')
+        }
+
+        console.log('✅ Imagen descargada:', size, 'bytes')
+
+        return {
+            buffer: Buffer.concat(chunks),
+            mimetype: imageMessage.mimetype || 'image/jpeg',
+            caption: imageMessage.caption?.trim() || ''
+        }
+    }
+}
+
+export default new ImageAnalyzer()
@@ -0,0 +1,36 @@
+// Aproximación sin tokenizador: ~4 caracteres por token en español e inglés
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4)
+
+/**
+ * Toma fragmentos en orden de similitud hasta agotar el presupuesto de tokens.
+ * Un fragmento que no cabe se salta, pero puede caber uno más corto después.
+ */
+export const fitToBudget = (chunks, budget) => {
+    const selected = []
+    let used = 0
+
+    for (const chunk of chunks) {
+        const tokens = estimateTokens(chunk.prompt_text)
+        if (used + tokens > budget) continue
+        selected.push(chunk)
+        used += tokens
+    }
+
+    return { selected, tokens: used }
+}
+
+/**
+ * Orden de prioridad sin pregunta que comparar: primero los prompts escritos a mano (source null) y luego
+ * los fragmentos de archivos; en cada grupo del más reciente al más antiguo, cada archivo en su orden.
+ */
+export const prioritizeKnowledge = (prompts) => {
+    const time = (prompt) => new Date(prompt.created_at || 0).getTime()
+    return [...prompts].sort((a, b) =>
+        (a.source == null ? 0 : 1) - (b.source == null ? 0 : 1) ||
+        time(b) - time(a) ||
+        (a.chunk_index ?? 0) - (b.chunk_index ?? 0)
+    )
+}
+
+// Respaldo sin búsqueda: todos los prompts por prioridad, sin pasar del presupuesto
+export const selectFullKnowledge = (prompts, budget) => fitToBudget(prioritizeKnowledge(prompts), budget)
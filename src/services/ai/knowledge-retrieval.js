@@ -0,0 +1,60 @@
+import { CONFIG } from '../../config/constants.js'
+import { PromptsService } from '../database/prompts.js'
+import { fitToBudget, selectFullKnowledge } from './knowledge-budget.js'
+
+const joinPrompts = (prompts) => prompts.map(prompt => prompt.prompt_text).join('\n\n')
+
+// Prompts de conocimiento activos según prioridad, dentro del mismo presupuesto de tokens que la recuperación
+const getFullKnowledge = async (chatbotId, reason) => {
+    const { TOKEN_BUDGET } = CONFIG.KNOWLEDGE_RETRIEVAL
+    const prompts = await PromptsService.getActiveKnowledgePrompts(chatbotId) || []
+    const { selected, tokens } = selectFullKnowledge(prompts, TOKEN_BUDGET)
+    console.log(`📚 Conocimiento completo (${reason}): ${selected.length}/${prompts.length} prompts, ${tokens}/${TOKEN_BUDGET} tokens`)
+    return {
+        text: joinPrompts(selected),
+        source: 'full',
+        chunks: []
+    }
+}
+
+/**
+ * Conocimiento para responder una pregunta: solo los fragmentos más relevantes
+ * (match_knowledge_prompts) dentro de CONFIG.KNOWLEDGE_RETRIEVAL.TOKEN_BUDGET.
+ * Si la búsqueda no encuentra nada o falla se usan los prompts activos por prioridad, con el mismo presupuesto.
+ * @param {string} chatbotId
+ * @param {string} question - Mensaje del contacto
+ * @returns {Promise<{ text: string, source: 'retrieval'|'full', chunks: Array }>}
+ */
+export const retrieveKnowledge = async (chatbotId, question) => {
+    const { ENABLED, TOP_K, THRESHOLD, TOKEN_BUDGET } = CONFIG.KNOWLEDGE_RETRIEVAL
+
+    if (!ENABLED || !question?.trim()) {
+        return getFullKnowledge(chatbotId, ENABLED ? 'sin pregunta' : 'recuperación desactivada')
+    }
+
+    let matches = []
+    try {
+        matches = await PromptsService.findRelevantKnowledge(chatbotId, question, THRESHOLD, TOP_K) || []
+    } catch (error) {
+        console.error('📚 Error en la recuperación de conocimiento:', error.message)
+        return getFullKnowledge(chatbotId, 'error en la búsqueda')
+    }
+
+    const { selected, tokens } = fitToBudget(matches, TOKEN_BUDGET)
+    if (selected.length === 0) {
+        return getFullKnowledge(chatbotId, 'sin fragmentos relevantes')
+    }
+
+    const chunks = selected.map(chunk => ({
+        id: chunk.id,
+        category: chunk.category,
+        similarity: Number(chunk.similarity?.toFixed(3))
+    }))
+    console.log(`📚 Conocimiento recuperado (${tokens}/${TOKEN_BUDGET} tokens):`, chunks)
+
+    return {
+        text: joinPrompts(selected),
+        source: 'retrieval',
+        chunks
+    }
+}
@@ -0,0 +1,135 @@
+import { CONFIG } from '../../config/constants.js'
+
+/**
+ * Límites de salida conocidos por modelo. Los modelos que no están aquí usan DEFAULT_LIMITS.
+ */
+export const MODEL_LIMITS = {
+    'gpt-4o': { maxTokens: 16384 },
+    'gpt-4o-mini': { maxTokens: 16384 },
+    'gpt-4.1': { maxTokens: 32768 },
+    'gpt-4.1-mini': { maxTokens: 32768 },
+    'gpt-4.1-nano': { maxTokens: 32768 },
+    'gpt-3.5-turbo': { maxTokens: 4096 },
+    'claude-3-5-haiku-latest': { maxTokens: 8192 },
+    'claude-3-7-sonnet-latest': { maxTokens: 64000 },
+    'claude-sonnet-4-0': { maxTokens: 64000 }
+}
+
+const DEFAULT_LIMITS = { maxTokens: 4096 }
+
+// Rangos de cada parámetro según el proveedor
+const PARAMETER_RANGES = {
+    temperature: { min: 0, max: 2 },
+    top_p: { min: 0, max: 1 },
+    presence_penalty: { min: -2, max: 2 },
+    frequency_penalty: { min: -2, max: 2 }
+}
+
+const PROVIDER_RANGES = {
+    anthropic: { temperature: { min: 0, max: 1 } }
+}
+
+export const CHANNELS = ['text', 'audio']
+
+const NUMERIC_SETTINGS = ['temperature', 'max_tokens', 'top_p', 'presence_penalty', 'frequency_penalty']
+
+export const getModelLimits = (model) => MODEL_LIMITS[model] || DEFAULT_LIMITS
+
+const getRange = (providerName, key) => PROVIDER_RANGES[providerName]?.[key] || PARAMETER_RANGES[key]
+
+/**
+ * Valida chatbots.ai_settings contra los límites del modelo y del proveedor
+ * @param {Object} settings - { model, temperature, max_tokens, top_p, presence_penalty, frequency_penalty,
+ *                              system_preamble, text: {...}, audio: {...} }
+ * @param {string} providerName - Proveedor del chatbot
+ * @returns {{ isValid: boolean, errors: string[] }}
+ */
+export const validateAISettings = (settings = {}, providerName = CONFIG.AI_PROVIDERS.DEFAULT) => {
+    const errors = []
+
+    const checkLevel = (values, prefix, inheritedModel) => {
+        const model = values.model || inheritedModel
+        for (const key of NUMERIC_SETTINGS) {
+            if (values[key] == null) continue
+
+            const value = Number(values[key])
+            if (Number.isNaN(value)) {
+                errors.push(`${prefix}${key} must be a number`)
+                continue
+            }
+
+            if (key === 'max_tokens') {
+                const { maxTokens } = getModelLimits(model)
+                if (!Number.isInteger(value) || value < 1 || value > maxTokens) {
+                    errors.push(`${prefix}max_tokens must be an integer between 1 and ${maxTokens} for ${model || 'the default model'}`)
+                }
+                continue
+            }
+
+            const { min, max } = getRange(providerName, key)
+            if (value < min || value > max) {
+                errors.push(`${prefix}${key} must be between ${min} and ${max}`)
+            }
+        }
+        return model
+    }
+
+    // Sin model en ai_settings responde el modelo por defecto del proveedor, así que se valida contra ese
+    const baseModel = checkLevel(settings, '', CONFIG.AI_PROVIDERS.DEFAULT_MODELS[providerName] || null)
+    for (const channel of CHANNELS) {
+        if (settings[channel] != null) {
+            checkLevel(settings[channel], `${channel}.`, baseModel)
+        }
+    }
+
+    if (settings.system_preamble != null && typeof settings.system_preamble !== 'string') {
+        errors.push('system_preamble must be a string')
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+const clamp = (value, { min, max }) => Math.min(Math.max(value, min), max)
+
+/**
+ * Parámetros de generación para una respuesta: valores por defecto de CONFIG.AI_CONFIG, luego
+ * ai_settings del chatbot y luego los del canal (text / audio). Se leen en cada respuesta, así que
+ * un cambio en el chatbot aplica sin reiniciar. Los valores fuera de rango se ajustan al límite.
+ * @param {Object} chatbot - Chatbot con ai_settings
+ * @param {Object} provider - Proveedor de IA (name, defaultModel)
+ * @param {string} channel - 'text' o 'audio'
+ */
+export const resolveModelSettings = (chatbot, provider, channel = 'text') => {
+    const defaults = CONFIG.AI_CONFIG
+    const settings = chatbot?.ai_settings || {}
+    const merged = {
+        temperature: defaults.TEMPERATURE,
+        max_tokens: channel === 'audio' ? defaults.AUDIO_MAX_TOKENS : defaults.MAX_TOKENS,
+        top_p: defaults.TOP_P,
+        presence_penalty: defaults.PRESENCE_PENALTY,
+        frequency_penalty: defaults.FREQUENCY_PENALTY,
+        ...settings,
+        ...(settings[channel] || {})
+    }
+
+    const model = merged.model || provider.defaultModel
+    const { maxTokens } = getModelLimits(model)
+    const number = (key) => {
+        const value = Number(merged[key])
+        if (key === 'max_tokens') return clamp(Math.round(value) || defaults.MAX_TOKENS, { min: 1, max: maxTokens })
+        return Number.isNaN(value) ? undefined : clamp(value, getRange(provider.name, key))
+    }
+
+    return {
+        model,
+        temperature: number('temperature'),
+        maxTokens: number('max_tokens'),
+        topP: number('top_p'),
+        presencePenalty: number('presence_penalty'),
+        frequencyPenalty: number('frequency_penalty'),
+        systemPreamble: merged.system_preamble || ''
+    }
+}
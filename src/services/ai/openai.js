@@ -1,25 +1,27 @@
-import OpenAI from 'openai'
 import { CONFIG } from '../../config/constants.js'
 import dotenv from 'dotenv'
 import { ResponseCache } from '../cache/response-cache.js'
+import { getProviderForChatbot, getEmbeddingProvider } from './providers/index.js'
+import { resolveModelSettings } from './model-settings.js'
+import { runToolLoop } from './tool-loop.js'
 
 dotenv.config()
 
-if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY no está configurada en el archivo .env')
-}
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-})
-
 const MAX_HISTORY_MESSAGES = 10 // Limitar historial a los últimos 5 mensajes
+const MAX_CACHED_EMBEDDINGS = 100
+
+// Embeddings recientes por texto: en un turno el mismo mensaje lo piden la coincidencia semántica,
+// el historial y la recuperación de conocimiento
+const recentEmbeddings = new Map()
 
+// Servicio de IA del bot. El nombre se conserva por compatibilidad: el modelo lo resuelve el
+// proveedor del chatbot (options.chatbot.ai_provider), ver ./providers.
+// generateChatResponse acepta options.tools y options.executeTool para que el modelo ejecute acciones
 export const OpenAIService = {
-    async generateChatResponse(messages, behaviorPrompt = '', knowledgePrompt = '', isAudioResponse = false, chatbotId = null) {
+    async generateChatResponse(messages, behaviorPrompt = '', knowledgePrompt = '', isAudioResponse = false, chatbotId = null, options = {}) {
         try {
             console.log('🤖 OpenAI: Preparando mensajes para generar respuesta')
-            
+
             // Verificar caché si tenemos chatbotId y el último mensaje
             if (chatbotId && messages.length > 0) {
                 const lastMessage = messages[messages.length - 1]
@@ -62,26 +64,25 @@ export const OpenAIService = {
 
             console.log('🤖 OpenAI: Total de mensajes:', fullMessages.length)
 
-            // Configuración específica según el tipo de respuesta "gpt-4o"
+            const provider = getProviderForChatbot(options.chatbot)
+
+            // Configuración del chatbot (ai_settings) para el canal de la respuesta, leída en cada llamada
+            const { systemPreamble, ...settings } = resolveModelSettings(
+                options.chatbot,
+                provider,
+                isAudioResponse ? 'audio' : 'text'
+            )
             const config = {
-                model: "gpt-4o",
-                messages: fullMessages,
-                temperature: 0.5,
-                max_tokens: 100,
-                presence_penalty: 0.3,
-                frequency_penalty: 0.3,
-                top_p: 0.9,
-                stop: null
+                ...settings,
+                messages: fullMessages
+            }
+
+            if (systemPreamble) {
+                config.messages.unshift({ role: 'system', content: systemPreamble })
             }
 
             // Ajustar configuración para respuestas de audio
             if (isAudioResponse) {
-                config.temperature = 0.5
-                config.max_tokens = 100
-                config.presence_penalty = 0.3
-                config.frequency_penalty = 0.3
-                config.top_p = 0.9
-                
                 // Agregar instrucción específica para respuestas de audio
                 config.messages.unshift({
                     role: 'system',
@@ -90,20 +91,25 @@ export const OpenAIService = {
             }
 
             console.log('🤖 OpenAI: Configuración:', {
+                provider: provider.name,
+                model: config.model,
                 isAudio: isAudioResponse,
-                maxTokens: config.max_tokens,
+                maxTokens: config.maxTokens,
                 temperature: config.temperature
             })
 
             // Generar respuesta
             console.log('🤖 OpenAI: Llamando a la API...')
-            const completion = await openai.chat.completions.create(config)
-
-            const response = completion.choices[0].message.content
+            const { response, usedTools, stopped } = await runToolLoop(provider, config, options)
+            if (stopped) {
+                console.log('🤖 OpenAI: Una herramienta terminó el turno')
+                return ''
+            }
             console.log('🤖 OpenAI: Respuesta generada:', response.substring(0, 50) + '...')
 
-            // Guardar en caché si tenemos chatbotId y mensaje del usuario
-            if (chatbotId && messages.length > 0) {
+            // Guardar en caché si tenemos chatbotId y mensaje del usuario.
+            // Un turno con herramientas no se guarda: repetirlo desde caché no repetiría la acción
+            if (chatbotId && messages.length > 0 && !usedTools) {
                 const lastMessage = messages[messages.length - 1]
                 if (lastMessage.role === 'user') {
                     await ResponseCache.set(chatbotId, lastMessage.content, response)
@@ -121,16 +127,120 @@ export const OpenAIService = {
         }
     },
 
+    async generateImageResponse(messages, image, behaviorPrompt = '', knowledgePrompt = '', options = {}) {
+        try {
+            console.log('🤖 OpenAI: Analizando imagen')
+
+            const systemMessages = [behaviorPrompt, knowledgePrompt]
+                .filter(Boolean)
+                .map(content => ({ role: 'system', content }))
+
+            // La imagen y su descripción van en el mismo mensaje del usuario
+            const imageMessage = {
+                role: 'user',
+                content: [
+                    { type: 'text', text: image.caption || CONFIG.IMAGE_ANALYSIS.DEFAULT_PROMPT },
+                    {
+                        type: 'image_url',
+                        image_url: {
+                            url: `data:${image.mimetype};base64,${image.buffer.toString('base64')}`,
+                            detail: CONFIG.IMAGE_ANALYSIS.DETAIL
+                        }
+                    }
+                ]
+            }
+
+            // CONFIG.IMAGE_ANALYSIS.MODEL es de OpenAI; otros proveedores usan su modelo por defecto
+            const provider = getProviderForChatbot(options.chatbot)
+            const { content: response } = await provider.chat({
+                model: provider.name === 'openai' ? CONFIG.IMAGE_ANALYSIS.MODEL : provider.defaultModel,
+                messages: [
+                    ...systemMessages,
+                    ...messages.slice(-MAX_HISTORY_MESSAGES),
+                    imageMessage
+                ],
+                temperature: 0.5,
+                maxTokens: CONFIG.IMAGE_ANALYSIS.MAX_TOKENS
+            })
+            console.log('🤖 OpenAI: Respuesta de imagen generada:', response.substring(0, 50) + '...')
+            return response
+        } catch (error) {
+            console.error('🤖 OpenAI Vision Error:', {
+                message: error.message,
+                type: error.type,
+                code: error.code
+            })
+            throw new Error('Error analizando imagen: ' + error.message)
+        }
+    },
+
+    /**
+     * Extrae de un texto libre los valores de varios campos de formulario
+     * @param {string} text - Respuesta del usuario
+     * @param {Array} fields - Campos de form_fields que aún se pueden llenar
+     * @returns {Promise<Object>} { field_name: valor } solo con los campos encontrados
+     */
+    async extractFormFields(text, fields, options = {}) {
+        try {
+            console.log('🤖 OpenAI: Extrayendo campos del formulario')
+
+            const fieldList = fields.map(field => {
+                const type = field.validation_type ? ` (tipo: ${field.validation_type})` : ''
+                const options = field.validation_rules?.options?.length
+                    ? ` opciones: ${field.validation_rules.options.join(', ')}`
+                    : ''
+                return `- ${field.field_name}: ${field.field_label}${type}${options}`
+            }).join('\n')
+
+            // CONFIG.FORM_EXTRACTION.MODEL es de OpenAI; otros proveedores usan su modelo por defecto
+            const provider = getProviderForChatbot(options.chatbot)
+            const { content } = await provider.chat({
+                model: provider.name === 'openai' ? CONFIG.FORM_EXTRACTION.MODEL : provider.defaultModel,
+                messages: [
+                    { role: 'system', content: `${CONFIG.FORM_EXTRACTION.PROMPT}\n\nCampos:\n${fieldList}` },
+                    { role: 'user', content: text }
+                ],
+                temperature: 0,
+                maxTokens: CONFIG.FORM_EXTRACTION.MAX_TOKENS,
+                jsonMode: true
+            })
+
+            // Algunos modelos locales envuelven el JSON en un bloque de código
+            const extracted = JSON.parse(content.replace(/^```(?:json)?\s*|\s*```$/g, '') || '{}')
+            const fieldNames = new Set(fields.map(field => field.field_name))
+
+            return Object.fromEntries(
+                Object.entries(extracted).filter(([name, value]) =>
+                    fieldNames.has(name) && value !== null && String(value).trim() !== ''
+                )
+            )
+        } catch (error) {
+            // Sin extracción el formulario sigue campo por campo
+            console.error('🤖 OpenAI Extraction Error:', error.message)
+            return {}
+        }
+    },
+
     async generateEmbedding(text) {
         try {
+            const cached = recentEmbeddings.get(text)
+            if (cached && cached.expiresAt > Date.now()) {
+                console.log('🤖 OpenAI: Embedding reutilizado')
+                return cached.embedding
+            }
+
             console.log('🤖 OpenAI: Generando embedding para texto')
-            const response = await openai.embeddings.create({
-                model: "text-embedding-ada-002",
-                input: text
-            })
+            const embedding = await getEmbeddingProvider().embed(text)
+
+            recentEmbeddings.delete(text)
+            if (recentEmbeddings.size >= MAX_CACHED_EMBEDDINGS) {
+                // El Map conserva el orden de inserción: el primero es el más antiguo
+                recentEmbeddings.delete(recentEmbeddings.keys().next().value)
+            }
+            recentEmbeddings.set(text, { embedding, expiresAt: Date.now() + CONFIG.SEMANTIC_MATCH.EMBEDDING_TTL })
 
             console.log('🤖 OpenAI: Embedding generado exitosamente')
-            return response.data[0].embedding
+            return embedding
         } catch (error) {
             console.error('🤖 OpenAI Embedding Error:', error)
             throw new Error('Error generando embedding: ' + error.message)
@@ -0,0 +1,138 @@
+import { CONFIG } from '../../../config/constants.js'
+
+const JSON_INSTRUCTION = 'Responde únicamente con un objeto JSON válido, sin texto adicional.'
+
+// data:image/jpeg;base64,... -> bloque de imagen de Anthropic
+const toImageBlock = (url) => {
+    const [, mediaType, data] = /^data:([^;]+);base64,(.*)$/s.exec(url) || []
+    return mediaType
+        ? { type: 'image', source: { type: 'base64', media_type: mediaType, data } }
+        : { type: 'image', source: { type: 'url', url } }
+}
+
+const toContent = (content) => {
+    if (typeof content === 'string') return content
+    return content.map(part => part.type === 'image_url'
+        ? toImageBlock(part.image_url.url)
+        : { type: 'text', text: part.text })
+}
+
+// Argumentos de una llamada guardada en formato OpenAI (texto JSON); si no son válidos se envían vacíos
+const parseToolArguments = (call) => {
+    try {
+        return JSON.parse(call.function.arguments || '{}')
+    } catch {
+        console.warn('⚠️ Argumentos inválidos en la llamada a', call.function.name)
+        return {}
+    }
+}
+
+// Llamadas a herramientas del asistente y sus resultados (role 'tool') como bloques de Anthropic
+const toTurn = (message) => {
+    if (message.role === 'tool') {
+        return {
+            role: 'user',
+            content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]
+        }
+    }
+
+    if (message.role === 'assistant' && message.tool_calls?.length) {
+        return {
+            role: 'assistant',
+            content: [
+                ...(message.content ? [{ type: 'text', text: message.content }] : []),
+                ...message.tool_calls.map(call => ({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.function.name,
+                    input: parseToolArguments(call)
+                }))
+            ]
+        }
+    }
+
+    return { role: message.role, content: toContent(message.content) }
+}
+
+/**
+ * Convierte mensajes en formato OpenAI al de Anthropic: los mensajes de sistema van aparte
+ * y los turnos seguidos del mismo rol se combinan (la API exige alternar user/assistant)
+ */
+export const toAnthropicMessages = (messages) => {
+    const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n')
+
+    const turns = []
+    for (const message of messages.filter(item => item.role !== 'system')) {
+        const { role, content } = toTurn(message)
+        const last = turns[turns.length - 1]
+
+        if (last?.role === role) {
+            const toBlocks = (value) => (typeof value === 'string' ? [{ type: 'text', text: value }] : value)
+            last.content = [...toBlocks(last.content), ...toBlocks(content)]
+        } else {
+            turns.push({ role, content })
+        }
+    }
+
+    return { system, messages: turns }
+}
+
+/**
+ * Adaptador para la API de mensajes de Anthropic (sin SDK, con fetch)
+ */
+export const createAnthropicProvider = ({ apiKey, defaultModel }) => ({
+    name: 'anthropic',
+    defaultModel,
+
+    // top_p y las penalizaciones no se envían: no todos los modelos aceptan top_p junto con temperature
+    async chat({ model, messages, temperature, maxTokens, jsonMode = false, tools = [] }) {
+        if (!apiKey) {
+            throw new Error('ANTHROPIC_API_KEY no está configurada en el archivo .env')
+        }
+
+        const { system, messages: turns } = toAnthropicMessages(messages)
+        const response = await fetch(`${CONFIG.AI_PROVIDERS.ANTHROPIC_BASE_URL}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': CONFIG.AI_PROVIDERS.ANTHROPIC_VERSION
+            },
+            body: JSON.stringify({
+                model: model || defaultModel,
+                system: [system, jsonMode ? JSON_INSTRUCTION : ''].filter(Boolean).join('\n\n') || undefined,
+                messages: turns,
+                temperature,
+                max_tokens: maxTokens || 1024,
+                ...(tools.length
+                    ? { tools: tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })) }
+                    : {})
+            }),
+            signal: AbortSignal.timeout(CONFIG.AI_PROVIDERS.TIMEOUT)
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+            throw new Error(data?.error?.message || `Anthropic respondió ${response.status}`)
+        }
+
+        return {
+            content: data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            toolCalls: data.content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+            usage: data.usage || null
+        }
+    },
+
+    async embed() {
+        // Anthropic no ofrece embeddings: usar EMBEDDING_PROVIDER=openai o local
+        throw new Error('El proveedor anthropic no genera embeddings')
+    }
+})
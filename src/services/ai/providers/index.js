@@ -0,0 +1,61 @@
+import { CONFIG } from '../../../config/constants.js'
+import { createOpenAIProvider } from './openai.js'
+import { createAnthropicProvider } from './anthropic.js'
+import { createMockProvider } from './mock.js'
+
+/**
+ * Proveedores de modelos de lenguaje. Todos reciben mensajes en formato OpenAI
+ * ({ role, content } con content texto o partes text / image_url; tool_calls y role 'tool' para
+ * las herramientas) y exponen:
+ *   chat({ model, messages, temperature, maxTokens, topP, presencePenalty, frequencyPenalty, jsonMode, tools })
+ *     -> Promise<{ content: string, toolCalls: Array<{ id, name, arguments }>, usage: Object|null }>
+ *   tools: [{ name, description, parameters (JSON Schema) }]
+ *   embed(text) -> Promise<number[]>
+ */
+const FACTORIES = {
+    openai: () => createOpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        defaultModel: CONFIG.AI_PROVIDERS.DEFAULT_MODELS.openai
+    }),
+    anthropic: () => createAnthropicProvider({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        defaultModel: CONFIG.AI_PROVIDERS.DEFAULT_MODELS.anthropic
+    }),
+    // Servidor local compatible con la API de OpenAI (Ollama, llama.cpp)
+    local: () => createOpenAIProvider({
+        name: 'local',
+        apiKey: process.env.LOCAL_LLM_API_KEY,
+        baseURL: CONFIG.AI_PROVIDERS.LOCAL_BASE_URL,
+        defaultModel: CONFIG.AI_PROVIDERS.DEFAULT_MODELS.local,
+        embeddingModel: CONFIG.AI_PROVIDERS.LOCAL_EMBEDDING_MODEL,
+        requiresKey: false
+    }),
+    mock: () => createMockProvider()
+}
+
+export const PROVIDER_NAMES = Object.keys(FACTORIES)
+
+const instances = new Map()
+
+/**
+ * @param {string} [name] - Nombre del proveedor; sin nombre se usa el por defecto
+ */
+export const getProvider = (name = CONFIG.AI_PROVIDERS.DEFAULT) => {
+    if (!FACTORIES[name]) {
+        console.warn(`⚠️ Proveedor de IA desconocido "${name}", usando ${CONFIG.AI_PROVIDERS.DEFAULT}`)
+        name = CONFIG.AI_PROVIDERS.DEFAULT
+    }
+
+    if (!instances.has(name)) {
+        instances.set(name, FACTORIES[name]())
+    }
+    return instances.get(name)
+}
+
+/**
+ * Proveedor elegido para el chatbot (chatbots.ai_provider) o el por defecto
+ */
+export const getProviderForChatbot = (chatbot) => getProvider(chatbot?.ai_provider || CONFIG.AI_PROVIDERS.DEFAULT)
+
+// Los embeddings usan siempre el mismo proveedor para que los vectores guardados sean comparables
+export const getEmbeddingProvider = () => getProvider(CONFIG.AI_PROVIDERS.EMBEDDINGS)
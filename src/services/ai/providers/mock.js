@@ -0,0 +1,45 @@
+import crypto from 'crypto'
+
+const EMBEDDING_DIMENSIONS = 1536 // Igual que text-embedding-ada-002
+
+const getLastUserText = (messages) => {
+    const last = [...messages].reverse().find(message => message.role === 'user')
+    if (!last) return ''
+    return typeof last.content === 'string'
+        ? last.content
+        : last.content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+}
+
+/**
+ * Proveedor determinístico, sin red: la misma entrada produce siempre la misma salida.
+ * Sirve para pruebas y para correr el bot completo sin conexión.
+ */
+export const createMockProvider = () => ({
+    name: 'mock',
+    defaultModel: 'mock',
+
+    async chat({ messages, jsonMode = false }) {
+        const text = getLastUserText(messages)
+        return {
+            content: jsonMode ? '{}' : `[mock] ${text}`,
+            toolCalls: [],
+            usage: null
+        }
+    },
+
+    // Vector unitario derivado del hash del texto
+    async embed(text) {
+        const values = []
+        let block = crypto.createHash('sha256').update(text).digest()
+        while (values.length < EMBEDDING_DIMENSIONS) {
+            for (const byte of block) {
+                values.push(byte / 127.5 - 1)
+            }
+            block = crypto.createHash('sha256').update(block).digest()
+        }
+
+        const vector = values.slice(0, EMBEDDING_DIMENSIONS)
+        const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0))
+        return vector.map(value => value / norm)
+    }
+})
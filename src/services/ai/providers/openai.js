@@ -0,0 +1,81 @@
+import OpenAI from 'openai'
+import { CONFIG } from '../../../config/constants.js'
+
+const toOpenAITool = ({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+})
+
+// Los argumentos llegan como texto JSON; uno inválido se trata como llamada sin argumentos
+const fromOpenAIToolCall = (call) => {
+    let args = {}
+    try {
+        args = JSON.parse(call.function.arguments || '{}')
+    } catch {
+        console.warn('⚠️ Argumentos inválidos en la llamada a', call.function.name)
+    }
+    return { id: call.id, name: call.function.name, arguments: args }
+}
+
+/**
+ * Adaptador para la API de OpenAI y servidores compatibles (Ollama, llama.cpp, vLLM...)
+ * El cliente se crea en la primera llamada: sin API key el bot arranca igual y solo falla este proveedor.
+ */
+export const createOpenAIProvider = ({
+    name = 'openai',
+    apiKey,
+    baseURL,
+    defaultModel,
+    embeddingModel = CONFIG.AI_CONFIG.EMBEDDING_MODEL,
+    requiresKey = true
+}) => {
+    let client = null
+
+    const getClient = () => {
+        if (!client) {
+            if (requiresKey && !apiKey) {
+                throw new Error('OPENAI_API_KEY no está configurada en el archivo .env')
+            }
+            client = new OpenAI({
+                apiKey: apiKey || 'local',
+                baseURL,
+                timeout: CONFIG.AI_PROVIDERS.TIMEOUT
+            })
+        }
+        return client
+    }
+
+    return {
+        name,
+        defaultModel,
+
+        async chat({ model, messages, temperature, maxTokens, topP, presencePenalty, frequencyPenalty, jsonMode = false, tools = [] }) {
+            const completion = await getClient().chat.completions.create({
+                model: model || defaultModel,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+                top_p: topP,
+                presence_penalty: presencePenalty,
+                frequency_penalty: frequencyPenalty,
+                ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+                ...(tools.length ? { tools: tools.map(toOpenAITool) } : {})
+            })
+
+            const message = completion.choices[0].message
+            return {
+                content: message.content || '',
+                toolCalls: (message.tool_calls || []).map(fromOpenAIToolCall),
+                usage: completion.usage || null
+            }
+        },
+
+        async embed(text) {
+            const response = await getClient().embeddings.create({
+                model: embeddingModel,
+                input: text
+            })
+            return response.data[0].embedding
+        }
+    }
+}
@@ -0,0 +1,53 @@
+import { CONFIG } from '../../config/constants.js'
+
+/**
+ * Llama al modelo y ejecuta las herramientas que pida hasta obtener una respuesta de texto.
+ * En la última ronda no se ofrecen herramientas, así el modelo tiene que responder.
+ * @param {Object} provider - Proveedor de IA (ver ./providers)
+ * @param {Object} config - Parámetros de chat; a config.messages se agregan las llamadas y sus resultados
+ * @param {Object} options - { tools: [{ name, description, parameters }], executeTool: async (call) => ({ output, stop }) }
+ * @returns {Promise<{ response: string, usedTools: boolean, stopped: boolean }>}
+ */
+export const runToolLoop = async (provider, config, { tools = [], executeTool } = {}) => {
+    const canUseTools = tools.length > 0 && typeof executeTool === 'function'
+    let usedTools = false
+
+    for (let round = 0; ; round++) {
+        const lastRound = round >= CONFIG.AI_TOOLS.MAX_ROUNDS
+        const { content, toolCalls = [] } = await provider.chat({
+            ...config,
+            tools: canUseTools && !lastRound ? tools : []
+        })
+
+        if (!canUseTools || lastRound || toolCalls.length === 0) {
+            return { response: content, usedTools, stopped: false }
+        }
+
+        usedTools = true
+        config.messages.push({
+            role: 'assistant',
+            content: content || null,
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+            }))
+        })
+
+        let stopped = false
+        for (const call of toolCalls) {
+            const { output, stop } = await executeTool(call)
+            config.messages.push({
+                role: 'tool',
+                tool_call_id: call.id,
+                content: JSON.stringify(output)
+            })
+            stopped = stopped || Boolean(stop)
+        }
+
+        // La herramienta ya respondió al contacto (formulario, asesor...)
+        if (stopped) {
+            return { response: '', usedTools, stopped: true }
+        }
+    }
+}
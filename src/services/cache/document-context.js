@@ -0,0 +1,74 @@
+import { CONFIG } from '../../config/constants.js'
+
+/**
+ * Guarda por poco tiempo el texto del último documento que envió cada contacto,
+ * para que la IA pueda responder preguntas de seguimiento sobre él.
+ */
+class DocumentContextStore {
+    constructor() {
+        this.TTL = CONFIG.DOCUMENTS.CONTEXT_TTL
+        this.MAX_CHARS = CONFIG.DOCUMENTS.MAX_CHARS
+        this.documents = new Map()
+    }
+
+    _generateKey(chatbotId, phoneNumber) {
+        return `${chatbotId}-${phoneNumber}`
+    }
+
+    set(chatbotId, phoneNumber, { text, fileName, pages }) {
+        // Aprovechar para descartar documentos expirados
+        this.cleanup()
+
+        const truncated = text.length > this.MAX_CHARS
+        this.documents.set(this._generateKey(chatbotId, phoneNumber), {
+            text: truncated ? text.slice(0, this.MAX_CHARS) : text,
+            fileName,
+            pages,
+            truncated,
+            timestamp: Date.now()
+        })
+    }
+
+    get(chatbotId, phoneNumber) {
+        const key = this._generateKey(chatbotId, phoneNumber)
+        const entry = this.documents.get(key)
+        if (!entry) return null
+
+        if (Date.now() - entry.timestamp > this.TTL) {
+            this.documents.delete(key)
+            return null
+        }
+
+        return entry
+    }
+
+    delete(chatbotId, phoneNumber) {
+        this.documents.delete(this._generateKey(chatbotId, phoneNumber))
+    }
+
+    // Texto del documento listo para agregarlo al prompt de conocimiento
+    toPrompt(chatbotId, phoneNumber) {
+        const entry = this.get(chatbotId, phoneNumber)
+        if (!entry) return ''
+
+        const note = entry.truncated ? ' (solo se incluye el inicio del documento)' : ''
+        return `Documento enviado por el usuario "${entry.fileName}"${note}:\n${entry.text}`
+    }
+
+    // Limpiar documentos expirados
+    cleanup() {
+        const now = Date.now()
+        for (const [key, entry] of this.documents.entries()) {
+            if (now - entry.timestamp > this.TTL) {
+                this.documents.delete(key)
+            }
+        }
+    }
+
+    clear() {
+        this.documents.clear()
+    }
+}
+
+// Exportar instancia única
+export const DocumentContext = new DocumentContextStore()
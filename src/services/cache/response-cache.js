@@ -1,6 +1,6 @@
 import { createClient } from '@supabase/supabase-js'
 import { CONFIG } from '../../config/constants.js'
-import { normalizeText } from '../../flows/dynamic/index.js'
+import { normalizeText } from '../../utils/text-utils.js'
 
 class ResponseCacheService {
     constructor() {
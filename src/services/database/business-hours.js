@@ -0,0 +1,130 @@
+import { pool } from '../../config/supabase.js'
+import { TABLES } from '../../config/constants.js'
+import { ResponseCache } from '../cache/response-cache.js'
+
+export const BusinessHoursService = {
+    async upsertSchedule(userId, chatbotId, schedule) {
+        const connection = await pool.getConnection()
+        try {
+            const { data, error } = await connection
+                .from(TABLES.BUSINESS_HOURS)
+                .upsert({
+                    ...schedule,
+                    user_id: userId,
+                    chatbot_id: chatbotId,
+                    updated_at: new Date()
+                }, { onConflict: 'chatbot_id' })
+                .select()
+                .single()
+
+            if (error) throw new Error(error.message)
+
+            // Invalidar caché
+            await ResponseCache.delete(chatbotId, `business_hours_${chatbotId}`)
+
+            return data
+        } finally {
+            pool.releaseConnection(connection)
+        }
+    },
+
+    async getActiveSchedule(chatbotId) {
+        const connection = await pool.getConnection()
+        try {
+            // Intentar obtener del caché
+            const cacheKey = `business_hours_${chatbotId}`
+            const cached = await ResponseCache.get(chatbotId, cacheKey)
+            if (cached) {
+                return cached
+            }
+
+            const { data, error } = await connection
+                .from(TABLES.BUSINESS_HOURS)
+                .select('*')
+                .eq('chatbot_id', chatbotId)
+                .eq('is_active', true)
+                .maybeSingle()
+
+            if (error && error.code !== 'PGRST116') throw new Error(error.message)
+
+            if (data) {
+                await ResponseCache.set(chatbotId, cacheKey, data)
+            }
+
+            return data
+        } finally {
+            pool.releaseConnection(connection)
+        }
+    },
+
+    async trackOutOfOfficeMessage(schedule, phoneNumber) {
+        const connection = await pool.getConnection()
+        try {
+            // Clave de caché para el tracking
+            const trackingKey = `out_of_office_track_${schedule.id}_${phoneNumber}`
+            const intervalSeconds = (schedule.message_interval_minutes || 720) * 60
+
+            // Verificar caché primero
+            const cached = await ResponseCache.get(schedule.id, trackingKey)
+            if (cached) {
+                return false
+            }
+
+            // Verificar si ya existe un envío reciente
+            const { data: existing } = await connection
+                .from(TABLES.OUT_OF_OFFICE_TRACKING)
+                .select('id')
+                .eq('business_hours_id', schedule.id)
+                .eq('phone_number', phoneNumber)
+                .gte('expires_at', new Date().toISOString())
+                .limit(1)
+                .maybeSingle()
+
+            if (existing) {
+                await ResponseCache.set(schedule.id, trackingKey, true, intervalSeconds)
+                return false
+            }
+
+            const expiresAt = new Date(Date.now() + intervalSeconds * 1000)
+
+            const { error } = await connection
+                .from(TABLES.OUT_OF_OFFICE_TRACKING)
+                .insert({
+                    business_hours_id: schedule.id,
+                    user_id: schedule.user_id,
+                    phone_number: phoneNumber,
+                    sent_at: new Date().toISOString(),
+                    expires_at: expiresAt.toISOString()
+                })
+
+            if (error) throw error
+
+            await ResponseCache.set(schedule.id, trackingKey, true, intervalSeconds)
+
+            return true
+        } catch (error) {
+            console.error('Error tracking out of office message:', error)
+            return true // En caso de error, permitir enviar el mensaje
+        } finally {
+            pool.releaseConnection(connection)
+        }
+    },
+
+    async cleanOldTracking() {
+        const connection = await pool.getConnection()
+        try {
+            const { error } = await connection
+                .from(TABLES.OUT_OF_OFFICE_TRACKING)
+                .delete()
+                .lt('expires_at', new Date().toISOString())
+
+            if (error) {
+                console.error('Error cleaning old out of office tracking:', error)
+            }
+        } catch (error) {
+            console.error('Error in cleanOldTracking:', error)
+        } finally {
+            pool.releaseConnection(connection)
+        }
+    }
+}
@@ -4,7 +4,8 @@ import { OpenAIService } from '../ai/openai.js'
 import { ResponseCache } from '../cache/response-cache.js'
 
 export const ChatHistoryService = {
-    async addEntry(userId, chatbotId, phoneNumber, message, response) {
+    // toolCalls: herramientas que usó la IA en este turno ({ name, arguments, output, ... })
+    async addEntry(userId, chatbotId, phoneNumber, message, response, toolCalls = null) {
         const connection = await pool.getConnection()
         try {
             // Normalizar número de teléfono
@@ -20,7 +21,8 @@ export const ChatHistoryService = {
                 chatbotId,
                 phone: phoneNumber,
                 msgLength: message.length,
-                respLength: response?.length
+                respLength: response?.length,
+                tools: toolCalls?.map(call => call.name)
             })
 
             // Generate embedding for the message for future semantic search
@@ -41,6 +43,7 @@ export const ChatHistoryService = {
                     message: message,
                     response: response,
                     embedding: embedding,
+                    ...(toolCalls?.length ? { tool_calls: toolCalls } : {}),
                     created_at: new Date().toISOString()
                 })
                 .select()
@@ -74,7 +77,7 @@ export const ChatHistoryService = {
 
             const { data, error } = await connection
                 .from(TABLES.CHAT_HISTORY)
-                .select('message, response, created_at')
+                .select('message, response, tool_calls, created_at')
                 .eq('chatbot_id', chatbotId)
                 .eq('phone_number', phoneNumber)
                 .order('created_at', { ascending: false })
@@ -1,7 +1,8 @@
 import supabase, { pool } from '../../config/supabase.js'
-import { TABLES, ERROR_MESSAGES } from '../../config/constants.js'
+import { TABLES, ERROR_MESSAGES, CONFIG } from '../../config/constants.js'
 import { PortAssignmentService } from './port-assignment.js'
 import { ResponseCache } from '../cache/response-cache.js'
+import { validateAISettings } from '../ai/model-settings.js'
 
 export const ChatbotService = {
     async createChatbot(userId, name, description = '') {
@@ -76,6 +77,22 @@ export const ChatbotService = {
         }
     },
 
+    // Modelo y parámetros de generación del chatbot, validados contra los límites del modelo
+    async updateAISettings(chatbotId, userId, aiSettings, aiProvider = undefined) {
+        const chatbot = await this.getChatbot(chatbotId, userId)
+        const provider = aiProvider === undefined ? chatbot?.ai_provider : aiProvider
+        const validation = validateAISettings(aiSettings, provider || CONFIG.AI_PROVIDERS.DEFAULT)
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join(', '))
+        }
+
+        const updates = { ai_settings: aiSettings }
+        if (aiProvider !== undefined) {
+            updates.ai_provider = aiProvider
+        }
+        return this.updateChatbot(chatbotId, userId, updates)
+    },
+
     async toggleChatbotStatus(chatbotId, userId, isActive) {
         const connection = await pool.getConnection()
         try {
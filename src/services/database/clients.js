@@ -1,8 +1,8 @@
 import supabase from '../../config/supabase.js'
-import { TABLES } from '../../config/constants.js'
+import { TABLES, CONFIG } from '../../config/constants.js'
 
 export const ClientDataService = {
-    async createClientData(userId, chatbotId, clientData) {
+    async createClientData(userId, chatbotId, clientData, formType = CONFIG.DEFAULT_FORM_TYPE) {
         try {
             const { phone_number, ...formData } = clientData
 
@@ -12,6 +12,7 @@ export const ClientDataService = {
                     user_id: userId,
                     chatbot_id: chatbotId,
                     phone_number: phone_number,
+                    form_type: formType,
                     form_data: formData,
                     created_at: new Date()
                 })
@@ -26,13 +27,65 @@ export const ClientDataService = {
         }
     },
 
-    async getClientByPhone(chatbotId, phoneNumber) {
+    // Un contacto que repite el formulario actualiza su registro en lugar de crear otro
+    async upsertFormSubmission(userId, chatbotId, clientData, formType = CONFIG.DEFAULT_FORM_TYPE) {
+        const { phone_number, ...formData } = clientData
+
+        const existing = await this.getClientByPhone(chatbotId, phone_number, formType)
+        if (!existing) {
+            return this.createClientData(userId, chatbotId, clientData, formType)
+        }
+
+        const previousData = existing.form_data || {}
+        const changes = Object.fromEntries(
+            Object.entries(formData)
+                .filter(([key, value]) => JSON.stringify(previousData[key]) !== JSON.stringify(value))
+                .map(([key, value]) => [key, { from: previousData[key] ?? null, to: value }])
+        )
+
+        // Se conservan los datos que esta vez no se preguntaron (ej. campos condicionales)
+        const updates = {
+            form_data: { ...previousData, ...formData },
+            updated_at: new Date().toISOString()
+        }
+        if (Object.keys(changes).length > 0) {
+            updates.change_history = [
+                ...(existing.change_history || []),
+                { changed_at: updates.updated_at, changes }
+            ]
+        }
+
         const { data, error } = await supabase
+            .from(TABLES.CLIENT_DATA)
+            .update(updates)
+            .eq('id', existing.id)
+            .select()
+            .single()
+
+        if (error) {
+            console.error('Error updating client data:', error)
+            throw error
+        }
+
+        console.log(`🔄 Registro de cliente actualizado (${Object.keys(changes).length} cambios):`, phone_number)
+        return data
+    },
+
+    async getClientByPhone(chatbotId, phoneNumber, formType = null) {
+        let query = supabase
             .from(TABLES.CLIENT_DATA)
             .select('*')
             .eq('chatbot_id', chatbotId)
             .eq('phone_number', phoneNumber)
-            .single()
+
+        if (formType) {
+            query = query.eq('form_type', formType)
+        }
+
+        const { data, error } = await query
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle()
 
         if (error && error.code !== 'PGRST116') throw new Error(error.message)
         return data
@@ -71,11 +124,28 @@ export const ClientDataService = {
         return data
     },
 
-    async getAllClientData() {
-        const { data, error } = await supabase
+    /**
+     * Registros de un chatbot, opcionalmente por formulario y rango de fechas.
+     * Por defecto el rango es sobre updated_at, así se incluyen los contactos que volvieron a enviar
+     * el formulario dentro del rango aunque su registro se haya creado antes.
+     */
+    async getAllClientData(chatbotId, { formType = null, from = null, to = null, dateField = 'updated_at' } = {}) {
+        let query = supabase
             .from(TABLES.CLIENT_DATA)
             .select('*')
-            .order('created_at', { ascending: false })
+            .eq('chatbot_id', chatbotId)
+
+        if (formType) {
+            query = query.eq('form_type', formType)
+        }
+        if (from) {
+            query = query.gte(dateField, from)
+        }
+        if (to) {
+            query = query.lt(dateField, to)
+        }
+
+        const { data, error } = await query.order(dateField, { ascending: false })
 
         if (error) throw new Error(error.message)
         return data || []
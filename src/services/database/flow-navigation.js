@@ -0,0 +1,58 @@
+import supabase from '../../config/supabase.js'
+import { TABLES, CONFIG } from '../../config/constants.js'
+
+export const FlowNavigationService = {
+    async getCurrentNode(chatbotId, phoneNumber) {
+        try {
+            const { data, error } = await supabase
+                .from(TABLES.FLOW_NAVIGATION)
+                .select('current_flow_id, expires_at')
+                .eq('chatbot_id', chatbotId)
+                .eq('phone_number', phoneNumber)
+                .maybeSingle()
+
+            if (error && error.code !== 'PGRST116') throw error
+            if (!data) return null
+
+            // Navegación expirada: el contacto vuelve al nivel principal
+            if (new Date(data.expires_at) < new Date()) {
+                await this.clearNavigation(chatbotId, phoneNumber)
+                return null
+            }
+
+            return data.current_flow_id
+        } catch (error) {
+            console.error('Error obteniendo navegación de menú:', error)
+            return null
+        }
+    },
+
+    async setCurrentNode(userId, chatbotId, phoneNumber, flowId) {
+        const expiresAt = new Date(Date.now() + CONFIG.FLOW_MENU.NAVIGATION_TTL)
+
+        const { error } = await supabase
+            .from(TABLES.FLOW_NAVIGATION)
+            .upsert({
+                user_id: userId,
+                chatbot_id: chatbotId,
+                phone_number: phoneNumber,
+                current_flow_id: flowId,
+                updated_at: new Date().toISOString(),
+                expires_at: expiresAt.toISOString()
+            }, { onConflict: 'chatbot_id,phone_number' })
+
+        if (error) throw new Error(error.message)
+        return true
+    },
+
+    async clearNavigation(chatbotId, phoneNumber) {
+        const { error } = await supabase
+            .from(TABLES.FLOW_NAVIGATION)
+            .delete()
+            .eq('chatbot_id', chatbotId)
+            .eq('phone_number', phoneNumber)
+
+        if (error) throw new Error(error.message)
+        return true
+    }
+}
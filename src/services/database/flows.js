@@ -1,7 +1,35 @@
 import supabase, { pool } from '../../config/supabase.js'
-import { TABLES } from '../../config/constants.js'
+import { TABLES, CONFIG } from '../../config/constants.js'
 import { validators } from '../../utils/validators.js'
 import { ResponseCache } from '../cache/response-cache.js'
+import { OpenAIService } from '../ai/openai.js'
+
+// Texto a partir del cual se genera el embedding de un flujo
+const buildFlowEmbeddingText = (flow) => {
+    return [
+        ...(flow.keyword || []),
+        flow.option_label,
+        ...(flow.example_phrases || [])
+    ].filter(Boolean).join('\n')
+}
+
+// Generar embedding del flujo; si falla el flujo se guarda sin él
+const generateFlowEmbedding = async (flow) => {
+    const text = buildFlowEmbeddingText(flow)
+    if (!text) return null
+    try {
+        return await OpenAIService.generateEmbedding(text)
+    } catch (embeddingError) {
+        console.error('Error generando embedding del flujo:', embeddingError)
+        return null
+    }
+}
+
+// Columnas que usan el router y embed-flows; el embedding (1536 dimensiones) no se carga ni se cachea
+const FLOW_COLUMNS = [
+    'id', 'user_id', 'chatbot_id', 'keyword', 'response_text', 'media_url', 'match_mode', 'match_threshold',
+    'parent_id', 'option_label', 'order_index', 'active_after_hours', 'example_phrases', 'is_active'
+].join(', ')
 
 export const FlowService = {
     async createFlow(userId, chatbotId, flowData) {
@@ -13,14 +41,25 @@ export const FlowService = {
                 throw new Error(validation.errors.join(', '))
             }
 
+            // Embedding para coincidencia semántica (keywords + frases de ejemplo)
+            const embedding = await generateFlowEmbedding(flowData)
+
             const { data, error } = await connection
                 .from(TABLES.BOT_FLOWS)
                 .insert({
                     user_id: userId,
                     chatbot_id: chatbotId,
-                    keyword: flowData.keyword,
+                    keyword: flowData.keyword || [],
                     response_text: flowData.response_text,
                     media_url: flowData.media_url,
+                    parent_id: flowData.parent_id || null,
+                    option_label: flowData.option_label || null,
+                    order_index: flowData.order_index ?? 0,
+                    active_after_hours: flowData.active_after_hours ?? false,
+                    match_mode: flowData.match_mode || 'exact',
+                    match_threshold: flowData.match_threshold ?? null,
+                    example_phrases: flowData.example_phrases || [],
+                    embedding: embedding,
                     is_active: true
                 })
                 .select()
@@ -49,7 +88,7 @@ export const FlowService = {
 
             const { data, error } = await connection
                 .from(TABLES.BOT_FLOWS)
-                .select('*')
+                .select(FLOW_COLUMNS)
                 .eq('chatbot_id', chatbotId)
                 .eq('is_active', true)
 
@@ -73,7 +112,9 @@ export const FlowService = {
                 const validation = validators.validateFlow({
                     keyword: updates.keyword,
                     response_text: updates.response_text,
-                    media_url: updates.media_url
+                    media_url: updates.media_url,
+                    match_mode: updates.match_mode,
+                    match_threshold: updates.match_threshold
                 })
                 if (!validation.isValid) {
                     throw new Error(validation.errors.join(', '))
@@ -90,6 +131,11 @@ export const FlowService = {
 
             if (error) throw new Error(error.message)
 
+            // Regenerar embedding si cambió el texto con el que se construye
+            if (updates.keyword || updates.option_label || updates.example_phrases) {
+                await this.refreshFlowEmbedding(data)
+            }
+
             // Invalidar caché relacionado
             if (data?.chatbot_id) {
                 await ResponseCache.delete(data.chatbot_id, `active_flows_${data.chatbot_id}`)
@@ -101,6 +147,40 @@ export const FlowService = {
         }
     },
 
+    async refreshFlowEmbedding(flow) {
+        const embedding = await generateFlowEmbedding(flow)
+        if (!embedding) return false
+
+        const { error } = await supabase
+            .from(TABLES.BOT_FLOWS)
+            .update({ embedding })
+            .eq('id', flow.id)
+
+        if (error) throw new Error(error.message)
+        return true
+    },
+
+    // Candidatos ordenados por similitud; el handler elige el primero disponible
+    async findSemanticMatches(chatbotId, query, threshold = CONFIG.SEMANTIC_MATCH.THRESHOLD) {
+        try {
+            const queryEmbedding = await OpenAIService.generateEmbedding(query)
+
+            const { data, error } = await supabase
+                .rpc('match_bot_flows', {
+                    query_embedding: queryEmbedding,
+                    match_threshold: threshold,
+                    match_count: CONFIG.SEMANTIC_MATCH.CANDIDATES,
+                    p_chatbot_id: chatbotId
+                })
+
+            if (error) throw new Error(error.message)
+            return data || []
+        } catch (error) {
+            console.error('Error finding semantic flow match:', error)
+            return []
+        }
+    },
+
     async deleteFlow(flowId, userId) {
         const connection = await pool.getConnection()
         try {
@@ -1,33 +1,66 @@
 import supabase from '../../config/supabase.js'
+import { CONFIG } from '../../config/constants.js'
+import { validators } from '../../utils/validators.js'
 
 export const FormFieldsService = {
-    async getFormFields(chatbotId) {
+    async getFormFields(chatbotId, formType = CONFIG.DEFAULT_FORM_TYPE) {
         const { data, error } = await supabase
             .from('form_fields')
             .select('*')
             .eq('chatbot_id', chatbotId)
+            .eq('form_type', formType)
             .order('order_index', { ascending: true })
 
         if (error) throw error
         return data || []
     },
 
-    async validateField(value, validationType) {
-        if (!value || value.trim() === '') {
-            return false
+    // Campos de todos los formularios del chatbot
+    async getAllFormFields(chatbotId) {
+        const { data, error } = await supabase
+            .from('form_fields')
+            .select('*')
+            .eq('chatbot_id', chatbotId)
+            .order('form_type', { ascending: true })
+            .order('order_index', { ascending: true })
+
+        if (error) throw error
+        return data || []
+    },
+
+    async saveFormField(chatbotId, field) {
+        const validation = validators.validateFormField(field)
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join(', '))
         }
 
-        switch (validationType) {
-            case 'text':
-                return value.length > 0
-            case 'email':
-                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
-            case 'number':
-                return !isNaN(value) && value.length > 0
-            case 'phone':
-                return /^\d{10,}$/.test(value)
-            default:
-                return true
+        const { data, error } = await supabase
+            .from('form_fields')
+            .upsert({
+                form_type: CONFIG.DEFAULT_FORM_TYPE,
+                ...field,
+                chatbot_id: chatbotId,
+                updated_at: new Date()
+            }, { onConflict: 'chatbot_id,form_type,field_name' })
+            .select()
+            .single()
+
+        if (error) throw error
+        return data
+    },
+
+    /**
+     * Valida la respuesta de un campo con el registro de validadores compartido
+     * @param {string} value - Respuesta del usuario
+     * @param {Object|string} field - Campo de form_fields o solo su validation_type
+     * @returns {{ isValid: boolean, value: *, error: string|null }}
+     */
+    validateField(value, field) {
+        const fieldConfig = typeof field === 'string' ? { validation_type: field } : field
+        // El campo "nombres" se valida como nombre aunque no tenga tipo
+        if (fieldConfig?.field_name === 'nombres' && !fieldConfig.validation_type) {
+            return validators.validateField({ ...fieldConfig, validation_type: 'name' }, value)
         }
+        return validators.validateField(fieldConfig, value)
     }
 }
@@ -1,14 +1,15 @@
 import supabase from '../../config/supabase.js'
+import { CONFIG } from '../../config/constants.js'
 
 export const FormMessagesService = {
-    async getFormMessages(chatbotId) {
+    async getFormMessages(chatbotId, formType = CONFIG.DEFAULT_FORM_TYPE) {
         try {
             const { data, error } = await supabase
                 .from('form_messages')
                 .select('message_content, message_type')
                 .eq('chatbot_id', chatbotId)
                 .eq('is_active', true)
-                .eq('message_type', 'registration')
+                .eq('message_type', formType)
                 .single()
 
             if (error) throw error
@@ -23,16 +24,29 @@ export const FormMessagesService = {
         }
     },
 
-    async updateMessages(chatbotId, messageContent) {
+    // Todos los formularios activos del chatbot (message_type identifica cada formulario)
+    async listForms(chatbotId) {
+        const { data, error } = await supabase
+            .from('form_messages')
+            .select('message_content, message_type')
+            .eq('chatbot_id', chatbotId)
+            .eq('is_active', true)
+            .order('message_type', { ascending: true })
+
+        if (error) throw error
+        return data || []
+    },
+
+    async updateMessages(chatbotId, messageContent, formType = CONFIG.DEFAULT_FORM_TYPE) {
         const { error } = await supabase
             .from('form_messages')
             .upsert({
                 chatbot_id: chatbotId,
-                message_type: 'registration',
+                message_type: formType,
                 message_content: messageContent,
                 is_active: true,
                 updated_at: new Date()
-            })
+            }, { onConflict: 'chatbot_id,message_type' })
 
         if (error) throw error
         return true
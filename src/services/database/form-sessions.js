@@ -0,0 +1,76 @@
+import supabase from '../../config/supabase.js'
+import { TABLES, CONFIG } from '../../config/constants.js'
+
+export const FormSessionService = {
+    async getActiveSession(chatbotId, phoneNumber) {
+        try {
+            const { data, error } = await supabase
+                .from(TABLES.FORM_SESSIONS)
+                .select('*')
+                .eq('chatbot_id', chatbotId)
+                .eq('phone_number', phoneNumber)
+                .maybeSingle()
+
+            if (error && error.code !== 'PGRST116') throw error
+            if (!data) return null
+
+            // Formulario abandonado: se descarta
+            if (new Date(data.expires_at) < new Date()) {
+                console.log('⌛ Sesión de formulario expirada:', phoneNumber)
+                await this.clearSession(chatbotId, phoneNumber)
+                return null
+            }
+
+            return data
+        } catch (error) {
+            console.error('Error obteniendo sesión de formulario:', error)
+            return null
+        }
+    },
+
+    async saveProgress(userId, chatbotId, phoneNumber, { formType, currentField, answers }) {
+        const expiresAt = new Date(Date.now() + CONFIG.FORM_SESSIONS.TTL)
+
+        const { error } = await supabase
+            .from(TABLES.FORM_SESSIONS)
+            .upsert({
+                user_id: userId,
+                chatbot_id: chatbotId,
+                phone_number: phoneNumber,
+                form_type: formType || CONFIG.DEFAULT_FORM_TYPE,
+                current_field: currentField,
+                answers: answers,
+                updated_at: new Date().toISOString(),
+                expires_at: expiresAt.toISOString()
+            }, { onConflict: 'chatbot_id,phone_number' })
+
+        if (error) throw new Error(error.message)
+        return true
+    },
+
+    async clearSession(chatbotId, phoneNumber) {
+        const { error } = await supabase
+            .from(TABLES.FORM_SESSIONS)
+            .delete()
+            .eq('chatbot_id', chatbotId)
+            .eq('phone_number', phoneNumber)
+
+        if (error) throw new Error(error.message)
+        return true
+    },
+
+    async cleanExpiredSessions() {
+        try {
+            const { error } = await supabase
+                .from(TABLES.FORM_SESSIONS)
+                .delete()
+                .lt('expires_at', new Date().toISOString())
+
+            if (error) {
+                console.error('Error cleaning expired form sessions:', error)
+            }
+        } catch (error) {
+            console.error('Error in cleanExpiredSessions:', error)
+        }
+    }
+}
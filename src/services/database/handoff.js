@@ -0,0 +1,105 @@
+import supabase from '../../config/supabase.js'
+import { TABLES } from '../../config/constants.js'
+
+export const HandoffService = {
+    async startHandoff(userId, chatbotId, phoneNumber, { reason = 'keyword', agent = null } = {}) {
+        try {
+            // Reutilizar la sesión activa si ya existe
+            const existing = await this.getActiveSession(chatbotId, phoneNumber)
+            if (existing) {
+                return existing
+            }
+
+            const now = new Date().toISOString()
+            const { data, error } = await supabase
+                .from(TABLES.HANDOFF_SESSIONS)
+                .insert({
+                    user_id: userId,
+                    chatbot_id: chatbotId,
+                    phone_number: phoneNumber,
+                    status: 'active',
+                    reason: reason,
+                    agent: agent,
+                    started_at: now,
+                    last_activity_at: now,
+                    agent_activity_at: now
+                })
+                .select()
+                .single()
+
+            if (error) throw error
+            console.log('🙋 [HANDOFF] Sesión iniciada:', { phoneNumber, reason })
+            return data
+        } catch (error) {
+            console.error('❌ [HANDOFF] Error iniciando sesión:', error)
+            throw error
+        }
+    },
+
+    async getActiveSession(chatbotId, phoneNumber) {
+        const { data, error } = await supabase
+            .from(TABLES.HANDOFF_SESSIONS)
+            .select('*')
+            .eq('chatbot_id', chatbotId)
+            .eq('phone_number', phoneNumber)
+            .eq('status', 'active')
+            .maybeSingle()
+
+        if (error && error.code !== 'PGRST116') throw new Error(error.message)
+        return data
+    },
+
+    async touchSession(sessionId, updates = {}) {
+        const { data, error } = await supabase
+            .from(TABLES.HANDOFF_SESSIONS)
+            .update({ ...updates, last_activity_at: new Date().toISOString() })
+            .eq('id', sessionId)
+            .select()
+            .single()
+
+        if (error) throw new Error(error.message)
+        return data
+    },
+
+    // Actividad del asesor (toma de control, respuesta): reinicia el tiempo de inactividad
+    async touchAgentActivity(sessionId, updates = {}) {
+        const now = new Date().toISOString()
+        return this.touchSession(sessionId, { ...updates, agent_activity_at: now })
+    },
+
+    async releaseHandoff(chatbotId, phoneNumber, releasedBy = 'agent') {
+        const { data, error } = await supabase
+            .from(TABLES.HANDOFF_SESSIONS)
+            .update({
+                status: 'released',
+                released_at: new Date().toISOString(),
+                released_by: releasedBy
+            })
+            .eq('chatbot_id', chatbotId)
+            .eq('phone_number', phoneNumber)
+            .eq('status', 'active')
+            .select()
+
+        if (error) throw new Error(error.message)
+        console.log('🤖 [HANDOFF] Sesión liberada:', { phoneNumber, releasedBy })
+        return data?.[0] || null
+    },
+
+    async listActiveSessions(chatbotId) {
+        const { data, error } = await supabase
+            .from(TABLES.HANDOFF_SESSIONS)
+            .select('*')
+            .eq('chatbot_id', chatbotId)
+            .eq('status', 'active')
+            .order('last_activity_at', { ascending: false })
+
+        if (error) throw new Error(error.message)
+        return data || []
+    },
+
+    // Inactiva si el asesor no ha tomado control ni respondido en idleTimeout ms
+    isIdle(session, idleTimeout) {
+        const lastAgentActivity = new Date(session.agent_activity_at || session.started_at).getTime()
+        return Date.now() - lastAgentActivity > idleTimeout
+    }
+}
@@ -1,6 +1,7 @@
 import supabase from '../../config/supabase.js'
-import { TABLES } from '../../config/constants.js'
+import { TABLES, CONFIG } from '../../config/constants.js'
 import { OpenAIService } from '../ai/openai.js'
+import { replaceSourceRows } from '../knowledge/source-replacement.js'
 
 export const PromptsService = {
     async createBehaviorPrompt(userId, chatbotId, promptText) {
@@ -94,5 +95,61 @@ export const PromptsService = {
             console.error('Error finding relevant knowledge:', error)
             throw error
         }
+    },
+
+    /**
+     * Reemplaza los fragmentos de conocimiento de un archivo (source) por los nuevos,
+     * sin dejar nunca la fuente vacía (ver replaceSourceRows)
+     */
+    async replaceKnowledgeSource(userId, chatbotId, source, chunks, { category = CONFIG.KNOWLEDGE_INGESTION.DEFAULT_CATEGORY, metadata = {} } = {}) {
+        const rows = []
+        for (const [index, chunk] of chunks.entries()) {
+            rows.push({
+                user_id: userId,
+                chatbot_id: chatbotId,
+                prompt_text: chunk,
+                category: category,
+                source: source,
+                chunk_index: index,
+                metadata: metadata,
+                embedding: await OpenAIService.generateEmbedding(chunk),
+                is_active: false
+            })
+        }
+
+        return await replaceSourceRows(supabase, TABLES.KNOWLEDGE_PROMPTS, { chatbotId, source, rows })
+    },
+
+    async deleteKnowledgeSource(chatbotId, source) {
+        const { data, error } = await supabase
+            .from(TABLES.KNOWLEDGE_PROMPTS)
+            .delete()
+            .eq('chatbot_id', chatbotId)
+            .eq('source', source)
+            .select('id')
+
+        if (error) throw new Error(error.message)
+        return data?.length || 0
+    },
+
+    // Archivos cargados con su número de fragmentos
+    async listKnowledgeSources(chatbotId) {
+        const { data, error } = await supabase
+            .from(TABLES.KNOWLEDGE_PROMPTS)
+            .select('source, category, metadata, created_at')
+            .eq('chatbot_id', chatbotId)
+            .eq('is_active', true)
+            .not('source', 'is', null)
+            .order('created_at', { ascending: false })
+
+        if (error) throw new Error(error.message)
+
+        const sources = new Map()
+        for (const row of data || []) {
+            const entry = sources.get(row.source) || { ...row, chunks: 0 }
+            entry.chunks++
+            sources.set(row.source, entry)
+        }
+        return [...sources.values()]
     }
-} 
\ No newline at end of file
+}
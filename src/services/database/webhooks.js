@@ -0,0 +1,131 @@
+import supabase from '../../config/supabase.js'
+import { TABLES } from '../../config/constants.js'
+
+export const WebhookService = {
+    async getActiveEndpoints(chatbotId, event, formType = null) {
+        const { data, error } = await supabase
+            .from(TABLES.WEBHOOK_ENDPOINTS)
+            .select('*')
+            .eq('chatbot_id', chatbotId)
+            .eq('is_active', true)
+            .contains('events', [event])
+
+        if (error) throw new Error(error.message)
+
+        // form_types vacío o null: el endpoint recibe todos los formularios
+        return (data || []).filter(endpoint =>
+            !formType || !endpoint.form_types?.length || endpoint.form_types.includes(formType)
+        )
+    },
+
+    async getEndpointsByUrl(chatbotId, url) {
+        const { data, error } = await supabase
+            .from(TABLES.WEBHOOK_ENDPOINTS)
+            .select('*')
+            .eq('chatbot_id', chatbotId)
+            .eq('url', url)
+
+        if (error) throw new Error(error.message)
+        return data || []
+    },
+
+    async createEndpoint(chatbot, { url, secret, events, formTypes = null }) {
+        const { data, error } = await supabase
+            .from(TABLES.WEBHOOK_ENDPOINTS)
+            .insert({
+                chatbot_id: chatbot.id,
+                user_id: chatbot.user_id,
+                url,
+                secret,
+                events,
+                form_types: formTypes
+            })
+            .select()
+            .single()
+
+        if (error) throw new Error(error.message)
+        return data
+    },
+
+    async createDeliveries(chatbotId, endpoints, event, payload) {
+        const { data, error } = await supabase
+            .from(TABLES.WEBHOOK_DELIVERIES)
+            .insert(endpoints.map(endpoint => ({
+                endpoint_id: endpoint.id,
+                chatbot_id: chatbotId,
+                event: event,
+                payload: payload,
+                status: 'pending',
+                next_attempt_at: new Date().toISOString()
+            })))
+            .select()
+
+        if (error) throw new Error(error.message)
+        return data || []
+    },
+
+    // Entregas pendientes cuyo reintento ya venció, con la URL y el secret de su endpoint
+    async getDueDeliveries(chatbotId, limit) {
+        const { data, error } = await supabase
+            .from(TABLES.WEBHOOK_DELIVERIES)
+            .select('*, endpoint:webhook_endpoints(url, secret, is_active)')
+            .eq('chatbot_id', chatbotId)
+            .eq('status', 'pending')
+            .lte('next_attempt_at', new Date().toISOString())
+            .order('next_attempt_at', { ascending: true })
+            .limit(limit)
+
+        if (error) throw new Error(error.message)
+        return data || []
+    },
+
+    async updateDelivery(deliveryId, updates) {
+        const { data, error } = await supabase
+            .from(TABLES.WEBHOOK_DELIVERIES)
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', deliveryId)
+            .select()
+            .single()
+
+        if (error) throw new Error(error.message)
+        return data
+    },
+
+    async listDeliveries(chatbotId, { status = null, limit = 50 } = {}) {
+        let query = supabase
+            .from(TABLES.WEBHOOK_DELIVERIES)
+            .select('id, endpoint_id, event, status, attempts, last_status_code, last_error, next_attempt_at, delivered_at, created_at')
+            .eq('chatbot_id', chatbotId)
+
+        if (status) {
+            query = query.eq('status', status)
+        }
+
+        const { data, error } = await query
+            .order('created_at', { ascending: false })
+            .limit(limit)
+
+        if (error) throw new Error(error.message)
+        return data || []
+    },
+
+    // Vuelve a encolar una entrega (fallida o ya entregada) para enviarla de inmediato
+    async requeueDelivery(chatbotId, deliveryId) {
+        const { data, error } = await supabase
+            .from(TABLES.WEBHOOK_DELIVERIES)
+            .update({
+                status: 'pending',
+                attempts: 0,
+                last_error: null,
+                next_attempt_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', deliveryId)
+            .eq('chatbot_id', chatbotId)
+            .select()
+            .maybeSingle()
+
+        if (error) throw new Error(error.message)
+        return data
+    }
+}
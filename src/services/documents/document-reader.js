@@ -0,0 +1,154 @@
+import fs from 'fs'
+import path from 'path'
+import { downloadContentFromMessage } from '@whiskeysockets/baileys'
+// Se importa la librería directamente: el index de pdf-parse ejecuta un modo de prueba al cargarse como ESM
+import pdf from 'pdf-parse/lib/pdf-parse.js'
+import mammoth from 'mammoth'
+import { CONFIG } from '../../config/constants.js'
+import { memoryManager } from '../../utils/memory-manager.js'
+
+const PDF_TYPES = ['application/pdf']
+const DOCX_TYPES = ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+const TEXT_TYPES = ['text/plain']
+
+// Error con código para que quien lo reciba pueda explicar el motivo al usuario
+const documentError = (code, message) => Object.assign(new Error(message), { code })
+
+class DocumentReader {
+    constructor() {
+        this.MAX_FILE_SIZE = CONFIG.DOCUMENTS.MAX_FILE_SIZE
+        this.MAX_PAGES = CONFIG.DOCUMENTS.MAX_PAGES
+    }
+
+    // Obtener el documento del mensaje (con o sin pie de foto)
+    getDocumentMessage(ctx) {
+        return ctx?.message?.documentMessage ||
+            ctx?.message?.documentWithCaptionMessage?.message?.documentMessage ||
+            null
+    }
+
+    // Tipo de documento según mimetype o extensión
+    getDocumentType(mimetype = '', fileName = '') {
+        const extension = path.extname(fileName).toLowerCase()
+        if (PDF_TYPES.includes(mimetype) || extension === '.pdf') return 'pdf'
+        if (DOCX_TYPES.includes(mimetype) || extension === '.docx') return 'docx'
+        if (TEXT_TYPES.includes(mimetype) || extension === '.txt') return 'text'
+        return null
+    }
+
+    /**
+     * Descarga el documento de un mensaje y extrae su texto
+     * @param {Object} ctx - Contexto del mensaje de WhatsApp
+     * @returns {Promise<{ text: string, fileName: string, pages: number|null, caption: string }>}
+     */
+    async readFromMessage(ctx) {
+        const documentMessage = this.getDocumentMessage(ctx)
+        if (!documentMessage) {
+            throw new Error('No document message found')
+        }
+
+        const fileName = documentMessage.fileName || 'documento'
+        const type = this.getDocumentType(documentMessage.mimetype, fileName)
+        if (!type) {
+            throw documentError('UNSUPPORTED_TYPE', `Unsupported document type: ${documentMessage.mimetype}`)
+        }
+
+        if (Number(documentMessage.fileLength) > this.MAX_FILE_SIZE) {
+            throw documentError('FILE_TOO_LARGE', 'Document file too large')
+        }
+
+        console.log('📥 Descargando documento...', {
+            fileName,
+            mimetype: documentMessage.mimetype,
+            fileLength: documentMessage.fileLength
+        })
+
+        const tmpDir = path.join(process.cwd(), 'tmp')
+        if (!fs.existsSync(tmpDir)) {
+            fs.mkdirSync(tmpDir, { recursive: true })
+        }
+
+        const documentPath = path.join(tmpDir, `document_${Date.now()}${path.extname(fileName)}`)
+        memoryManager.trackTmpFile(documentPath)
+
+        try {
+            // Descargar directo a disco para no retener el archivo completo en memoria
+            let size = 0
+            const output = fs.createWriteStream(documentPath)
+            try {
+                const stream = await downloadContentFromMessage(documentMessage, 'document')
+                for await (const chunk of stream) {
+                    size += chunk.length
+
+                    // Verificar tamaño durante la descarga
+                    if (size > this.MAX_FILE_SIZE) {
+                        throw documentError('FILE_TOO_LARGE', 'Document file too large')
+                    }
+
+                    if (!output.write(chunk)) {
+                        await new Promise(resolve => output.once('drain', resolve))
+                    }
+                }
+            } finally {
+                await new Promise(resolve => output.end(resolve))
+            }
+            console.log('📥 Documento guardado temporalmente:', documentPath)
+
+            const buffer = await fs.promises.readFile(documentPath)
+            const { text, pages } = await this.extractText(buffer, {
+                mimetype: documentMessage.mimetype,
+                fileName
+            })
+
+            return {
+                text,
+                fileName,
+                pages,
+                caption: documentMessage.caption?.trim() || ''
+            }
+        } finally {
+            // Limpiar archivo temporal
+            await memoryManager.cleanupTmpFile(documentPath)
+        }
+    }
+
+    /**
+     * Extrae el texto de un documento con parsers locales (sin OCR en la nube)
+     * @param {Buffer} buffer - Contenido del archivo
+     * @param {Object} options - { mimetype, fileName, maxPages }
+     * @returns {Promise<{ text: string, pages: number|null }>}
+     */
+    async extractText(buffer, { mimetype = '', fileName = '', maxPages = this.MAX_PAGES } = {}) {
+        const type = this.getDocumentType(mimetype, fileName)
+
+        if (type === 'pdf') {
+            const data = await pdf(buffer, { max: maxPages })
+            if (data.numpages > maxPages) {
+                throw documentError('TOO_MANY_PAGES', `Document has ${data.numpages} pages (max ${maxPages})`)
+            }
+            return { text: this.cleanText(data.text), pages: data.numpages }
+        }
+
+        if (type === 'docx') {
+            const { value } = await mammoth.extractRawText({ buffer })
+            return { text: this.cleanText(value), pages: null }
+        }
+
+        if (type === 'text') {
+            return { text: this.cleanText(buffer.toString('utf8')), pages: null }
+        }
+
+        throw documentError('UNSUPPORTED_TYPE', `Unsupported document type: ${mimetype || fileName}`)
+    }
+
+    // Quitar espacios y saltos de línea repetidos
+    cleanText(text = '') {
+        return text
+            .replace(/\r/g, '')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim()
+    }
+}
+
+export default new DocumentReader()
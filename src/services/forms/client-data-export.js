@@ -0,0 +1,94 @@
+import ExcelJS from 'exceljs'
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+}
+
+// Columnas fijas antes de las respuestas del formulario
+const BASE_COLUMNS = [
+    { key: 'created_at', header: 'Fecha', get: record => record.created_at },
+    { key: 'updated_at', header: 'Actualizado', get: record => record.updated_at ?? '' },
+    { key: 'phone_number', header: 'Teléfono', get: record => record.phone_number },
+    { key: 'form_type', header: 'Formulario', get: record => record.form_type }
+]
+
+const formatValue = (value) => {
+    if (value === undefined || value === null) return ''
+    if (Array.isArray(value)) return value.join(', ')
+    if (value.type === 'media') return value.path
+    if (typeof value === 'object') return JSON.stringify(value)
+    return value
+}
+
+/**
+ * Aplana form_data en columnas: primero los campos de form_fields (por order_index, con su etiqueta)
+ * y al final las claves que ya no tienen campo configurado, con su nombre tal cual.
+ * @param {Array} records - Registros de client_data
+ * @param {Array} fields - Campos de form_fields ordenados
+ * @returns {{ headers: string[], rows: Array<Array> }}
+ */
+export const buildExportTable = (records, fields) => {
+    const columns = [...BASE_COLUMNS]
+    const seen = new Set()
+
+    for (const field of fields) {
+        if (seen.has(field.field_name)) continue
+        seen.add(field.field_name)
+        columns.push({
+            key: field.field_name,
+            header: field.field_label,
+            get: record => record.form_data?.[field.field_name]
+        })
+    }
+
+    for (const record of records) {
+        for (const key of Object.keys(record.form_data || {})) {
+            if (seen.has(key)) continue
+            seen.add(key)
+            columns.push({ key, header: key, get: item => item.form_data?.[key] })
+        }
+    }
+
+    return {
+        headers: columns.map(column => column.header),
+        rows: records.map(record => columns.map(column => formatValue(column.get(record))))
+    }
+}
+
+// Evita que Excel interprete respuestas como fórmulas (=HYPERLINK..., @SUM..., +1+cmd|...); los teléfonos
+// y números (+57 300..., -5) se dejan igual
+const FORMULA_PATTERN = /^[=+\-@\t\r]/
+const NUMBER_PATTERN = /^[+-]?[\d\s().,-]+$/
+
+const escapeCsv = (value) => {
+    const isFormula = typeof value === 'string' && FORMULA_PATTERN.test(value) && !NUMBER_PATTERN.test(value)
+    const text = isFormula ? `'${value}` : String(value)
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * CSV con BOM para que Excel reconozca tildes y eñes
+ * @returns {Buffer}
+ */
+export const toCsv = ({ headers, rows }) => {
+    const lines = [headers, ...rows].map(row => row.map(escapeCsv).join(','))
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8')
+}
+
+/**
+ * @returns {Promise<Buffer>}
+ */
+export const toXlsx = async ({ headers, rows }) => {
+    const workbook = new ExcelJS.Workbook()
+    const sheet = workbook.addWorksheet('Datos')
+
+    sheet.addRow(headers).font = { bold: true }
+    rows.forEach(row => sheet.addRow(row))
+    sheet.columns.forEach(column => {
+        column.width = 20
+    })
+    sheet.views = [{ state: 'frozen', ySplit: 1 }]
+
+    return Buffer.from(await workbook.xlsx.writeBuffer())
+}
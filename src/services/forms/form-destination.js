@@ -0,0 +1,53 @@
+import crypto from 'crypto'
+import { WebhookService } from '../database/webhooks.js'
+import { logger } from '../../utils/logger.js'
+
+const FORM_EVENT = 'form.submitted'
+
+// El endpoint ya recibe los registros de este formulario (activo o desactivado a propósito)
+const coversForm = (endpoint, formType) =>
+    endpoint.events?.includes(FORM_EVENT) &&
+    (!endpoint.form_types?.length || endpoint.form_types.includes(formType))
+
+/**
+ * Destino propio de un formulario (form_messages.message_content.destination.webhook_url y secret).
+ * No se envía aparte: la URL se registra como endpoint de webhook_endpoints limitado al formulario,
+ * así el registro sale una sola vez por la cola de webhookDispatcher, firmado y con reintentos.
+ */
+export const FormDestination = {
+    /**
+     * Registra el destino del formulario como endpoint si aún no existe uno que lo cubra
+     * @returns {Promise<Object|null>} Endpoint creado, o null si no hacía falta
+     */
+    async register(chatbot, formType, messages) {
+        const { webhook_url: webhookUrl, secret } = messages?.destination || {}
+        if (!webhookUrl) {
+            return null
+        }
+
+        try {
+            const endpoints = await WebhookService.getEndpointsByUrl(chatbot.id, webhookUrl)
+            if (endpoints.some(endpoint => coversForm(endpoint, formType))) {
+                return null
+            }
+
+            // El receptor necesita el mismo secret para verificar la firma: se toma de destination.secret
+            const endpoint = await WebhookService.createEndpoint(chatbot, {
+                url: webhookUrl,
+                secret: secret || crypto.randomBytes(32).toString('hex'),
+                events: [FORM_EVENT],
+                formTypes: [formType]
+            })
+            logger.info(`[FORMS] Destino del formulario "${formType}" registrado como webhook ${endpoint.id}`)
+            if (!secret) {
+                logger.warn(`[FORMS] El formulario "${formType}" no define destination.secret: el secret generado ` +
+                    `está en webhook_endpoints (id ${endpoint.id}) y debe configurarse en el receptor`)
+            }
+            return endpoint
+        } catch (error) {
+            // El registro ya quedó guardado, un fallo del destino no afecta al contacto
+            logger.error(`[FORMS] Error registrando el destino del formulario "${formType}":`, error.message)
+            return null
+        }
+    }
+}
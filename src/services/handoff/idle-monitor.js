@@ -0,0 +1,81 @@
+import { CONFIG } from '../../config/constants.js'
+import { ChatbotService } from '../database/chatbots.js'
+import { HandoffService } from '../database/handoff.js'
+import { OperatorChannel, getHandoffConfig } from './operator-channel.js'
+import { logger } from '../../utils/logger.js'
+
+/**
+ * Devuelve al bot una sesión cuyo asesor no tuvo actividad: avisa al contacto y al operador
+ * @param {Function} sendMessage - async (phoneNumber, text) para el mensaje de liberación
+ * @returns {Promise<boolean>} false si la sesión ya había sido liberada
+ */
+export const releaseIdleSession = async (chatbot, session, sendMessage) => {
+    const released = await HandoffService.releaseHandoff(chatbot.id, session.phone_number, 'idle')
+    if (!released) return false
+
+    try {
+        await sendMessage(session.phone_number, getHandoffConfig(chatbot).releaseMessage)
+    } catch (error) {
+        logger.error('[HANDOFF] Error enviando mensaje de liberación:', error)
+    }
+
+    await OperatorChannel.notify(chatbot, 'handoff.released', {
+        session_id: session.id,
+        phone_number: session.phone_number,
+        reason: 'idle'
+    })
+    return true
+}
+
+/**
+ * Libera periódicamente las sesiones de handoff sin actividad del asesor,
+ * aunque el contacto no vuelva a escribir
+ */
+class HandoffIdleMonitor {
+    constructor() {
+        this.timer = null
+        this.isChecking = false
+        this.sendMessage = null
+        this.isConnected = () => true
+    }
+
+    /**
+     * @param {Object} options - { sendMessage: async (phoneNumber, text), isConnected: () => boolean }
+     */
+    start({ sendMessage, isConnected = () => true }) {
+        if (this.timer) return
+        this.sendMessage = sendMessage
+        this.isConnected = isConnected
+        this.timer = setInterval(() => this.check(), CONFIG.HANDOFF.IDLE_CHECK_INTERVAL)
+    }
+
+    stop() {
+        clearInterval(this.timer)
+        this.timer = null
+    }
+
+    async check() {
+        // Sin conexión el contacto no recibiría el aviso: se espera a la siguiente revisión
+        if (this.isChecking || !this.isConnected()) return
+        this.isChecking = true
+
+        try {
+            const chatbot = await ChatbotService.getActiveChatbotForPort()
+            if (!chatbot) return
+
+            const { idleTimeout } = getHandoffConfig(chatbot)
+            const sessions = await HandoffService.listActiveSessions(chatbot.id)
+            for (const session of sessions.filter(item => HandoffService.isIdle(item, idleTimeout))) {
+                if (await releaseIdleSession(chatbot, session, this.sendMessage)) {
+                    logger.info(`[HANDOFF] Sesión liberada por inactividad del asesor: ${session.phone_number}`)
+                }
+            }
+        } catch (error) {
+            logger.error('[HANDOFF] Error revisando sesiones inactivas:', error)
+        } finally {
+            this.isChecking = false
+        }
+    }
+}
+
+export const handoffIdleMonitor = new HandoffIdleMonitor()
@@ -0,0 +1,53 @@
+import { CONFIG } from '../../config/constants.js'
+import { logger } from '../../utils/logger.js'
+
+/**
+ * Combina la configuración de handoff del chatbot con los valores por defecto
+ */
+export const getHandoffConfig = (chatbot) => {
+    const config = chatbot?.handoff_config || {}
+    return {
+        keywords: config.keywords?.length ? config.keywords : CONFIG.HANDOFF.KEYWORDS,
+        webhookUrl: config.webhook_url || CONFIG.HANDOFF.WEBHOOK_URL,
+        idleTimeout: Number(config.idle_timeout) || CONFIG.HANDOFF.IDLE_TIMEOUT,
+        aiEscalation: config.ai_escalation ?? CONFIG.HANDOFF.AI_ESCALATION,
+        startMessage: config.start_message || CONFIG.HANDOFF.START_MESSAGE,
+        releaseMessage: config.release_message || CONFIG.HANDOFF.RELEASE_MESSAGE
+    }
+}
+
+/**
+ * Canal hacia los operadores humanos: reenvía los eventos de handoff a un webhook HTTP
+ */
+export const OperatorChannel = {
+    async notify(chatbot, event, payload = {}) {
+        const { webhookUrl } = getHandoffConfig(chatbot)
+        if (!webhookUrl) {
+            logger.warn(`[HANDOFF] Sin webhook de operador configurado, evento "${event}" no enviado`)
+            return false
+        }
+
+        try {
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    event,
+                    chatbot_id: chatbot.id,
+                    timestamp: new Date().toISOString(),
+                    ...payload
+                }),
+                signal: AbortSignal.timeout(10000)
+            })
+
+            if (!response.ok) {
+                throw new Error(`Webhook respondió ${response.status}`)
+            }
+            return true
+        } catch (error) {
+            // Un fallo del canal no debe romper la conversación
+            logger.error(`[HANDOFF] Error notificando evento "${event}":`, error.message)
+            return false
+        }
+    }
+}
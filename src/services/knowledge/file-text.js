@@ -0,0 +1,100 @@
+/**
+ * Conversión a texto plano de formatos sin parser externo: Markdown, HTML y CSV
+ */
+
+const HTML_ENTITIES = {
+    '&nbsp;': ' ',
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&aacute;': 'á',
+    '&eacute;': 'é',
+    '&iacute;': 'í',
+    '&oacute;': 'ó',
+    '&uacute;': 'ú',
+    '&ntilde;': 'ñ'
+}
+
+export const htmlToText = (html) => {
+    return html
+        .replace(/<(script|style|noscript|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr|section|article|table)>/gi, '\n\n')
+        .replace(/<li[^>]*>/gi, '- ')
+        .replace(/<\/t[dh]>/gi, ' | ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&[a-z]+;|&#\d+;/gi, entity => HTML_ENTITIES[entity.toLowerCase()] ??
+            (entity.startsWith('&#') ? String.fromCharCode(Number(entity.slice(2, -1))) : entity))
+}
+
+// Se conserva el texto y la estructura de párrafos; se quitan las marcas de formato
+export const markdownToText = (markdown) => {
+    return markdown
+        .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/(\*\*|__)(.*?)\1/g, '$2')
+        .replace(/`([^`]+)`/g, '$1')
+}
+
+/**
+ * Lee un CSV (separado por coma o punto y coma, con comillas) como filas de celdas
+ */
+export const parseCsv = (csv) => {
+    const firstLine = csv.split('\n')[0]
+    const delimiter = (firstLine.match(/;/g)?.length || 0) > (firstLine.match(/,/g)?.length || 0) ? ';' : ','
+
+    const rows = []
+    let row = []
+    let cell = ''
+    let quoted = false
+
+    for (let index = 0; index < csv.length; index++) {
+        const char = csv[index]
+
+        if (quoted) {
+            if (char === '"' && csv[index + 1] === '"') {
+                cell += '"'
+                index++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                cell += char
+            }
+        } else if (char === '"') {
+            quoted = true
+        } else if (char === delimiter) {
+            row.push(cell.trim())
+            cell = ''
+        } else if (char === '\n') {
+            row.push(cell.trim())
+            rows.push(row)
+            row = []
+            cell = ''
+        } else if (char !== '\r') {
+            cell += char
+        }
+    }
+
+    row.push(cell.trim())
+    rows.push(row)
+    return rows.filter(cells => cells.some(Boolean))
+}
+
+/**
+ * Cada fila se convierte en una línea "Columna: valor | Columna: valor", así un fragmento
+ * recuperado conserva el significado de cada valor aunque no incluya el encabezado
+ */
+export const csvToText = (csv) => {
+    const [headers = [], ...rows] = parseCsv(csv.replace(/^\uFEFF/, ''))
+    return rows
+        .map(cells => cells
+            .map((value, index) => (value ? `${headers[index] || `Columna ${index + 1}`}: ${value}` : ''))
+            .filter(Boolean)
+            .join(' | '))
+        .join('\n')
+}
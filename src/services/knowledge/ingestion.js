@@ -0,0 +1,121 @@
+import path from 'path'
+import { CONFIG } from '../../config/constants.js'
+import DocumentReader from '../documents/document-reader.js'
+import { PromptsService } from '../database/prompts.js'
+import { chunkText } from '../../utils/text-chunker.js'
+import { htmlToText, markdownToText, csvToText } from './file-text.js'
+
+// Formatos que se convierten a texto aquí; PDF, DOCX y TXT los lee DocumentReader
+const TEXT_CONVERTERS = {
+    '.md': markdownToText,
+    '.markdown': markdownToText,
+    '.html': htmlToText,
+    '.htm': htmlToText,
+    '.csv': csvToText
+}
+
+const MIME_EXTENSIONS = {
+    'text/markdown': '.md',
+    'text/html': '.html',
+    'text/csv': '.csv'
+}
+
+export const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.txt', ...Object.keys(TEXT_CONVERTERS)]
+
+const ingestionError = (code, message) => Object.assign(new Error(message), { code })
+
+class KnowledgeIngestion {
+    constructor() {
+        this.settings = CONFIG.KNOWLEDGE_INGESTION
+    }
+
+    // Extensión del archivo, o la que corresponde a su mimetype si no tiene
+    getExtension(fileName = '', mimetype = '') {
+        return path.extname(fileName).toLowerCase() || MIME_EXTENSIONS[mimetype] || ''
+    }
+
+    /**
+     * Texto plano del archivo según su tipo
+     * @returns {Promise<{ text: string, pages: number|null }>}
+     */
+    async extractText(buffer, { fileName = '', mimetype = '' } = {}) {
+        const extension = this.getExtension(fileName, mimetype)
+        const converter = TEXT_CONVERTERS[extension]
+
+        if (converter) {
+            const text = converter(buffer.toString('utf8'))
+            return { text: DocumentReader.cleanText(text), pages: null }
+        }
+
+        try {
+            return await DocumentReader.extractText(buffer, {
+                mimetype,
+                fileName,
+                maxPages: this.settings.MAX_PAGES
+            })
+        } catch (error) {
+            if (error.code === 'UNSUPPORTED_TYPE') {
+                throw ingestionError('UNSUPPORTED_TYPE',
+                    `Unsupported file type: ${fileName || mimetype}. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}`)
+            }
+            throw error
+        }
+    }
+
+    /**
+     * Divide un archivo en fragmentos y los guarda como knowledge_prompts.
+     * Si el source ya existía, sus fragmentos anteriores se reemplazan.
+     * @param {Object} params - { userId, chatbotId, buffer, fileName, mimetype, source, category }
+     * @returns {Promise<{ source: string, chunks: number, removed: number, pages: number|null }>}
+     */
+    async ingestFile({ userId, chatbotId, buffer, fileName, mimetype = '', source, category }) {
+        if (!buffer?.length) {
+            throw ingestionError('EMPTY_FILE', 'File is empty')
+        }
+        if (buffer.length > this.settings.MAX_FILE_SIZE) {
+            throw ingestionError('FILE_TOO_LARGE',
+                `File is ${buffer.length} bytes (max ${this.settings.MAX_FILE_SIZE})`)
+        }
+
+        const { text, pages } = await this.extractText(buffer, { fileName, mimetype })
+        const chunks = chunkText(text, {
+            size: this.settings.CHUNK_SIZE,
+            overlap: this.settings.CHUNK_OVERLAP
+        })
+        if (chunks.length === 0) {
+            throw ingestionError('NO_TEXT', 'No text could be extracted from the file')
+        }
+
+        const sourceName = source || fileName
+        console.log(`📥 Ingesta de "${sourceName}": ${chunks.length} fragmentos${pages ? ` (${pages} páginas)` : ''}`)
+
+        const { inserted, removed } = await PromptsService.replaceKnowledgeSource(userId, chatbotId, sourceName, chunks, {
+            category: category || this.settings.DEFAULT_CATEGORY,
+            metadata: {
+                file_name: fileName,
+                type: this.getExtension(fileName, mimetype).slice(1),
+                pages,
+                chunks: chunks.length,
+                ingested_at: new Date().toISOString()
+            }
+        })
+
+        if (removed > 0) {
+            console.log(`♻️ Reemplazados ${removed} fragmentos anteriores de "${sourceName}"`)
+        }
+
+        return { source: sourceName, chunks: inserted, removed, pages }
+    }
+
+    async deleteSource(chatbotId, source) {
+        const removed = await PromptsService.deleteKnowledgeSource(chatbotId, source)
+        console.log(`🗑️ Eliminados ${removed} fragmentos de "${source}"`)
+        return removed
+    }
+
+    listSources(chatbotId) {
+        return PromptsService.listKnowledgeSources(chatbotId)
+    }
+}
+
+export default new KnowledgeIngestion()
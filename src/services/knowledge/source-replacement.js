@@ -0,0 +1,49 @@
+/**
+ * Cambia las filas de un archivo (source) por las nuevas. Las nuevas llegan inactivas; solo después de
+ * guardarlas se activan y se borran las anteriores, así un error deja la versión anterior (o, si falla
+ * el borrado, ambas) y nunca la fuente vacía.
+ * @param {Object} client - Cliente de Supabase
+ * @param {string} table - Tabla de conocimiento
+ * @param {Object} params - { chatbotId, source, rows: filas con is_active false }
+ * @returns {Promise<{ inserted: number, removed: number }>}
+ */
+export const replaceSourceRows = async (client, table, { chatbotId, source, rows }) => {
+    // Fragmentos actuales de la fuente, incluidos los inactivos de una carga que no terminó
+    const { data: previous, error: previousError } = await client
+        .from(table)
+        .select('id')
+        .eq('chatbot_id', chatbotId)
+        .eq('source', source)
+
+    if (previousError) throw new Error(previousError.message)
+
+    const { data: inserted, error: insertError } = await client
+        .from(table)
+        .insert(rows)
+        .select('id')
+
+    if (insertError) throw new Error(insertError.message)
+    const insertedIds = inserted.map(row => row.id)
+
+    const { error: activateError } = await client
+        .from(table)
+        .update({ is_active: true })
+        .in('id', insertedIds)
+
+    if (activateError) {
+        await client.from(table).delete().in('id', insertedIds)
+        throw new Error(activateError.message)
+    }
+
+    const previousIds = (previous || []).map(row => row.id)
+    if (previousIds.length > 0) {
+        const { error: deleteError } = await client
+            .from(table)
+            .delete()
+            .in('id', previousIds)
+
+        if (deleteError) throw new Error(deleteError.message)
+    }
+
+    return { inserted: insertedIds.length, removed: previousIds.length }
+}
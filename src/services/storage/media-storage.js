@@ -0,0 +1,75 @@
+import fs from 'fs'
+import path from 'path'
+import supabase from '../../config/supabase.js'
+import { CONFIG } from '../../config/constants.js'
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf',
+    'audio/ogg': '.ogg',
+    'audio/mpeg': '.mp3',
+    'audio/mp4': '.m4a'
+}
+
+// Solo letras, números, guion y guion bajo en las rutas
+const safeSegment = (value) => String(value).replace(/[^\w-]/g, '_')
+
+/**
+ * Guarda los archivos recibidos en campos de formulario, en Supabase Storage o en un directorio local
+ * (CONFIG.MEDIA_STORAGE.DRIVER). En form_data solo se guarda la referencia que devuelve save().
+ */
+class MediaStorage {
+    constructor() {
+        this.driver = CONFIG.MEDIA_STORAGE.DRIVER
+        this.bucket = CONFIG.MEDIA_STORAGE.BUCKET
+        this.localDir = path.resolve(process.cwd(), CONFIG.MEDIA_STORAGE.LOCAL_DIR)
+    }
+
+    buildPath({ chatbotId, phoneNumber, fieldName, mimetype, fileName }) {
+        const mimeType = mimetype?.split(';')[0]
+        const extension = path.extname(fileName || '').toLowerCase() || EXTENSIONS[mimeType] || ''
+        return [
+            safeSegment(chatbotId),
+            safeSegment(phoneNumber),
+            `${safeSegment(fieldName)}_${Date.now()}${extension}`
+        ].join('/')
+    }
+
+    /**
+     * @param {Buffer} buffer - Contenido del archivo
+     * @param {Object} meta - { chatbotId, phoneNumber, fieldName, kind, mimetype, fileName }
+     * @returns {Promise<Object>} Referencia { type: 'media', storage, path, kind, mimetype, size, file_name }
+     */
+    async save(buffer, meta) {
+        const filePath = this.buildPath(meta)
+
+        if (this.driver === 'local') {
+            const fullPath = path.join(this.localDir, filePath)
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true })
+            await fs.promises.writeFile(fullPath, buffer)
+        } else {
+            const { error } = await supabase.storage
+                .from(this.bucket)
+                .upload(filePath, buffer, { contentType: meta.mimetype, upsert: false })
+
+            if (error) throw new Error(error.message)
+        }
+
+        console.log('💾 Archivo de formulario guardado:', filePath)
+
+        return {
+            type: 'media',
+            storage: this.driver,
+            ...(this.driver === 'local' ? {} : { bucket: this.bucket }),
+            path: filePath,
+            kind: meta.kind,
+            mimetype: meta.mimetype,
+            size: buffer.length,
+            file_name: meta.fileName || path.basename(filePath)
+        }
+    }
+}
+
+export default new MediaStorage()
@@ -0,0 +1,141 @@
+import { CONFIG } from '../../config/constants.js'
+import { WebhookService } from '../database/webhooks.js'
+import { ChatbotService } from '../database/chatbots.js'
+import { logger } from '../../utils/logger.js'
+import { signPayload, getRetryDelay } from './signing.js'
+
+/**
+ * Entrega los webhooks salientes desde la cola persistente (webhook_deliveries).
+ * Los eventos se guardan antes de enviarse, así un reinicio no pierde entregas pendientes.
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.pollTimer = null
+        this.isProcessing = false
+    }
+
+    start() {
+        if (this.pollTimer) return
+        this.pollTimer = setInterval(() => this.processQueue(), CONFIG.WEBHOOKS.POLL_INTERVAL)
+        // Enviar lo que quedó pendiente antes del reinicio
+        this.processQueue()
+    }
+
+    stop() {
+        clearInterval(this.pollTimer)
+        this.pollTimer = null
+    }
+
+    /**
+     * Encola un evento para todos los endpoints activos del chatbot suscritos a él
+     * Un fallo al encolar se registra pero no interrumpe la conversación.
+     * @returns {Promise<number>} Número de entregas creadas
+     */
+    async enqueue(chatbot, event, payload, { formType = null } = {}) {
+        try {
+            const endpoints = await WebhookService.getActiveEndpoints(chatbot.id, event, formType)
+            if (endpoints.length === 0) {
+                return 0
+            }
+
+            const deliveries = await WebhookService.createDeliveries(chatbot.id, endpoints, event, {
+                event,
+                chatbot_id: chatbot.id,
+                timestamp: new Date().toISOString(),
+                ...payload
+            })
+            logger.info(`[WEBHOOKS] Evento "${event}" encolado para ${deliveries.length} endpoint(s)`)
+
+            // Primer intento inmediato, sin esperar al siguiente ciclo
+            this.processQueue()
+            return deliveries.length
+        } catch (error) {
+            logger.error(`[WEBHOOKS] Error encolando evento "${event}":`, error.message)
+            return 0
+        }
+    }
+
+    async processQueue() {
+        if (this.isProcessing) return
+        this.isProcessing = true
+
+        try {
+            const chatbot = await ChatbotService.getActiveChatbotForPort()
+            if (!chatbot) return
+
+            const deliveries = await WebhookService.getDueDeliveries(chatbot.id, CONFIG.WEBHOOKS.BATCH_SIZE)
+            for (const delivery of deliveries) {
+                await this.attempt(delivery)
+            }
+        } catch (error) {
+            logger.error('[WEBHOOKS] Error procesando la cola:', error.message)
+        } finally {
+            this.isProcessing = false
+        }
+    }
+
+    async attempt(delivery) {
+        const attempts = delivery.attempts + 1
+        const endpoint = delivery.endpoint
+
+        if (!endpoint?.is_active) {
+            return WebhookService.updateDelivery(delivery.id, {
+                status: 'failed',
+                last_error: 'Endpoint desactivado'
+            })
+        }
+
+        const body = JSON.stringify(delivery.payload)
+        let statusCode = null
+
+        try {
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    [CONFIG.WEBHOOKS.SIGNATURE_HEADER]: signPayload(endpoint.secret, body),
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id
+                },
+                body,
+                signal: AbortSignal.timeout(CONFIG.WEBHOOKS.TIMEOUT)
+            })
+            statusCode = response.status
+
+            if (!response.ok) {
+                throw new Error(`Webhook respondió ${response.status}`)
+            }
+
+            return await WebhookService.updateDelivery(delivery.id, {
+                status: 'delivered',
+                attempts,
+                last_status_code: statusCode,
+                last_error: null,
+                delivered_at: new Date().toISOString()
+            })
+        } catch (error) {
+            const exhausted = attempts >= CONFIG.WEBHOOKS.MAX_ATTEMPTS
+            logger.warn(`[WEBHOOKS] Entrega ${delivery.id} falló (intento ${attempts}):`, error.message)
+
+            return WebhookService.updateDelivery(delivery.id, {
+                status: exhausted ? 'failed' : 'pending',
+                attempts,
+                last_status_code: statusCode,
+                last_error: error.message,
+                next_attempt_at: new Date(Date.now() + getRetryDelay(attempts)).toISOString()
+            })
+        }
+    }
+
+    // Reenvía una entrega desde el registro (ej. tras corregir el endpoint)
+    async replay(chatbotId, deliveryId) {
+        const delivery = await WebhookService.requeueDelivery(chatbotId, deliveryId)
+        if (delivery) {
+            this.processQueue()
+        }
+        return delivery
+    }
+}
+
+// Exportar instancia única
+export const webhookDispatcher = new WebhookDispatcher()
@@ -0,0 +1,20 @@
+import crypto from 'crypto'
+import { CONFIG } from '../../config/constants.js'
+
+/**
+ * Firma del cuerpo con el secret del endpoint: t=<unix>,v1=<hex>
+ * El receptor recalcula hmac_sha256(secret, `${t}.${body}`) y compara.
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex')
+    return `t=${timestamp},v1=${signature}`
+}
+
+// Espera antes del siguiente intento: 30s, 1m, 2m, 4m... hasta MAX_DELAY
+export const getRetryDelay = (attempts) => {
+    const { BASE_DELAY, MAX_DELAY } = CONFIG.WEBHOOKS
+    return Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY)
+}
@@ -0,0 +1,228 @@
+/**
+ * Registro de tipos de validación para los campos del formulario
+ *
+ * Cada validador recibe el valor escrito por el usuario y las reglas del campo
+ * (form_fields.validation_rules) y devuelve { isValid, value, error }:
+ *   - value: valor normalizado que se guarda (ej. fecha en ISO, NIT con guion)
+ *   - error: mensaje por defecto si el campo no define error_message
+ */
+
+import { CONFIG, VALIDATION_PATTERNS } from '../config/constants.js'
+import { normalizeText } from './text-utils.js'
+import { getLocalTime } from './schedule.js'
+
+// Formatos de fecha aceptados por locale (siempre se acepta también YYYY-MM-DD)
+export const DATE_FORMATS = {
+    'es-CO': ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY'],
+    'es-ES': ['DD/MM/YYYY', 'DD-MM-YYYY'],
+    'en-US': ['MM/DD/YYYY', 'MM-DD-YYYY']
+}
+
+const ISO_FORMAT = 'YYYY-MM-DD'
+const DEFAULT_LOCALE = 'es-CO'
+
+const MEDIA_KIND_LABELS = {
+    image: 'una foto',
+    document: 'un documento',
+    audio: 'una nota de voz'
+}
+
+// Pesos de la DIAN para el dígito de verificación del NIT
+const NIT_WEIGHTS = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71]
+
+const valid = (value) => ({ isValid: true, value, error: null })
+const invalid = (error) => ({ isValid: false, value: null, error })
+
+const pad = (number) => String(number).padStart(2, '0')
+
+/**
+ * Convierte una fecha escrita en un formato (DD, MM, YYYY y separadores) a YYYY-MM-DD
+ * @returns {string|null} Fecha ISO o null si no coincide o no existe
+ */
+export const parseDate = (value, format) => {
+    const order = []
+    const pattern = format
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/YYYY|DD|MM/g, token => {
+            order.push(token)
+            return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})'
+        })
+
+    const match = new RegExp(`^${pattern}$`).exec(value.trim())
+    if (!match) return null
+
+    const parts = Object.fromEntries(order.map((token, index) => [token, Number(match[index + 1])]))
+    const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD))
+
+    // Descartar fechas inexistentes como 31/02
+    if (date.getUTCFullYear() !== parts.YYYY || date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD) {
+        return null
+    }
+
+    return `${parts.YYYY}-${pad(parts.MM)}-${pad(parts.DD)}`
+}
+
+// Resuelve límites de fecha: 'today' (fecha actual en la zona horaria del bot, no la del servidor) o una fecha ISO
+const resolveDateLimit = (limit) => {
+    if (!limit) return null
+    if (limit === 'today') {
+        return getLocalTime(new Date(), CONFIG.TEMPLATES.TIMEZONE).isoDate
+    }
+    return limit
+}
+
+/**
+ * Calcula el dígito de verificación de un NIT colombiano
+ * @param {string} nit - Número base del NIT, solo dígitos
+ * @returns {number}
+ */
+export const nitCheckDigit = (nit) => {
+    const sum = nit
+        .split('')
+        .reverse()
+        .reduce((total, digit, index) => total + Number(digit) * NIT_WEIGHTS[index], 0)
+    const remainder = sum % 11
+    return remainder > 1 ? 11 - remainder : remainder
+}
+
+export const FIELD_VALIDATORS = {
+    text(value) {
+        return value.length > 0 ? valid(value) : invalid('❌ Respuesta no válida.')
+    },
+
+    name(value) {
+        return value.length > 0 ? valid(value) : invalid('❌ El nombre no puede estar vacío.')
+    },
+
+    email(value) {
+        const email = value.toLowerCase()
+        return VALIDATION_PATTERNS.EMAIL.test(email)
+            ? valid(email)
+            : invalid('❌ El correo electrónico no es válido.')
+    },
+
+    phone(value) {
+        const phone = value.replace(/[\s\-()]/g, '')
+        return /^\+?\d{10,}$/.test(phone)
+            ? valid(phone)
+            : invalid('❌ El número de teléfono debe tener al menos 10 dígitos.')
+    },
+
+    number(value, rules = {}) {
+        const number = Number(value.replace(',', '.'))
+        if (value === '' || Number.isNaN(number)) {
+            return invalid('❌ Debes escribir un número.')
+        }
+        if (rules.integer && !Number.isInteger(number)) {
+            return invalid('❌ Debes escribir un número entero.')
+        }
+        if (rules.min != null && number < rules.min) {
+            return invalid(`❌ El número debe ser mayor o igual a ${rules.min}.`)
+        }
+        if (rules.max != null && number > rules.max) {
+            return invalid(`❌ El número debe ser menor o igual a ${rules.max}.`)
+        }
+        return valid(number)
+    },
+
+    date(value, rules = {}) {
+        const formats = rules.formats || DATE_FORMATS[rules.locale || DEFAULT_LOCALE] || DATE_FORMATS[DEFAULT_LOCALE]
+        const isoDate = [...formats, ISO_FORMAT]
+            .map(format => parseDate(value, format))
+            .find(Boolean)
+
+        if (!isoDate) {
+            return invalid(`❌ La fecha no es válida. Usa el formato ${formats[0]}.`)
+        }
+
+        const min = resolveDateLimit(rules.min)
+        const max = resolveDateLimit(rules.max)
+        if (min && isoDate < min) {
+            return invalid('❌ La fecha es anterior a la permitida.')
+        }
+        if (max && isoDate > max) {
+            return invalid('❌ La fecha es posterior a la permitida.')
+        }
+        return valid(isoDate)
+    },
+
+    regex(value, rules = {}) {
+        try {
+            return new RegExp(rules.pattern, rules.flags || '').test(value)
+                ? valid(value)
+                : invalid('❌ La respuesta no tiene el formato esperado.')
+        } catch {
+            console.error('Expresión regular inválida en campo:', rules.pattern)
+            return invalid('❌ La respuesta no tiene el formato esperado.')
+        }
+    },
+
+    // Acepta el texto de la opción o su número en la lista
+    choice(value, rules = {}) {
+        const options = rules.options || []
+        const index = /^\d+$/.test(value) ? Number(value) - 1 : -1
+        const option = options[index] ??
+            options.find(item => normalizeText(String(item)) === normalizeText(value))
+
+        if (option === undefined) {
+            const list = options.map((item, i) => `${i + 1}. ${item}`).join('\n')
+            return invalid(`❌ Elige una de las opciones:\n${list}`)
+        }
+        return valid(option)
+    },
+
+    url(value) {
+        const candidate = /^https?:\/\//i.test(value) ? value : `https://${value}`
+        try {
+            const url = new URL(candidate)
+            return url.hostname.includes('.')
+                ? valid(url.toString())
+                : invalid('❌ La dirección web no es válida.')
+        } catch {
+            return invalid('❌ La dirección web no es válida.')
+        }
+    },
+
+    // Cédula de ciudadanía colombiana: solo dígitos, se ignoran puntos y espacios
+    cedula(value) {
+        const cedula = value.replace(/[.\s]/g, '')
+        return /^\d{6,10}$/.test(cedula)
+            ? valid(cedula)
+            : invalid('❌ La cédula debe tener entre 6 y 10 dígitos, sin letras.')
+    },
+
+    // NIT con dígito de verificación: 900123456-8, 900.123.456-8 o 9001234568
+    nit(value) {
+        const clean = value.replace(/[.\s]/g, '')
+        const match = /^(\d{6,15})-?(\d)$/.exec(clean)
+        if (!match) {
+            return invalid('❌ El NIT no es válido. Escríbelo con su dígito de verificación, ej. 900123456-8.')
+        }
+
+        const [, base, digit] = match
+        if (nitCheckDigit(base) !== Number(digit)) {
+            return invalid('❌ El dígito de verificación del NIT no es correcto.')
+        }
+        return valid(`${base}-${digit}`)
+    },
+
+    // Los campos de archivo se responden con foto, documento o nota de voz; un texto nunca es válido
+    media(value, rules = {}) {
+        const kinds = rules.kinds?.length ? rules.kinds : Object.keys(MEDIA_KIND_LABELS)
+        const labels = kinds.map(kind => MEDIA_KIND_LABELS[kind] || kind).join(' o ')
+        return invalid(`📎 Para este dato envía ${labels}.`)
+    }
+}
+
+/**
+ * Reglas que aplican a cualquier tipo: longitud mínima y máxima del texto escrito
+ */
+export const checkLengthRules = (value, rules = {}) => {
+    if (rules.min_length != null && value.length < rules.min_length) {
+        return invalid(`❌ La respuesta debe tener al menos ${rules.min_length} caracteres.`)
+    }
+    if (rules.max_length != null && value.length > rules.max_length) {
+        return invalid(`❌ La respuesta debe tener máximo ${rules.max_length} caracteres.`)
+    }
+    return null
+}
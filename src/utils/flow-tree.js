@@ -0,0 +1,63 @@
+/**
+ * Utilidades para menús de varios niveles en bot_flows
+ */
+import { normalizeText } from './text-utils.js'
+
+/**
+ * Obtiene las opciones hijas de un flujo, ordenadas por order_index
+ * @param {Array} flows - Flujos activos del chatbot
+ * @param {string} parentId - Id del flujo padre
+ * @returns {Array} Flujos hijos
+ */
+export const getChildFlows = (flows, parentId) => {
+    return (flows || [])
+        .filter(flow => flow.parent_id === parentId)
+        .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0))
+}
+
+/**
+ * Texto con el que se muestra una opción en el menú del padre
+ */
+export const getOptionLabel = (flow) => {
+    return flow.option_label || flow.keyword?.[0] || ''
+}
+
+/**
+ * Construye el texto de respuesta de un nodo incluyendo sus opciones numeradas
+ * @param {Object} flow - Flujo a presentar
+ * @param {Array} children - Opciones hijas del flujo
+ * @returns {string} Texto del mensaje
+ */
+export const buildMenuText = (flow, children = []) => {
+    if (!children.length) {
+        return flow.response_text
+    }
+
+    const options = children.map((child, index) => `${index + 1}. ${getOptionLabel(child)}`)
+    if (flow.parent_id) {
+        options.push('0. Volver')
+    }
+
+    return [flow.response_text, options.join('\n')].filter(Boolean).join('\n\n')
+}
+
+/**
+ * Interpreta la respuesta del usuario como una de las opciones del nodo actual
+ * @param {Array} children - Opciones del nodo actual
+ * @param {string} message - Mensaje del usuario
+ * @returns {Object|undefined} Opción elegida
+ */
+export const resolveMenuOption = (children, message) => {
+    const normalizedMessage = normalizeText(message).replace(/[.)]$/, '')
+
+    // Opción por número ("1", "2."...)
+    if (/^\d+$/.test(normalizedMessage)) {
+        return children[Number(normalizedMessage) - 1]
+    }
+
+    // Opción por texto de la etiqueta o por keyword
+    return children.find(child =>
+        normalizeText(getOptionLabel(child)) === normalizedMessage ||
+        child.keyword?.some(k => normalizeText(k) === normalizedMessage)
+    )
+}
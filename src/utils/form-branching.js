@@ -0,0 +1,146 @@
+import { normalizeText } from './text-utils.js'
+
+/**
+ * Ramificación entre campos del formulario
+ *
+ * Cada campo puede declarar en form_fields.conditions:
+ * {
+ *   "show_if": [{ "field": "tipo_cliente", "operator": "equals", "value": "empresa" }],
+ *   "match": "all" | "any",
+ *   "next": [{ "field": "tipo_cliente", "operator": "equals", "value": "persona", "goto": "email" }]
+ * }
+ *
+ * - show_if: el campo solo se pregunta si se cumplen las condiciones (todas o cualquiera según match)
+ * - next: al responder el campo, la primera regla que se cumpla salta al campo indicado en goto
+ *   (o termina el formulario con "goto": "__end__"). Solo se permiten saltos hacia adelante.
+ */
+
+export const END_OF_FORM = '__end__'
+
+export const CONDITION_OPERATORS = [
+    'equals', 'not_equals', 'contains', 'in', 'not_in', 'empty', 'not_empty', 'gt', 'lt'
+]
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).map(item => normalizeText(String(item ?? '')))
+
+/**
+ * Evalúa una condición contra las respuestas capturadas
+ * @param {Object} condition - { field, operator, value }
+ * @param {Object} answers - Respuestas por field_name
+ * @returns {boolean}
+ */
+export const evaluateCondition = ({ field, operator = 'equals', value }, answers = {}) => {
+    const answer = answers[field]
+    const normalizedAnswer = normalizeText(String(answer ?? ''))
+
+    switch (operator) {
+        case 'equals':
+            return normalizedAnswer === toList(value)[0]
+        case 'not_equals':
+            return normalizedAnswer !== toList(value)[0]
+        case 'contains':
+            return normalizedAnswer.includes(toList(value)[0])
+        case 'in':
+            return toList(value).includes(normalizedAnswer)
+        case 'not_in':
+            return !toList(value).includes(normalizedAnswer)
+        case 'empty':
+            return !normalizedAnswer
+        case 'not_empty':
+            return Boolean(normalizedAnswer)
+        case 'gt':
+            return Number(answer) > Number(value)
+        case 'lt':
+            return Number(answer) < Number(value)
+        default:
+            console.warn('⚠️ Operador de condición desconocido:', operator)
+            return false
+    }
+}
+
+const matchesRules = (rules = [], answers, match = 'all') => {
+    if (!rules.length) return true
+    return match === 'any'
+        ? rules.some(rule => evaluateCondition(rule, answers))
+        : rules.every(rule => evaluateCondition(rule, answers))
+}
+
+/**
+ * Indica si un campo debe preguntarse según sus condiciones show_if
+ */
+export const shouldAskField = (field, answers = {}) => {
+    const { show_if: showIf, match } = field?.conditions || {}
+    return matchesRules(showIf, answers, match)
+}
+
+// Siguiente campo visible a partir de una posición (inclusive), -1 si no hay más
+const findVisibleField = (fields, fromIndex, answers) => {
+    for (let index = fromIndex; index < fields.length; index++) {
+        if (shouldAskField(fields[index], answers)) return index
+    }
+    return -1
+}
+
+/**
+ * Primer campo que debe preguntarse
+ * @returns {number} Índice del campo o -1 si ninguno aplica
+ */
+export const getFirstFieldIndex = (fields, answers = {}) => findVisibleField(fields, 0, answers)
+
+/**
+ * Campo que sigue después de responder el campo actual
+ * @param {Array} fields - Campos del formulario ordenados por order_index
+ * @param {number} currentIndex - Índice del campo recién respondido
+ * @param {Object} answers - Respuestas capturadas
+ * @returns {number} Índice del siguiente campo o -1 si el formulario terminó
+ */
+export const getNextFieldIndex = (fields, currentIndex, answers = {}) => {
+    const current = fields[currentIndex]
+    const jump = (current?.conditions?.next || []).find(rule => evaluateCondition(rule, answers))
+
+    if (jump?.goto === END_OF_FORM) {
+        return -1
+    }
+
+    if (jump?.goto) {
+        const targetIndex = fields.findIndex(field => field.field_name === jump.goto)
+        if (targetIndex > currentIndex) {
+            return findVisibleField(fields, targetIndex, answers)
+        }
+        console.warn('⚠️ Salto de formulario ignorado, el campo no existe o está antes:', jump.goto)
+    }
+
+    return findVisibleField(fields, currentIndex + 1, answers)
+}
+
+/**
+ * Campos que forman el recorrido del contacto según sus respuestas, en orden.
+ * Los campos saltados o que dejaron de aplicar no se incluyen.
+ * @returns {Array} Campos respondidos dentro del recorrido
+ */
+export const getAnsweredPath = (fields, answers = {}) => {
+    const path = []
+    let index = getFirstFieldIndex(fields, answers)
+
+    while (index !== -1 && fields[index].field_name in answers) {
+        path.push(fields[index])
+        index = getNextFieldIndex(fields, index, answers)
+    }
+
+    return path
+}
+
+/**
+ * Primer campo del recorrido que aún no tiene respuesta.
+ * Tras corregir una respuesta puede aparecer un campo nuevo en el recorrido (o dejar de aplicar otro).
+ * @returns {number} Índice del campo pendiente o -1 si el formulario está completo
+ */
+export const getPendingFieldIndex = (fields, answers = {}) => {
+    let index = getFirstFieldIndex(fields, answers)
+
+    while (index !== -1 && fields[index].field_name in answers) {
+        index = getNextFieldIndex(fields, index, answers)
+    }
+
+    return index
+}
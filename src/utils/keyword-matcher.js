@@ -0,0 +1,152 @@
+/**
+ * Estrategias de coincidencia de keywords para bot_flows
+ */
+import { normalizeWords } from './text-utils.js'
+
+export const MATCH_MODES = {
+    EXACT: 'exact',
+    STARTS_WITH: 'starts_with',
+    CONTAINS: 'contains',
+    REGEX: 'regex',
+    FUZZY: 'fuzzy'
+}
+
+// Precedencia al ordenar coincidencias: la más estricta gana
+const MODE_RANK = {
+    [MATCH_MODES.EXACT]: 0,
+    [MATCH_MODES.STARTS_WITH]: 1,
+    [MATCH_MODES.CONTAINS]: 2,
+    [MATCH_MODES.REGEX]: 3,
+    [MATCH_MODES.FUZZY]: 4
+}
+
+// Quita tildes sin tocar mayúsculas ni espacios (los patrones regex dependen de ellos)
+const removeAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+
+/**
+ * Distancia de edición (Levenshtein) entre dos textos
+ */
+export const levenshtein = (a, b) => {
+    if (a === b) return 0
+    if (!a.length) return b.length
+    if (!b.length) return a.length
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i]
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+        }
+        previous = current
+    }
+    return previous[b.length]
+}
+
+/**
+ * Distancia máxima permitida en modo fuzzy: la configurada en el flujo
+ * o una por defecto según la longitud de la keyword
+ */
+const getFuzzyThreshold = (keyword, threshold) => {
+    if (Number.isInteger(threshold) && threshold >= 0) return threshold
+    return keyword.length <= 4 ? 1 : 2
+}
+
+/**
+ * Evalúa una keyword contra el mensaje según el modo indicado
+ * @returns {{ distance: number }|null} null si no hay coincidencia
+ */
+export const matchKeyword = (keyword, message, mode = MATCH_MODES.EXACT, threshold = null) => {
+    const normalizedKeyword = normalizeWords(keyword)
+    const normalizedMessage = normalizeWords(message)
+    if (!normalizedMessage) return null
+
+    switch (mode) {
+        case MATCH_MODES.REGEX: {
+            // El patrón se prueba tal cual contra el mensaje tal cual, y sin tildes contra el mensaje sin tildes:
+            // /envío/ y /envio/ coinciden con "envío" y con "envio". Solo se quitan tildes, no se cambia \S por \s.
+            try {
+                const matches = new RegExp(keyword, 'i').test(message) ||
+                    new RegExp(removeAccents(keyword), 'i').test(removeAccents(message))
+                return matches ? { distance: 0 } : null
+            } catch {
+                console.error('Expresión regular inválida en keyword:', keyword)
+                return null
+            }
+        }
+        case MATCH_MODES.STARTS_WITH:
+            if (!normalizedKeyword) return null
+            return normalizedMessage === normalizedKeyword ||
+                normalizedMessage.startsWith(`${normalizedKeyword} `)
+                ? { distance: 0 }
+                : null
+        case MATCH_MODES.CONTAINS:
+            if (!normalizedKeyword) return null
+            return ` ${normalizedMessage} `.includes(` ${normalizedKeyword} `)
+                ? { distance: 0 }
+                : null
+        case MATCH_MODES.FUZZY: {
+            if (!normalizedKeyword) return null
+            const maxDistance = getFuzzyThreshold(normalizedKeyword, threshold)
+
+            // Comparar contra el mensaje completo y contra cada grupo de palabras del mismo tamaño que la keyword
+            const words = normalizedMessage.split(' ')
+            const size = normalizedKeyword.split(' ').length
+            const candidates = [normalizedMessage]
+            for (let i = 0; i + size <= words.length; i++) {
+                candidates.push(words.slice(i, i + size).join(' '))
+            }
+
+            const distance = Math.min(...candidates.map(candidate => levenshtein(candidate, normalizedKeyword)))
+            return distance <= maxDistance ? { distance } : null
+        }
+        case MATCH_MODES.EXACT:
+        default:
+            return normalizedKeyword && normalizedKeyword === normalizedMessage
+                ? { distance: 0 }
+                : null
+    }
+}
+
+/**
+ * Busca la mejor coincidencia de un flujo con el mensaje
+ * @returns {Object|null} { flow, keyword, mode, distance }
+ */
+export const matchFlow = (flow, message) => {
+    const mode = flow.match_mode || MATCH_MODES.EXACT
+    let best = null
+
+    for (const keyword of flow.keyword || []) {
+        const result = matchKeyword(keyword, message, mode, flow.match_threshold)
+        if (result && (!best || result.distance < best.distance)) {
+            best = { flow, keyword, mode, distance: result.distance }
+        }
+    }
+
+    return best
+}
+
+/**
+ * Compara dos coincidencias de forma determinista:
+ * modo más estricto, menor distancia, keyword más larga, order_index y finalmente id
+ */
+const compareMatches = (a, b) => {
+    return (MODE_RANK[a.mode] ?? 99) - (MODE_RANK[b.mode] ?? 99) ||
+        a.distance - b.distance ||
+        normalizeWords(b.keyword).length - normalizeWords(a.keyword).length ||
+        (a.flow.order_index ?? 0) - (b.flow.order_index ?? 0) ||
+        String(a.flow.id).localeCompare(String(b.flow.id))
+}
+
+/**
+ * Obtiene todas las coincidencias ordenadas de mejor a peor
+ * @param {Array} flows - Flujos activos
+ * @param {string} message - Mensaje del usuario
+ * @returns {Array} Coincidencias ordenadas
+ */
+export const rankFlowMatches = (flows, message) => {
+    return (flows || [])
+        .map(flow => matchFlow(flow, message))
+        .filter(Boolean)
+        .sort(compareMatches)
+}
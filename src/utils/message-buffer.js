@@ -0,0 +1,88 @@
+import { EventEmitter } from 'events'
+import { CONFIG } from '../config/constants.js'
+
+/**
+ * Agrupa los mensajes que un contacto envía seguidos.
+ * Cada mensaje nuevo reinicia la ventana de silencio; cuando vence, los mensajes
+ * acumulados se combinan en uno solo y se entregan a la función de procesamiento.
+ */
+class MessageBuffer extends EventEmitter {
+    constructor() {
+        super()
+        this.quietWindow = CONFIG.MESSAGE_DEBOUNCE.QUIET_WINDOW
+        this.maxMessages = CONFIG.MESSAGE_DEBOUNCE.MAX_MESSAGES
+        this.buffers = new Map()
+    }
+
+    get isEnabled() {
+        return this.quietWindow > 0
+    }
+
+    // Agregar mensaje al buffer del contacto
+    add(key, ctx, onFlush) {
+        const entry = this.buffers.get(key) || { messages: [], timer: null, onFlush }
+        entry.messages.push(ctx)
+        entry.onFlush = onFlush
+        clearTimeout(entry.timer)
+        this.buffers.set(key, entry)
+
+        // No esperar indefinidamente si el contacto no deja de escribir
+        if (entry.messages.length >= this.maxMessages) {
+            return this.flush(key)
+        }
+
+        entry.timer = setTimeout(() => this.flush(key), this.quietWindow)
+    }
+
+    has(key) {
+        return this.buffers.has(key)
+    }
+
+    // Entregar los mensajes acumulados como uno solo
+    async flush(key) {
+        const entry = this.buffers.get(key)
+        if (!entry) return
+
+        clearTimeout(entry.timer)
+        this.buffers.delete(key)
+
+        const merged = this.merge(entry.messages)
+        if (entry.messages.length > 1) {
+            this.emit('merged', key, entry.messages.length)
+        }
+
+        try {
+            await entry.onFlush(merged)
+        } catch (error) {
+            console.error('Error procesando mensajes agrupados:', error)
+        }
+    }
+
+    // Combinar mensajes usando el contexto del último como base
+    merge(messages) {
+        const last = messages[messages.length - 1]
+        if (messages.length === 1) return last
+
+        return {
+            ...last,
+            body: messages.map(ctx => ctx.body).filter(Boolean).join('\n')
+        }
+    }
+
+    clear() {
+        for (const entry of this.buffers.values()) {
+            clearTimeout(entry.timer)
+        }
+        this.buffers.clear()
+    }
+
+    getStats() {
+        return {
+            pending: this.buffers.size,
+            quietWindow: this.quietWindow
+        }
+    }
+}
+
+// Exportar instancia única
+export const messageBuffer = new MessageBuffer()
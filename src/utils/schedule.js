@@ -0,0 +1,84 @@
+/**
+ * Utilidades para evaluar horarios de atención
+ */
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+/**
+ * Convierte "HH:mm" a minutos desde la medianoche ("24:00" es el fin del día)
+ * @param {string} time - Hora en formato HH:mm
+ * @returns {number|null} Minutos o null si el formato o la hora no son válidos
+ */
+const toMinutes = (time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim())
+    if (!match) return null
+    const minutes = Number(match[1]) * 60 + Number(match[2])
+    return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null
+}
+
+/**
+ * Obtiene día, fecha y hora locales de una fecha en una zona horaria
+ * @param {Date} date - Fecha a convertir
+ * @param {string} timezone - Zona horaria IANA (ej. America/Bogota)
+ * @returns {{ day: string, isoDate: string, minutes: number }}
+ */
+export const getLocalTime = (date, timezone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23'
+        })
+            .formatToParts(date)
+            .map(part => [part.type, part.value])
+    )
+
+    return {
+        day: parts.weekday.toLowerCase().slice(0, 3),
+        isoDate: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    }
+}
+
+/**
+ * Indica si una fecha cae dentro del horario de atención
+ * @param {Object} schedule - Registro de business_hours
+ * @param {Date} [date=new Date()] - Momento a evaluar
+ * @returns {boolean} true si está dentro del horario
+ */
+export const isWithinBusinessHours = (schedule, date = new Date()) => {
+    const { day, isoDate, minutes } = getLocalTime(date, schedule.timezone || 'America/Bogota')
+
+    // Los festivos se consideran cerrados todo el día
+    if ((schedule.holidays || []).some(holiday => String(holiday).slice(0, 10) === isoDate)) {
+        return false
+    }
+
+    const ranges = schedule.weekly_schedule?.[day] || []
+    const previousDay = DAY_KEYS[(DAY_KEYS.indexOf(day) + 6) % 7]
+    const previousRanges = schedule.weekly_schedule?.[previousDay] || []
+
+    const inToday = ranges.some(({ start, end }) => {
+        const startMin = toMinutes(start)
+        const endMin = toMinutes(end)
+        if (startMin === null || endMin === null) return false
+        // Rango que cruza la medianoche (ej. 20:00 - 02:00)
+        if (endMin <= startMin) return minutes >= startMin
+        return minutes >= startMin && minutes < endMin
+    })
+
+    // Continuación de un rango nocturno del día anterior
+    const inPreviousNight = previousRanges.some(({ start, end }) => {
+        const startMin = toMinutes(start)
+        const endMin = toMinutes(end)
+        if (startMin === null || endMin === null) return false
+        return endMin <= startMin && minutes < endMin
+    })
+
+    return inToday || inPreviousNight
+}
@@ -0,0 +1,100 @@
+/**
+ * Motor de plantillas para los mensajes del bot
+ *
+ * Sintaxis:
+ *   {{name}}                         variable
+ *   {{chatbot.name}}                 propiedad anidada
+ *   {{name | "amigo"}}               valor por defecto si la variable está vacía
+ *   {{#if ciudad}}...{{else}}...{{/if}}
+ *   {{#if ciudad == "Bogotá"}}...{{/if}}   también admite !=
+ */
+
+const TAG_PATTERN = /\{\{/
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|\s*(?:"([^"]*)"|'([^']*)'|([^}]*?)))?\s*\}\}/g
+// Solo bloques sin otro #if adentro, para resolver primero los más internos
+const IF_PATTERN = /\{\{#if\s+([\w.]+)(?:\s*(==|!=)\s*(?:"([^"]*)"|'([^']*)'|([^}\s]+)))?\s*\}\}((?:(?!\{\{#if)[\s\S])*?)\{\{\/if\}\}/g
+const ELSE_TAG = /\{\{else\}\}/
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0)
+
+/**
+ * Obtiene un valor por ruta con puntos (ej. "chatbot.name")
+ */
+export const getPath = (variables, path) => {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables)
+}
+
+/**
+ * Indica si el texto contiene etiquetas de plantilla
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const hasTemplateTags = (text) => typeof text === 'string' && TAG_PATTERN.test(text)
+
+const evaluateCondition = (variables, path, operator, expected) => {
+    const value = getPath(variables, path)
+    if (!operator) return !isEmpty(value)
+
+    const matches = String(value ?? '').trim().toLowerCase() === String(expected).trim().toLowerCase()
+    return operator === '==' ? matches : !matches
+}
+
+const renderConditionals = (template, variables) => {
+    let output = template
+    let previous
+    // Repetir hasta que no queden bloques (permite condicionales anidados)
+    do {
+        previous = output
+        output = output.replace(IF_PATTERN, (match, path, operator, dq, sq, bare, body) => {
+            const [whenTrue, whenFalse = ''] = body.split(ELSE_TAG)
+            return evaluateCondition(variables, path, operator, dq ?? sq ?? bare)
+                ? whenTrue
+                : whenFalse
+        })
+    } while (output !== previous)
+    return output
+}
+
+/**
+ * Reemplaza las variables y condicionales de una plantilla
+ * @param {string} template - Texto con etiquetas {{...}}
+ * @param {Object} variables - Valores disponibles
+ * @returns {string} Texto renderizado (las variables sin valor quedan vacías)
+ */
+export const renderTemplate = (template, variables = {}) => {
+    if (!hasTemplateTags(template)) return template
+
+    return renderConditionals(template, variables)
+        .replace(VARIABLE_PATTERN, (match, path, dq, sq, bare) => {
+            const value = getPath(variables, path)
+            if (!isEmpty(value)) return String(value)
+            return (dq ?? sq ?? bare ?? '').trim()
+        })
+}
+
+/**
+ * Renderiza los mensajes en el formato que recibe flowDynamic
+ * (texto, o arreglo de textos / objetos con body)
+ */
+export const renderMessages = (messages, variables) => {
+    if (typeof messages === 'string') {
+        return renderTemplate(messages, variables)
+    }
+    if (Array.isArray(messages)) {
+        return messages.map(message => renderMessages(message, variables))
+    }
+    if (messages && typeof messages.body === 'string') {
+        return { ...messages, body: renderTemplate(messages.body, variables) }
+    }
+    return messages
+}
+
+/**
+ * Indica si alguno de los mensajes necesita renderizarse
+ */
+export const messagesHaveTemplates = (messages) => {
+    if (typeof messages === 'string') return hasTemplateTags(messages)
+    if (Array.isArray(messages)) return messages.some(messagesHaveTemplates)
+    return hasTemplateTags(messages?.body)
+}
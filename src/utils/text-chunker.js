@@ -0,0 +1,68 @@
+/**
+ * División de textos largos en fragmentos con solapamiento, para guardarlos como conocimiento
+ * con su propio embedding. Los cortes se hacen entre oraciones o líneas, y cada fragmento repite
+ * las últimas oraciones del anterior; solo un texto sin pausas se corta a la fuerza.
+ */
+
+// Unidades mínimas: oraciones de cada línea. Un texto sin pausas se corta en trozos que ya se solapan.
+const splitUnits = (text, size, overlap) => {
+    const units = []
+
+    for (const line of text.split('\n')) {
+        for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+            if (sentence.length <= size) {
+                units.push(sentence)
+                continue
+            }
+            const step = Math.max(size - overlap, 1)
+            for (let start = 0; start < sentence.length; start += step) {
+                units.push(sentence.slice(start, start + size))
+                if (start + size >= sentence.length) break
+            }
+        }
+    }
+
+    return units.map(unit => unit.trim()).filter(Boolean)
+}
+
+// Últimas unidades del fragmento anterior que caben en el solapamiento y, junto a la siguiente unidad, en el fragmento
+const getOverlap = (units, overlap, next, size) => {
+    const carry = []
+    let length = 0
+    for (let index = units.length - 1; index >= 0; index--) {
+        if (length + units[index].length > overlap) break
+        carry.unshift(units[index])
+        length += units[index].length + 1
+    }
+    while (carry.length > 0 && length + next.length > size) {
+        length -= carry.shift().length + 1
+    }
+    return { carry, length }
+}
+
+/**
+ * @param {string} text - Texto completo
+ * @param {Object} options - { size: caracteres por fragmento, overlap: caracteres repetidos entre fragmentos }
+ * @returns {string[]} Fragmentos en orden
+ */
+export const chunkText = (text, { size = 1200, overlap = 200 } = {}) => {
+    const chunks = []
+    let current = []
+    let length = 0
+
+    for (const unit of splitUnits(text || '', size, overlap)) {
+        if (current.length > 0 && length + unit.length > size) {
+            chunks.push(current.join('\n'))
+            const { carry, length: carried } = getOverlap(current, overlap, unit, size)
+            current = carry
+            length = carried
+        }
+        current.push(unit)
+        length += unit.length + 1
+    }
+
+    if (current.length > 0) {
+        chunks.push(current.join('\n'))
+    }
+    return chunks
+}
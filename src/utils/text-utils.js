@@ -14,4 +14,15 @@ export const normalizeText = (text) => {
         .replace(/[\u0300-\u036f]/g, '')
         .replace(/\s+/g, ' ')
         .trim()
-}
\ No newline at end of file
+}
+/**
+ * Normaliza un texto y reemplaza la puntuación por espacios, para comparar palabra por palabra
+ * @param {string} text - Texto a normalizar
+ * @returns {string} Texto normalizado sin puntuación
+ */
+export const normalizeWords = (text) => {
+    return normalizeText(text)
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
@@ -1,4 +1,7 @@
 import { VALIDATION_PATTERNS, ERROR_MESSAGES } from '../config/constants.js'
+import { MATCH_MODES } from './keyword-matcher.js'
+import { CONDITION_OPERATORS, END_OF_FORM } from './form-branching.js'
+import { FIELD_VALIDATORS, DATE_FORMATS, checkLengthRules } from './field-validators.js'
 
 export const validators = {
     isValidPhone(phone) {
@@ -57,10 +60,16 @@ export const validators = {
     validateFlow(flow) {
         const errors = []
 
-        if (!flow.keyword || !Array.isArray(flow.keyword) || flow.keyword.length === 0) {
+        // Las opciones de un menú (flujos hijos) pueden elegirse por número sin keyword propia
+        const isMenuOption = Boolean(flow.parent_id)
+        if (!isMenuOption && (!flow.keyword || !Array.isArray(flow.keyword) || flow.keyword.length === 0)) {
             errors.push('At least one keyword is required')
         }
 
+        if (isMenuOption && !flow.option_label && !flow.keyword?.length) {
+            errors.push('Menu options require an option label or a keyword')
+        }
+
         if (!flow.response_text || flow.response_text.trim().length < 1) {
             errors.push('Response text is required')
         }
@@ -69,28 +78,156 @@ export const validators = {
             errors.push('Media URL must be a string')
         }
 
+        if (flow.match_mode && !Object.values(MATCH_MODES).includes(flow.match_mode)) {
+            errors.push(`Match mode must be one of: ${Object.values(MATCH_MODES).join(', ')}`)
+        }
+
+        if (flow.match_mode === MATCH_MODES.REGEX) {
+            (flow.keyword || []).forEach(keyword => {
+                try {
+                    new RegExp(keyword, 'i')
+                } catch {
+                    errors.push(`Invalid regular expression: ${keyword}`)
+                }
+            })
+        }
+
+        if (flow.match_threshold != null && (!Number.isInteger(flow.match_threshold) || flow.match_threshold < 0)) {
+            errors.push('Match threshold must be a non-negative integer')
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        }
+    },
+
+    validateFieldConditions(fields = []) {
+        const errors = []
+        const names = fields.map(field => field.field_name)
+
+        fields.forEach((field, index) => {
+            const { show_if: showIf = [], next = [], match } = field.conditions || {}
+
+            if (match && !['all', 'any'].includes(match)) {
+                errors.push(`${field.field_name}: match must be "all" or "any"`)
+            }
+
+            for (const rule of [...showIf, ...next]) {
+                if (!names.includes(rule.field)) {
+                    errors.push(`${field.field_name}: unknown field in condition "${rule.field}"`)
+                }
+                if (rule.operator && !CONDITION_OPERATORS.includes(rule.operator)) {
+                    errors.push(`${field.field_name}: unknown operator "${rule.operator}"`)
+                }
+            }
+
+            // Solo se permiten saltos hacia adelante para evitar ciclos
+            next.forEach(rule => {
+                if (rule.goto === END_OF_FORM) return
+                if (names.indexOf(rule.goto) <= index) {
+                    errors.push(`${field.field_name}: goto "${rule.goto}" must point to a later field`)
+                }
+            })
+        })
+
         return {
             isValid: errors.length === 0,
             errors
         }
     },
 
+    /**
+     * Valida la respuesta de un campo del formulario según su validation_type y validation_rules
+     * @param {Object} field - Registro de form_fields
+     * @param {string} value - Texto escrito por el usuario
+     * @returns {{ isValid: boolean, value: *, error: string|null }} value es la respuesta normalizada
+     */
     validateField(field, value) {
-        if (!value || value.trim() === '') {
-            return false
-        }
-
-        switch (field.validation_type) {
-            case 'text':
-                return value.length > 0
-            case 'email':
-                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
-            case 'number':
-                return !isNaN(value) && value.length > 0
-            case 'phone':
-                return /^\d{10,}$/.test(value)
-            default:
-                return true
+        const input = String(value ?? '').trim()
+        const rules = field.validation_rules || {}
+        const validate = FIELD_VALIDATORS[field.validation_type] || FIELD_VALIDATORS.text
+
+        // El mensaje configurado en el campo reemplaza al mensaje por defecto
+        const withFieldError = (result) => result.isValid
+            ? result
+            : { ...result, error: field.error_message || result.error }
+
+        if (!input) {
+            return withFieldError({ isValid: false, value: null, error: '❌ Esta respuesta es obligatoria.' })
+        }
+
+        const lengthError = checkLengthRules(input, rules)
+        if (lengthError) {
+            return withFieldError(lengthError)
+        }
+
+        return withFieldError(validate(input, rules))
+    },
+
+    /**
+     * Valida la configuración de un campo antes de guardarlo
+     */
+    validateFormField(field) {
+        const errors = []
+        const rules = field.validation_rules || {}
+
+        if (!field.field_name?.trim()) {
+            errors.push('Field name is required')
+        }
+
+        if (!field.field_label?.trim()) {
+            errors.push('Field label is required')
+        }
+
+        if (field.validation_type && !FIELD_VALIDATORS[field.validation_type]) {
+            errors.push(`Validation type must be one of: ${Object.keys(FIELD_VALIDATORS).join(', ')}`)
+        }
+
+        if (field.validation_type === 'regex') {
+            try {
+                new RegExp(rules.pattern, rules.flags || '')
+            } catch {
+                errors.push(`Invalid regular expression: ${rules.pattern}`)
+            }
+        }
+
+        if (field.validation_type === 'choice' && (!Array.isArray(rules.options) || rules.options.length === 0)) {
+            errors.push('Choice fields require at least one option')
+        }
+
+        if (field.validation_type === 'date' && rules.locale && !DATE_FORMATS[rules.locale]) {
+            errors.push(`Date locale must be one of: ${Object.keys(DATE_FORMATS).join(', ')}`)
+        }
+
+        if (rules.min != null && rules.max != null && rules.min > rules.max) {
+            errors.push('Minimum value cannot be greater than maximum value')
+        }
+
+        if (field.validation_type === 'media') {
+            const kinds = ['image', 'document', 'audio']
+            if (rules.kinds && (!Array.isArray(rules.kinds) || rules.kinds.some(kind => !kinds.includes(kind)))) {
+                errors.push(`Media kinds must be any of: ${kinds.join(', ')}`)
+            }
+            if (rules.mime_types && !Array.isArray(rules.mime_types)) {
+                errors.push('Media mime_types must be a list')
+            }
+            if (rules.max_size != null && !(Number(rules.max_size) > 0)) {
+                errors.push('Media max_size must be a positive number of bytes')
+            }
+        }
+
+        if (field.prefill_mode && !['confirm', 'skip', 'ask'].includes(field.prefill_mode)) {
+            errors.push('Prefill mode must be one of: confirm, skip, ask')
+        }
+
+        if (rules.min_length != null && rules.max_length != null && rules.min_length > rules.max_length) {
+            errors.push('Minimum length cannot be greater than maximum length')
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
         }
     }
-}
\ No newline at end of file
+}
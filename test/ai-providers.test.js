@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMockProvider } from '../src/services/ai/providers/mock.js'
+import { getProvider, getProviderForChatbot, PROVIDER_NAMES } from '../src/services/ai/providers/index.js'
+
+test('mock chat responde con el último mensaje del usuario', async () => {
+    const provider = createMockProvider()
+    const result = await provider.chat({
+        messages: [
+            { role: 'system', content: 'Eres un asistente' },
+            { role: 'user', content: 'hola' },
+            { role: 'assistant', content: '¿En qué te ayudo?' },
+            { role: 'user', content: [{ type: 'text', text: 'precio' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AA==' } }] }
+        ]
+    })
+
+    assert.deepEqual(result, { content: '[mock] precio', toolCalls: [], usage: null })
+})
+
+test('mock chat en modo JSON devuelve un objeto vacío', async () => {
+    const { content } = await createMockProvider().chat({ messages: [{ role: 'user', content: 'extrae' }], jsonMode: true })
+    assert.deepEqual(JSON.parse(content), {})
+})
+
+test('mock embed es determinístico y de norma 1', async () => {
+    const provider = createMockProvider()
+    const first = await provider.embed('catálogo 2025')
+    const second = await provider.embed('catálogo 2025')
+    const other = await provider.embed('horario')
+
+    assert.equal(first.length, 1536)
+    assert.deepEqual(first, second)
+    assert.notDeepEqual(first, other)
+    const norm = Math.sqrt(first.reduce((total, value) => total + value * value, 0))
+    assert.ok(Math.abs(norm - 1) < 1e-9)
+})
+
+test('getProvider reutiliza la instancia de cada proveedor', () => {
+    assert.ok(PROVIDER_NAMES.includes('mock'))
+    assert.equal(getProvider('mock'), getProvider('mock'))
+    assert.equal(getProviderForChatbot({ ai_provider: 'mock' }).name, 'mock')
+})
+
+test('sin EMBEDDING_PROVIDER los embeddings siguen a AI_PROVIDER=mock', async () => {
+    const previous = { ai: process.env.AI_PROVIDER, embeddings: process.env.EMBEDDING_PROVIDER }
+    process.env.AI_PROVIDER = 'mock'
+    delete process.env.EMBEDDING_PROVIDER
+    try {
+        const { CONFIG } = await import('../src/config/constants.js?embeddings-mock')
+        assert.equal(CONFIG.AI_PROVIDERS.EMBEDDINGS, 'mock')
+    } finally {
+        for (const [key, value] of [['AI_PROVIDER', previous.ai], ['EMBEDDING_PROVIDER', previous.embeddings]]) {
+            if (value === undefined) delete process.env[key]
+            else process.env[key] = value
+        }
+    }
+})
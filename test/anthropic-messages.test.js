@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toAnthropicMessages } from '../src/services/ai/providers/anthropic.js'
+
+test('los mensajes de sistema se envían aparte', () => {
+    const { system, messages } = toAnthropicMessages([
+        { role: 'system', content: 'Comportamiento' },
+        { role: 'system', content: 'Conocimiento' },
+        { role: 'user', content: 'hola' }
+    ])
+
+    assert.equal(system, 'Comportamiento\n\nConocimiento')
+    assert.deepEqual(messages, [{ role: 'user', content: 'hola' }])
+})
+
+test('los turnos seguidos del mismo rol se combinan', () => {
+    const { messages } = toAnthropicMessages([
+        { role: 'user', content: 'hola' },
+        { role: 'user', content: '¿tienen envíos?' },
+        { role: 'assistant', content: 'Sí' }
+    ])
+
+    assert.equal(messages.length, 2)
+    assert.equal(messages[0].role, 'user')
+    assert.equal(messages[1].role, 'assistant')
+    assert.match(JSON.stringify(messages[0].content), /hola/)
+    assert.match(JSON.stringify(messages[0].content), /tienen envíos/)
+})
+
+test('las imágenes en base64 se convierten en bloques de imagen', () => {
+    const { messages } = toAnthropicMessages([{
+        role: 'user',
+        content: [
+            { type: 'text', text: '¿Qué es esto?' },
+            { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } }
+        ]
+    }])
+
+    assert.deepEqual(messages[0].content, [
+        { type: 'text', text: '¿Qué es esto?' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'AAAA' } }
+    ])
+})
+
+test('las llamadas a herramientas y sus resultados se convierten en tool_use y tool_result', () => {
+    const { messages } = toAnthropicMessages([
+        { role: 'user', content: 'quiero registrarme' },
+        {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'start_form', arguments: '{"form_type":"registration"}' } }]
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"started":true}' }
+    ])
+
+    assert.deepEqual(messages[1], {
+        role: 'assistant',
+        content: [{ type: 'tool_use', id: 'call_1', name: 'start_form', input: { form_type: 'registration' } }]
+    })
+    assert.deepEqual(messages[2], {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"started":true}' }]
+    })
+})
+
+test('argumentos de herramienta inválidos se envían vacíos', () => {
+    const { messages } = toAnthropicMessages([
+        { role: 'user', content: 'hola' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'block_contact', arguments: '{roto' } }] }
+    ])
+
+    assert.deepEqual(messages[1].content[0].input, {})
+})
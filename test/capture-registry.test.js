@@ -0,0 +1,40 @@
+import { test, mock, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { markCaptureActive, clearCaptureActive, isCaptureActive } from '../src/flows/data-collection/capture-registry.js'
+import { CONFIG } from '../src/config/constants.js'
+
+const TTL = CONFIG.FORM_SESSIONS.TTL
+
+beforeEach(() => mock.timers.enable({ apis: ['Date'], now: 0 }))
+afterEach(() => {
+    clearCaptureActive('573001')
+    clearCaptureActive('573002')
+    mock.timers.reset()
+})
+
+test('la marca de captura dura lo mismo que la sesión del formulario', () => {
+    markCaptureActive('573001')
+    assert.equal(isCaptureActive('573001'), true)
+    assert.equal(isCaptureActive('573002'), false)
+
+    mock.timers.tick(TTL - 1)
+    assert.equal(isCaptureActive('573001'), true)
+    mock.timers.tick(1)
+    assert.equal(isCaptureActive('573001'), false)
+})
+
+test('cada respuesta renueva la marca', () => {
+    markCaptureActive('573001')
+    mock.timers.tick(TTL - 1)
+    markCaptureActive('573001')
+    mock.timers.tick(TTL - 1)
+    assert.equal(isCaptureActive('573001'), true)
+})
+
+test('terminar el formulario quita la marca', () => {
+    markCaptureActive('573001')
+    markCaptureActive('573002')
+    clearCaptureActive('573001')
+    assert.equal(isCaptureActive('573001'), false)
+    assert.equal(isCaptureActive('573002'), true)
+})
@@ -0,0 +1,49 @@
+import { test, mock, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { OpenAIService } from '../src/services/ai/openai.js'
+import { ResponseCache } from '../src/services/cache/response-cache.js'
+import { getProvider } from '../src/services/ai/providers/index.js'
+
+const chatbot = { id: 'bot-1', ai_provider: 'mock' }
+const TOOLS = [{ name: 'lookup_client_data', description: 'Datos del contacto', parameters: { type: 'object', properties: {} } }]
+
+// Caché en memoria en lugar de la de Supabase
+const stored = new Map()
+beforeEach(() => {
+    stored.clear()
+    mock.restoreAll()
+    mock.method(ResponseCache, 'get', async (chatbotId, message) => stored.get(`${chatbotId}-${message}`) ?? null)
+    mock.method(ResponseCache, 'set', async (chatbotId, message, response) => {
+        stored.set(`${chatbotId}-${message}`, response)
+    })
+})
+
+const ask = (question, executeTool = async () => ({ output: {} })) =>
+    OpenAIService.generateChatResponse([{ role: 'user', content: question }], '', '', false, chatbot.id, {
+        chatbot,
+        tools: TOOLS,
+        executeTool
+    })
+
+test('una pregunta repetida se responde desde la caché aunque se ofrezcan herramientas', async () => {
+    const chat = mock.method(getProvider('mock'), 'chat')
+
+    assert.equal(await ask('¿cuál es el horario?'), '[mock] ¿cuál es el horario?')
+    assert.equal(await ask('¿cuál es el horario?'), '[mock] ¿cuál es el horario?')
+    assert.equal(chat.mock.callCount(), 1)
+})
+
+test('un turno que usó herramientas no se guarda en la caché', async () => {
+    const provider = getProvider('mock')
+    let round = 0
+    const chat = mock.method(provider, 'chat', async () => round++ % 2 === 0
+        ? { content: '', toolCalls: [{ id: 'call_1', name: 'lookup_client_data', arguments: {} }], usage: null }
+        : { content: 'Tu ciudad es Cali', toolCalls: [], usage: null })
+    const executeTool = mock.fn(async () => ({ output: { ciudad: 'Cali' } }))
+
+    assert.equal(await ask('¿qué ciudad tengo registrada?', executeTool), 'Tu ciudad es Cali')
+    assert.equal(await ask('¿qué ciudad tengo registrada?', executeTool), 'Tu ciudad es Cali')
+    assert.equal(stored.size, 0)
+    assert.equal(executeTool.mock.callCount(), 2)
+    assert.equal(chat.mock.callCount(), 4)
+})
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildExportTable, toCsv } from '../src/services/forms/client-data-export.js'
+
+const csvLines = (rows, headers = ['Respuesta']) =>
+    toCsv({ headers, rows }).toString('utf8').replace(/^\uFEFF/, '').trimEnd().split('\r\n')
+
+test('el CSV empieza con BOM y usa CRLF', () => {
+    const buffer = toCsv({ headers: ['Nombre'], rows: [['Ana']] })
+    assert.deepEqual([...buffer.subarray(0, 3)], [0xef, 0xbb, 0xbf])
+    assert.equal(buffer.toString('utf8'), '\uFEFFNombre\r\nAna\r\n')
+})
+
+test('las respuestas que parecen fórmulas se exportan como texto', () => {
+    const [, ...lines] = csvLines([['=cmd'], ['@SUM(A1)'], ['+1+cmd|\' /C calc\'!A0'], ['-x'], ['\tcmd']])
+    assert.deepEqual(lines, ['\'=cmd', '\'@SUM(A1)', '\'+1+cmd|\' /C calc\'!A0', '\'-x', '\'\tcmd'])
+})
+
+test('teléfonos y números no se alteran', () => {
+    const [, ...lines] = csvLines([['+1'], ['+57 300 123 4567'], ['-5'], [3.5]])
+    assert.deepEqual(lines, ['+1', '+57 300 123 4567', '-5', '3.5'])
+})
+
+test('comillas, comas y saltos de línea se escapan', () => {
+    const [, line] = csvLines([['dijo "hola", adiós\nfin']])
+    assert.equal(line, '"dijo ""hola"", adiós\nfin"')
+})
+
+test('buildExportTable ordena las columnas por campo y deja al final las claves sin campo', () => {
+    const fields = [
+        { field_name: 'nombres', field_label: 'Nombres' },
+        { field_name: 'ciudad', field_label: 'Ciudad' }
+    ]
+    const records = [{
+        created_at: '2024-01-01',
+        updated_at: null,
+        phone_number: '573001234567',
+        form_type: 'registration',
+        form_data: {
+            ciudad: 'Cali',
+            antiguo: 'sí',
+            nombres: 'Ana',
+            intereses: ['a', 'b'],
+            foto: { type: 'media', path: 'uploads/foto.jpg' }
+        }
+    }]
+
+    const { headers, rows } = buildExportTable(records, fields)
+    assert.deepEqual(headers, ['Fecha', 'Actualizado', 'Teléfono', 'Formulario', 'Nombres', 'Ciudad', 'antiguo', 'intereses', 'foto'])
+    assert.deepEqual(rows[0], ['2024-01-01', '', '573001234567', 'registration', 'Ana', 'Cali', 'sí', 'a, b', 'uploads/foto.jpg'])
+})
@@ -0,0 +1,29 @@
+import { test, mock, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { OpenAIService } from '../src/services/ai/openai.js'
+import { getEmbeddingProvider } from '../src/services/ai/providers/index.js'
+import { CONFIG } from '../src/config/constants.js'
+
+afterEach(() => mock.restoreAll())
+
+test('el mismo mensaje reutiliza su embedding durante el turno', async () => {
+    const embed = mock.method(getEmbeddingProvider(), 'embed', async (text) => [text.length, 1])
+
+    const first = await OpenAIService.generateEmbedding('horario de atención')
+    const second = await OpenAIService.generateEmbedding('horario de atención')
+    await OpenAIService.generateEmbedding('precios')
+
+    assert.deepEqual(second, first)
+    assert.equal(embed.mock.callCount(), 2)
+})
+
+test('un embedding vencido se vuelve a generar', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() })
+    const embed = mock.method(getEmbeddingProvider(), 'embed', async () => [0, 1])
+
+    await OpenAIService.generateEmbedding('dirección de la tienda')
+    mock.timers.tick(CONFIG.SEMANTIC_MATCH.EMBEDDING_TTL + 1)
+    await OpenAIService.generateEmbedding('dirección de la tienda')
+
+    assert.equal(embed.mock.callCount(), 2)
+})
@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { FIELD_VALIDATORS, checkLengthRules, nitCheckDigit, parseDate } from '../src/utils/field-validators.js'
+
+// [tipo, respuesta, reglas, valor esperado (undefined = inválida)]
+const CASES = [
+    ['nit', '900.123.456-8', {}, '900123456-8'],
+    ['nit', '900123456-8', {}, '900123456-8'],
+    ['nit', '9001234568', {}, '900123456-8'],
+    ['nit', '800 197 268-4', {}, '800197268-4'],
+    ['nit', '900.123.456-7', {}, undefined],
+    ['nit', '12345', {}, undefined],
+    ['cedula', '1.020.304.050', {}, '1020304050'],
+    ['cedula', '12a456', {}, undefined],
+    ['date', '15/03/2024', {}, '2024-03-15'],
+    ['date', '2024-03-15', {}, '2024-03-15'],
+    ['date', '29/02/2024', {}, '2024-02-29'],
+    ['date', '31/02/2024', {}, undefined],
+    ['date', '29/02/2023', {}, undefined],
+    ['date', '03/15/2024', { locale: 'en-US' }, '2024-03-15'],
+    ['date', '15/03/2024', { max: '2024-01-01' }, undefined],
+    ['number', '3,5', {}, 3.5],
+    ['number', '42', { integer: true, min: 1, max: 100 }, 42],
+    ['number', '3,5', { integer: true }, undefined],
+    ['number', '0', { min: 1 }, undefined],
+    ['number', 'diez', {}, undefined],
+    ['choice', '2', { options: ['Rojo', 'Verde', 'Azul'] }, 'Verde'],
+    ['choice', 'azul', { options: ['Rojo', 'Verde', 'Azul'] }, 'Azul'],
+    ['choice', '4', { options: ['Rojo', 'Verde', 'Azul'] }, undefined],
+    ['email', 'Ana@Correo.COM', {}, 'ana@correo.com'],
+    ['email', 'ana@', {}, undefined],
+    ['phone', '+57 300-123 4567', {}, '+573001234567'],
+    ['phone', '300 123', {}, undefined],
+    ['url', 'tienda.com/catalogo', {}, 'https://tienda.com/catalogo'],
+    ['url', 'localhost', {}, undefined],
+    ['regex', 'AB-123', { pattern: '^[A-Z]{2}-\\d{3}$' }, 'AB-123'],
+    ['regex', 'ab-123', { pattern: '[' }, undefined]
+]
+
+for (const [type, input, rules, expected] of CASES) {
+    test(`${type}: "${input}" ${expected === undefined ? 'es inválido' : `→ ${expected}`}`, () => {
+        const result = FIELD_VALIDATORS[type](input, rules)
+        if (expected === undefined) {
+            assert.equal(result.isValid, false)
+            assert.equal(result.value, null)
+            assert.ok(result.error)
+        } else {
+            assert.deepEqual(result, { isValid: true, value: expected, error: null })
+        }
+    })
+}
+
+test('nitCheckDigit calcula el dígito de verificación de la DIAN', () => {
+    assert.equal(nitCheckDigit('900123456'), 8)
+    assert.equal(nitCheckDigit('800197268'), 4)
+})
+
+test('parseDate respeta el orden y el separador del formato', () => {
+    assert.equal(parseDate('5.3.2024', 'DD.MM.YYYY'), '2024-03-05')
+    assert.equal(parseDate('5/3/2024', 'DD.MM.YYYY'), null)
+})
+
+test('checkLengthRules aplica a cualquier tipo', () => {
+    assert.equal(checkLengthRules('abc', { min_length: 2, max_length: 5 }), null)
+    assert.equal(checkLengthRules('a', { min_length: 2 }).isValid, false)
+    assert.equal(checkLengthRules('abcdef', { max_length: 5 }).isValid, false)
+})
+
+test('un campo de archivo nunca acepta texto', () => {
+    assert.match(FIELD_VALIDATORS.media('hola', { kinds: ['image'] }).error, /una foto/)
+})
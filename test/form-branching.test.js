@@ -0,0 +1,106 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    END_OF_FORM,
+    evaluateCondition,
+    shouldAskField,
+    getFirstFieldIndex,
+    getNextFieldIndex,
+    getAnsweredPath,
+    getPendingFieldIndex
+} from '../src/utils/form-branching.js'
+
+const answers = { tipo: 'Empresa', ciudad: 'Bogotá', edad: '30', vacio: '' }
+
+// [operador, campo, valor, resultado]
+const OPERATOR_CASES = [
+    ['equals', 'tipo', 'empresa', true],
+    ['equals', 'ciudad', 'bogota', true],
+    ['equals', 'tipo', 'persona', false],
+    ['not_equals', 'tipo', 'persona', true],
+    ['not_equals', 'tipo', 'EMPRESA', false],
+    ['contains', 'ciudad', 'gota', true],
+    ['contains', 'ciudad', 'cali', false],
+    ['in', 'ciudad', ['Cali', 'Bogotá'], true],
+    ['in', 'ciudad', ['Cali', 'Medellín'], false],
+    ['not_in', 'ciudad', ['Cali', 'Medellín'], true],
+    ['not_in', 'ciudad', ['bogota'], false],
+    ['empty', 'vacio', undefined, true],
+    ['empty', 'no_respondido', undefined, true],
+    ['empty', 'tipo', undefined, false],
+    ['not_empty', 'tipo', undefined, true],
+    ['not_empty', 'vacio', undefined, false],
+    ['gt', 'edad', 18, true],
+    ['gt', 'edad', 30, false],
+    ['lt', 'edad', 31, true],
+    ['lt', 'edad', 30, false],
+    ['desconocido', 'tipo', 'empresa', false]
+]
+
+for (const [operator, field, value, expected] of OPERATOR_CASES) {
+    test(`${operator}: ${field} ${JSON.stringify(value) ?? ''} → ${expected}`, () => {
+        assert.equal(evaluateCondition({ field, operator, value }, answers), expected)
+    })
+}
+
+test('sin operador se compara por igualdad', () => {
+    assert.equal(evaluateCondition({ field: 'tipo', value: 'empresa' }, answers), true)
+})
+
+test('show_if con match all y any', () => {
+    const rules = [
+        { field: 'tipo', operator: 'equals', value: 'empresa' },
+        { field: 'ciudad', operator: 'equals', value: 'Cali' }
+    ]
+    assert.equal(shouldAskField({ conditions: { show_if: rules } }, answers), false)
+    assert.equal(shouldAskField({ conditions: { show_if: rules, match: 'any' } }, answers), true)
+    assert.equal(shouldAskField({ field_name: 'sin_condiciones' }, answers), true)
+})
+
+// tipo → (empresa) nit → email; (persona) salta a email; "ninguno" termina el formulario
+const fields = [
+    {
+        field_name: 'tipo',
+        conditions: {
+            next: [
+                { field: 'tipo', operator: 'equals', value: 'persona', goto: 'email' },
+                { field: 'tipo', operator: 'equals', value: 'ninguno', goto: END_OF_FORM }
+            ]
+        }
+    },
+    { field_name: 'nit', conditions: { show_if: [{ field: 'tipo', operator: 'equals', value: 'empresa' }] } },
+    { field_name: 'cedula', conditions: { show_if: [{ field: 'tipo', operator: 'equals', value: 'persona' }] } },
+    { field_name: 'email' }
+]
+
+test('el siguiente campo respeta saltos, fin de formulario y show_if', () => {
+    assert.equal(getFirstFieldIndex(fields), 0)
+    assert.equal(getNextFieldIndex(fields, 0, { tipo: 'empresa' }), 1)
+    assert.equal(getNextFieldIndex(fields, 0, { tipo: 'persona' }), 3)
+    assert.equal(getNextFieldIndex(fields, 0, { tipo: 'ninguno' }), -1)
+    assert.equal(getNextFieldIndex(fields, 1, { tipo: 'empresa' }), 3)
+    assert.equal(getNextFieldIndex(fields, 3, { tipo: 'empresa' }), -1)
+})
+
+test('un salto hacia atrás o a un campo inexistente se ignora', () => {
+    const backwards = [
+        { field_name: 'a' },
+        { field_name: 'b', conditions: { next: [{ field: 'b', operator: 'not_empty', goto: 'a' }] } },
+        { field_name: 'c', conditions: { next: [{ field: 'c', operator: 'not_empty', goto: 'no_existe' }] } },
+        { field_name: 'd' }
+    ]
+    assert.equal(getNextFieldIndex(backwards, 1, { b: 'x' }), 2)
+    assert.equal(getNextFieldIndex(backwards, 2, { c: 'x' }), 3)
+})
+
+test('el recorrido y el campo pendiente cambian al corregir una respuesta', () => {
+    const empresa = { tipo: 'empresa', nit: '900123456-8' }
+    assert.deepEqual(getAnsweredPath(fields, empresa).map(field => field.field_name), ['tipo', 'nit'])
+    assert.equal(getPendingFieldIndex(fields, empresa), 3)
+
+    // Al pasar a persona el NIT deja de aplicar y se salta directo al correo
+    const persona = { ...empresa, tipo: 'persona' }
+    assert.deepEqual(getAnsweredPath(fields, persona).map(field => field.field_name), ['tipo'])
+    assert.equal(getPendingFieldIndex(fields, persona), 3)
+    assert.equal(getPendingFieldIndex(fields, { ...persona, email: 'ana@correo.com' }), -1)
+})
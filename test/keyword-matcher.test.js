@@ -0,0 +1,56 @@
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { MATCH_MODES, matchKeyword, rankFlowMatches } from '../src/utils/keyword-matcher.js'
+
+const matches = (keyword, message, mode, threshold) => matchKeyword(keyword, message, mode, threshold) !== null
+
+test('exact compara el mensaje completo sin tildes, mayúsculas ni puntuación', () => {
+    assert.equal(matches('Menú', 'menu!', MATCH_MODES.EXACT), true)
+    assert.equal(matches('menu', '  MENÚ  ', MATCH_MODES.EXACT), true)
+    assert.equal(matches('menu', 'ver menu', MATCH_MODES.EXACT), false)
+    assert.equal(matches('', 'menu', MATCH_MODES.EXACT), false)
+})
+
+test('starts_with exige la keyword como primeras palabras', () => {
+    assert.equal(matches('hola', 'Hola, buenos días', MATCH_MODES.STARTS_WITH), true)
+    assert.equal(matches('hola', 'holanda', MATCH_MODES.STARTS_WITH), false)
+})
+
+test('contains busca la keyword como palabras completas', () => {
+    assert.equal(matches('precio', '¿Cuál es el PRECIO?', MATCH_MODES.CONTAINS), true)
+    assert.equal(matches('envio gratis', 'hay envío gratis a Cali', MATCH_MODES.CONTAINS), true)
+    assert.equal(matches('precio', 'preciosa', MATCH_MODES.CONTAINS), false)
+})
+
+test('fuzzy tolera errores según la longitud o el umbral del flujo', () => {
+    assert.equal(matchKeyword('menu', 'mnu', MATCH_MODES.FUZZY).distance, 1)
+    assert.equal(matches('menu', 'meun', MATCH_MODES.FUZZY), false)
+    assert.equal(matches('menu', 'meun', MATCH_MODES.FUZZY, 2), true)
+    assert.equal(matches('horario', 'quiero el horaro por favor', MATCH_MODES.FUZZY), true)
+    assert.equal(matches('horario', 'quiero el precio', MATCH_MODES.FUZZY), false)
+})
+
+test('regex coincide con y sin tildes en el patrón y en el mensaje', () => {
+    assert.equal(matches('envío', 'cual es el envio', MATCH_MODES.REGEX), true)
+    assert.equal(matches('envio', 'cuál es el envío', MATCH_MODES.REGEX), true)
+    assert.equal(matches('precio|envío', 'ENVÍO', MATCH_MODES.REGEX), true)
+    assert.equal(matches('^\\d{3}$', '123', MATCH_MODES.REGEX), true)
+    assert.equal(matches('^\\S+$', 'hola mundo', MATCH_MODES.REGEX), false)
+    assert.equal(matches('^pedido \\d+$', 'pedido 45', MATCH_MODES.REGEX), true)
+})
+
+test('regex con un patrón inválido no coincide ni lanza error', () => {
+    const error = mock.method(console, 'error', () => {})
+    assert.equal(matchKeyword('precio(', 'precio', MATCH_MODES.REGEX), null)
+    assert.equal(error.mock.callCount(), 1)
+    error.mock.restore()
+})
+
+test('rankFlowMatches prefiere el modo más estricto', () => {
+    const flows = [
+        { id: 'b', keyword: ['menu'], match_mode: MATCH_MODES.FUZZY },
+        { id: 'a', keyword: ['menu'], match_mode: MATCH_MODES.CONTAINS },
+        { id: 'c', keyword: ['precio'], match_mode: MATCH_MODES.EXACT }
+    ]
+    assert.deepEqual(rankFlowMatches(flows, 'ver el menu').map(match => match.flow.id), ['a', 'b'])
+})
@@ -0,0 +1,43 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { estimateTokens, fitToBudget, prioritizeKnowledge, selectFullKnowledge } from '../src/services/ai/knowledge-budget.js'
+
+const prompt = (id, tokens, extra = {}) => ({ id, prompt_text: 'x'.repeat(tokens * 4), ...extra })
+
+test('estimateTokens cuenta ~4 caracteres por token', () => {
+    assert.equal(estimateTokens(''), 0)
+    assert.equal(estimateTokens('abcd'), 1)
+    assert.equal(estimateTokens('abcde'), 2)
+})
+
+test('fitToBudget salta lo que no cabe y sigue con fragmentos más cortos', () => {
+    const { selected, tokens } = fitToBudget([prompt('a', 60), prompt('b', 50), prompt('c', 30)], 100)
+    assert.deepEqual(selected.map(item => item.id), ['a', 'c'])
+    assert.equal(tokens, 90)
+})
+
+test('prioritizeKnowledge pone primero los prompts manuales y luego cada archivo en su orden', () => {
+    const ordered = prioritizeKnowledge([
+        prompt('archivo-2', 1, { source: 'catalogo', chunk_index: 1, created_at: '2024-03-01' }),
+        prompt('manual-viejo', 1, { source: null, created_at: '2024-01-01' }),
+        prompt('archivo-1', 1, { source: 'catalogo', chunk_index: 0, created_at: '2024-03-01' }),
+        prompt('manual-nuevo', 1, { source: null, created_at: '2024-02-01' })
+    ])
+    assert.deepEqual(ordered.map(item => item.id), ['manual-nuevo', 'manual-viejo', 'archivo-1', 'archivo-2'])
+})
+
+test('el conocimiento completo de respaldo no pasa del presupuesto', () => {
+    const prompts = Array.from({ length: 200 }, (_, index) =>
+        prompt(`p${index}`, 10 + (index % 7) * 40, { source: index % 3 ? 'catalogo' : null, chunk_index: index }))
+    const total = prompts.reduce((sum, item) => sum + estimateTokens(item.prompt_text), 0)
+
+    for (const budget of [0, 50, 1500]) {
+        const { selected, tokens } = selectFullKnowledge(prompts, budget)
+        const used = selected.reduce((sum, item) => sum + estimateTokens(item.prompt_text), 0)
+        assert.equal(used, tokens)
+        assert.ok(tokens <= budget && tokens < total)
+    }
+
+    // Con presupuesto de sobra entra todo
+    assert.equal(selectFullKnowledge(prompts, total).selected.length, prompts.length)
+})
@@ -0,0 +1,100 @@
+import { test, mock, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { messageBuffer } from '../src/utils/message-buffer.js'
+
+const WINDOW = messageBuffer.quietWindow
+const message = (from, body) => ({ from, body, key: { id: `${from}-${body}` } })
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] })
+    messageBuffer.clear()
+})
+
+afterEach(() => {
+    messageBuffer.clear()
+    mock.timers.reset()
+    mock.restoreAll()
+})
+
+test('entrega el mensaje cuando vence la ventana de silencio', () => {
+    const onFlush = mock.fn()
+    messageBuffer.add('573001', message('573001', 'hola'), onFlush)
+
+    mock.timers.tick(WINDOW - 1)
+    assert.equal(onFlush.mock.callCount(), 0)
+    assert.equal(messageBuffer.has('573001'), true)
+
+    mock.timers.tick(1)
+    assert.equal(onFlush.mock.callCount(), 1)
+    assert.equal(onFlush.mock.calls[0].arguments[0].body, 'hola')
+    assert.equal(messageBuffer.has('573001'), false)
+})
+
+test('cada mensaje nuevo reinicia la ventana y se combinan en uno', () => {
+    const onFlush = mock.fn()
+    const merged = mock.fn()
+    messageBuffer.on('merged', merged)
+
+    messageBuffer.add('573001', message('573001', 'hola'), onFlush)
+    mock.timers.tick(WINDOW - 1)
+    messageBuffer.add('573001', message('573001', ''), onFlush)
+    mock.timers.tick(WINDOW - 1)
+    messageBuffer.add('573001', message('573001', 'quiero precios'), onFlush)
+    mock.timers.tick(WINDOW - 1)
+    assert.equal(onFlush.mock.callCount(), 0)
+
+    mock.timers.tick(1)
+    assert.equal(onFlush.mock.callCount(), 1)
+    const [ctx] = onFlush.mock.calls[0].arguments
+    assert.equal(ctx.body, 'hola\nquiero precios')
+    // El contexto base es el del último mensaje
+    assert.deepEqual(ctx.key, { id: '573001-quiero precios' })
+    assert.deepEqual(merged.mock.calls[0].arguments, ['573001', 3])
+    messageBuffer.off('merged', merged)
+})
+
+test('al llegar al máximo de mensajes se entrega sin esperar', () => {
+    const onFlush = mock.fn()
+    for (let index = 1; index <= messageBuffer.maxMessages; index++) {
+        messageBuffer.add('573001', message('573001', `m${index}`), onFlush)
+    }
+
+    assert.equal(onFlush.mock.callCount(), 1)
+    assert.equal(onFlush.mock.calls[0].arguments[0].body.split('\n').length, messageBuffer.maxMessages)
+    mock.timers.tick(WINDOW)
+    assert.equal(onFlush.mock.callCount(), 1)
+})
+
+test('los contactos se agrupan por separado', () => {
+    const first = mock.fn()
+    const second = mock.fn()
+
+    messageBuffer.add('573001', message('573001', 'hola'), first)
+    mock.timers.tick(WINDOW / 2)
+    messageBuffer.add('573002', message('573002', 'buenas'), second)
+    messageBuffer.add('573002', message('573002', 'info'), second)
+    assert.equal(messageBuffer.getStats().pending, 2)
+
+    mock.timers.tick(WINDOW / 2)
+    assert.equal(first.mock.callCount(), 1)
+    assert.equal(first.mock.calls[0].arguments[0].body, 'hola')
+    assert.equal(second.mock.callCount(), 0)
+
+    mock.timers.tick(WINDOW / 2)
+    assert.equal(second.mock.callCount(), 1)
+    assert.equal(second.mock.calls[0].arguments[0].body, 'buenas\ninfo')
+    assert.equal(messageBuffer.getStats().pending, 0)
+})
+
+test('un error al procesar no deja el buffer del contacto ocupado', async () => {
+    mock.method(console, 'error', () => {})
+    const onFlush = mock.fn(async () => { throw new Error('falló') })
+
+    messageBuffer.add('573001', message('573001', 'hola'), onFlush)
+    mock.timers.tick(WINDOW)
+    await Promise.resolve()
+
+    assert.equal(onFlush.mock.callCount(), 1)
+    assert.equal(messageBuffer.has('573001'), false)
+    assert.equal(console.error.mock.callCount(), 1)
+})
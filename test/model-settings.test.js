@@ -0,0 +1,72 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateAISettings, resolveModelSettings, getModelLimits } from '../src/services/ai/model-settings.js'
+import { CONFIG } from '../src/config/constants.js'
+
+const openai = { name: 'openai', defaultModel: 'gpt-4o' }
+const anthropic = { name: 'anthropic', defaultModel: 'claude-3-5-haiku-latest' }
+
+test('sin model se valida contra el límite del modelo por defecto del proveedor', () => {
+    const limit = getModelLimits(CONFIG.AI_PROVIDERS.DEFAULT_MODELS.openai).maxTokens
+    assert.equal(validateAISettings({ max_tokens: limit }, 'openai').isValid, true)
+
+    const { isValid, errors } = validateAISettings({ max_tokens: limit + 1 }, 'openai')
+    assert.equal(isValid, false)
+    assert.match(errors[0], new RegExp(`between 1 and ${limit} for ${CONFIG.AI_PROVIDERS.DEFAULT_MODELS.openai}`))
+})
+
+test('el canal hereda el modelo del nivel superior o usa el suyo', () => {
+    assert.equal(validateAISettings({ model: 'gpt-3.5-turbo', audio: { max_tokens: 5000 } }, 'openai').isValid, false)
+    assert.equal(validateAISettings({ model: 'gpt-3.5-turbo', audio: { model: 'gpt-4o', max_tokens: 5000 } }, 'openai').isValid, true)
+    assert.deepEqual(validateAISettings({ text: { max_tokens: 0 } }, 'openai').errors.map(error => error.split(' ')[0]), ['text.max_tokens'])
+})
+
+test('un modelo desconocido usa el límite por defecto', () => {
+    assert.equal(getModelLimits('modelo-nuevo').maxTokens, 4096)
+    assert.equal(validateAISettings({ model: 'modelo-nuevo', max_tokens: 4096 }, 'local').isValid, true)
+    assert.equal(validateAISettings({ model: 'modelo-nuevo', max_tokens: 4097 }, 'local').isValid, false)
+})
+
+test('los rangos dependen del proveedor y los valores deben ser números', () => {
+    assert.equal(validateAISettings({ temperature: 1.5 }, 'openai').isValid, true)
+    assert.deepEqual(validateAISettings({ temperature: 1.5 }, 'anthropic').errors, ['temperature must be between 0 and 1'])
+    assert.deepEqual(validateAISettings({ top_p: 'alto', max_tokens: 2.5 }, 'openai').errors, [
+        'max_tokens must be an integer between 1 and 16384 for gpt-4o',
+        'top_p must be a number'
+    ])
+    assert.deepEqual(validateAISettings({ system_preamble: 3 }, 'openai').errors, ['system_preamble must be a string'])
+})
+
+test('resolveModelSettings combina valores por defecto, chatbot y canal', () => {
+    const chatbot = { ai_settings: { temperature: 0.2, audio: { temperature: 0.1, model: 'gpt-4o-mini' } } }
+
+    assert.deepEqual(resolveModelSettings(chatbot, openai, 'text'), {
+        model: 'gpt-4o',
+        temperature: 0.2,
+        maxTokens: CONFIG.AI_CONFIG.MAX_TOKENS,
+        topP: CONFIG.AI_CONFIG.TOP_P,
+        presencePenalty: CONFIG.AI_CONFIG.PRESENCE_PENALTY,
+        frequencyPenalty: CONFIG.AI_CONFIG.FREQUENCY_PENALTY,
+        systemPreamble: ''
+    })
+
+    const audio = resolveModelSettings(chatbot, openai, 'audio')
+    assert.equal(audio.model, 'gpt-4o-mini')
+    assert.equal(audio.temperature, 0.1)
+    assert.equal(audio.maxTokens, CONFIG.AI_CONFIG.AUDIO_MAX_TOKENS)
+})
+
+test('resolveModelSettings ajusta los valores fuera de rango al límite', () => {
+    const settings = resolveModelSettings({
+        ai_settings: { temperature: 1.8, max_tokens: 100000, top_p: -1, presence_penalty: 5 }
+    }, anthropic)
+
+    assert.equal(settings.temperature, 1)
+    assert.equal(settings.maxTokens, getModelLimits('claude-3-5-haiku-latest').maxTokens)
+    assert.equal(settings.topP, 0)
+    assert.equal(settings.presencePenalty, 2)
+
+    // Un modelo desconocido se limita al máximo por defecto y max_tokens inválido vuelve al valor por defecto
+    assert.equal(resolveModelSettings({ ai_settings: { model: 'modelo-nuevo', max_tokens: 9000 } }, openai).maxTokens, 4096)
+    assert.equal(resolveModelSettings({ ai_settings: { max_tokens: 'mucho' } }, openai).maxTokens, CONFIG.AI_CONFIG.MAX_TOKENS)
+})
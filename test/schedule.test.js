@@ -0,0 +1,76 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getLocalTime, isWithinBusinessHours } from '../src/utils/schedule.js'
+
+// America/Bogota es UTC-5 todo el año: 15:00Z son las 10:00 locales
+const at = (iso) => new Date(iso)
+
+const schedule = (overrides = {}) => ({
+    timezone: 'America/Bogota',
+    weekly_schedule: {
+        mon: [{ start: '09:00', end: '18:00' }],
+        fri: [{ start: '20:00', end: '02:00' }]
+    },
+    holidays: [],
+    ...overrides
+})
+
+test('getLocalTime convierte a la zona horaria indicada', () => {
+    // Lunes 03:30Z es todavía domingo en Bogotá y ya lunes en Tokio
+    assert.deepEqual(getLocalTime(at('2025-01-06T03:30:00Z'), 'America/Bogota'), {
+        day: 'sun',
+        isoDate: '2025-01-05',
+        minutes: 22 * 60 + 30
+    })
+    assert.deepEqual(getLocalTime(at('2025-01-06T03:30:00Z'), 'Asia/Tokyo'), {
+        day: 'mon',
+        isoDate: '2025-01-06',
+        minutes: 12 * 60 + 30
+    })
+    assert.equal(getLocalTime(at('2025-01-06T05:00:00Z'), 'America/Bogota').minutes, 0)
+})
+
+test('dentro y fuera de un rango del mismo día', () => {
+    assert.equal(isWithinBusinessHours(schedule(), at('2025-01-06T15:00:00Z')), true)  // lun 10:00
+    assert.equal(isWithinBusinessHours(schedule(), at('2025-01-06T14:00:00Z')), true)  // lun 09:00, inicio incluido
+    assert.equal(isWithinBusinessHours(schedule(), at('2025-01-06T23:00:00Z')), false) // lun 18:00, fin excluido
+    assert.equal(isWithinBusinessHours(schedule(), at('2025-01-07T15:00:00Z')), false) // mar sin horario
+})
+
+test('rango que cruza la medianoche y su continuación al día siguiente', () => {
+    assert.equal(isWithinBusinessHours(schedule(), at('2025-01-11T01:00:00Z')), true)  // vie 20:00
+    assert.equal(isWithinBusinessHours(schedule(), at('2025-01-11T04:00:00Z')), true)  // vie 23:00
+    assert.equal(isWithinBusinessHours(schedule(), at('2025-01-11T06:30:00Z')), true)  // sáb 01:30
+    assert.equal(isWithinBusinessHours(schedule(), at('2025-01-11T07:00:00Z')), false) // sáb 02:00
+    assert.equal(isWithinBusinessHours(schedule(), at('2025-01-10T06:30:00Z')), false) // vie 01:30, el jueves no abre
+})
+
+test('los festivos cierran todo el día, en fecha local', () => {
+    const holidays = schedule({ holidays: ['2025-01-06'] })
+    assert.equal(isWithinBusinessHours(holidays, at('2025-01-06T15:00:00Z')), false)
+    assert.equal(isWithinBusinessHours(schedule({ holidays: ['2025-01-06T00:00:00Z'] }), at('2025-01-06T15:00:00Z')), false)
+    // 2025-01-07T03:00Z sigue siendo el lunes festivo en Bogotá
+    assert.equal(isWithinBusinessHours(schedule({
+        holidays: ['2025-01-06'],
+        weekly_schedule: { mon: [{ start: '00:00', end: '24:00' }], tue: [{ start: '00:00', end: '24:00' }] }
+    }), at('2025-01-07T03:00:00Z')), false)
+})
+
+test('los rangos con horas inválidas se ignoran', () => {
+    for (const range of [
+        { start: '9am', end: '18:00' },
+        { start: '09:00', end: '' },
+        { start: '25:00', end: '26:00' },
+        { start: '09:75', end: '18:00' },
+        {}
+    ]) {
+        assert.equal(isWithinBusinessHours(schedule({ weekly_schedule: { mon: [range] } }), at('2025-01-06T15:00:00Z')), false, JSON.stringify(range))
+    }
+    assert.equal(isWithinBusinessHours(schedule({ weekly_schedule: { mon: [{ start: '9:00', end: '24:00' }] } }), at('2025-01-07T04:30:00Z')), true) // lun 23:30
+})
+
+test('sin zona horaria se usa America/Bogota', () => {
+    const noTimezone = schedule({ timezone: null })
+    assert.equal(isWithinBusinessHours(noTimezone, at('2025-01-06T15:00:00Z')), true)
+    assert.equal(isWithinBusinessHours(noTimezone, at('2025-01-06T10:00:00Z')), false) // lun 05:00
+})
@@ -0,0 +1,84 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { replaceSourceRows } from '../src/services/knowledge/source-replacement.js'
+
+// Cliente con la interfaz de consultas de Supabase sobre una tabla en memoria
+const createClient = (rows, { failOn } = {}) => {
+    const table = rows.map(row => ({ ...row }))
+    let nextId = 100
+
+    const from = () => {
+        const query = { op: 'select', filters: [] }
+        const matches = (row) => query.filters.every(([column, accepts]) => accepts(row[column]))
+        const run = () => {
+            if (query.op === failOn) {
+                return { data: null, error: { message: `${query.op} falló` } }
+            }
+            if (query.op === 'insert') {
+                const added = query.values.map(values => ({ ...values, id: nextId++ }))
+                table.push(...added)
+                return { data: added, error: null }
+            }
+            if (query.op === 'update') {
+                table.filter(matches).forEach(row => Object.assign(row, query.values))
+                return { data: null, error: null }
+            }
+            if (query.op === 'delete') {
+                const removed = table.filter(matches)
+                removed.forEach(row => table.splice(table.indexOf(row), 1))
+                return { data: removed, error: null }
+            }
+            return { data: table.filter(matches), error: null }
+        }
+
+        const builder = {
+            select: () => builder,
+            insert: (values) => Object.assign(query, { op: 'insert', values }) && builder,
+            update: (values) => Object.assign(query, { op: 'update', values }) && builder,
+            delete: () => Object.assign(query, { op: 'delete' }) && builder,
+            eq: (column, value) => query.filters.push([column, item => item === value]) && builder,
+            in: (column, values) => query.filters.push([column, item => values.includes(item)]) && builder,
+            then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+        }
+        return builder
+    }
+
+    return { from, table }
+}
+
+const previousRows = [
+    { id: 1, chatbot_id: 'bot-1', source: 'catalogo', prompt_text: 'v1 a', is_active: true },
+    { id: 2, chatbot_id: 'bot-1', source: 'catalogo', prompt_text: 'v1 b', is_active: true },
+    { id: 3, chatbot_id: 'bot-1', source: 'precios', prompt_text: 'otro', is_active: true }
+]
+const newRows = [
+    { chatbot_id: 'bot-1', source: 'catalogo', prompt_text: 'v2 a', is_active: false },
+    { chatbot_id: 'bot-1', source: 'catalogo', prompt_text: 'v2 b', is_active: false }
+]
+const params = { chatbotId: 'bot-1', source: 'catalogo', rows: newRows }
+
+test('los fragmentos nuevos se activan y los anteriores se borran', async () => {
+    const client = createClient(previousRows)
+    const result = await replaceSourceRows(client, 'knowledge_prompts', params)
+
+    assert.deepEqual(result, { inserted: 2, removed: 2 })
+    assert.deepEqual(client.table.map(row => [row.prompt_text, row.is_active]), [
+        ['otro', true],
+        ['v2 a', true],
+        ['v2 b', true]
+    ])
+})
+
+test('si falla la activación se conserva la versión anterior', async () => {
+    const client = createClient(previousRows, { failOn: 'update' })
+
+    await assert.rejects(replaceSourceRows(client, 'knowledge_prompts', params), /update falló/)
+    assert.deepEqual(client.table, previousRows)
+})
+
+test('si falla el borrado quedan ambas versiones activas, nunca la fuente vacía', async () => {
+    const client = createClient(previousRows, { failOn: 'delete' })
+
+    await assert.rejects(replaceSourceRows(client, 'knowledge_prompts', params), /delete falló/)
+    assert.equal(client.table.filter(row => row.source === 'catalogo' && row.is_active).length, 4)
+})
@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { renderTemplate, renderMessages, messagesHaveTemplates, hasTemplateTags } from '../src/utils/template.js'
+
+const variables = { name: 'Ana', ciudad: 'Bogotá', chatbot: { name: 'Tecnobot' }, productos: [], vacio: '' }
+
+test('reemplaza variables y propiedades anidadas', () => {
+    assert.equal(renderTemplate('Hola {{name}}, soy {{ chatbot.name }}', variables), 'Hola Ana, soy Tecnobot')
+})
+
+test('las variables sin valor quedan vacías o con su valor por defecto', () => {
+    assert.equal(renderTemplate('Hola {{apellido}}!', variables), 'Hola !')
+    assert.equal(renderTemplate('Hola {{chatbot.owner.name}}!', variables), 'Hola !')
+    assert.equal(renderTemplate('Hola {{apellido | "amigo"}}', variables), 'Hola amigo')
+    assert.equal(renderTemplate("Hola {{vacio | 'amiga'}}", variables), 'Hola amiga')
+    assert.equal(renderTemplate('Hola {{productos | cliente }}', variables), 'Hola cliente')
+    assert.equal(renderTemplate('Hola {{name | "amigo"}}', variables), 'Hola Ana')
+})
+
+test('condicionales con else y comparaciones sin distinguir mayúsculas', () => {
+    assert.equal(renderTemplate('{{#if ciudad}}En {{ciudad}}{{else}}Sin ciudad{{/if}}', variables), 'En Bogotá')
+    assert.equal(renderTemplate('{{#if productos}}Hay{{else}}Nada{{/if}}', variables), 'Nada')
+    assert.equal(renderTemplate('{{#if ciudad == "bogotá"}}Local{{/if}}', variables), 'Local')
+    assert.equal(renderTemplate("{{#if ciudad != 'Cali'}}Fuera de Cali{{/if}}", variables), 'Fuera de Cali')
+    assert.equal(renderTemplate('{{#if ciudad == Cali}}Cali{{else}}Otra{{/if}}', variables), 'Otra')
+})
+
+test('condicionales anidados se resuelven de adentro hacia afuera', () => {
+    const template = '{{#if name}}Hola {{name}}{{#if ciudad == "Bogotá"}} de Bogotá{{else}} de otra ciudad{{/if}}{{else}}Hola{{/if}}.'
+    assert.equal(renderTemplate(template, variables), 'Hola Ana de Bogotá.')
+    assert.equal(renderTemplate(template, { ...variables, ciudad: 'Cali' }), 'Hola Ana de otra ciudad.')
+    assert.equal(renderTemplate(template, {}), 'Hola.')
+
+    const inElse = '{{#if vip}}VIP{{else}}{{#if name}}Cliente {{name}}{{/if}}{{/if}}'
+    assert.equal(renderTemplate(inElse, variables), 'Cliente Ana')
+})
+
+test('un texto sin etiquetas se devuelve igual', () => {
+    assert.equal(hasTemplateTags('Hola'), false)
+    assert.equal(renderTemplate('Hola', variables), 'Hola')
+    assert.equal(renderTemplate(undefined, variables), undefined)
+})
+
+test('renderMessages respeta el formato de flowDynamic', () => {
+    const messages = ['Hola {{name}}', { body: 'Ciudad: {{ciudad}}', media: 'a.jpg' }, { media: 'b.jpg' }]
+    assert.equal(messagesHaveTemplates(messages), true)
+    assert.equal(messagesHaveTemplates([{ media: 'b.jpg' }, 'Hola']), false)
+    assert.deepEqual(renderMessages(messages, variables), [
+        'Hola Ana',
+        { body: 'Ciudad: Bogotá', media: 'a.jpg' },
+        { media: 'b.jpg' }
+    ])
+})
@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { chunkText } from '../src/utils/text-chunker.js'
+
+const sentences = (count) => Array.from({ length: count }, (_, index) => `Oración número ${index + 1} del catálogo.`).join(' ')
+
+test('ningún fragmento supera el tamaño', () => {
+    for (const [size, overlap] of [[120, 40], [200, 0], [80, 79]]) {
+        const chunks = chunkText(sentences(40), { size, overlap })
+        assert.ok(chunks.length > 1)
+        for (const chunk of chunks) {
+            assert.ok(chunk.length <= size, `${chunk.length} > ${size}`)
+        }
+    }
+})
+
+test('cada fragmento repite las últimas oraciones del anterior', () => {
+    const chunks = chunkText(sentences(20), { size: 150, overlap: 60 })
+    for (let index = 1; index < chunks.length; index++) {
+        const previousLines = chunks[index - 1].split('\n')
+        assert.equal(chunks[index].split('\n')[0], previousLines[previousLines.length - 1])
+    }
+})
+
+test('el solapamiento se recorta para que quepa la siguiente oración', () => {
+    const long = 'b'.repeat(70) + '.'
+    const chunks = chunkText(`Corta uno. Corta dos. ${long}`, { size: 90, overlap: 30 })
+    assert.deepEqual(chunks, ['Corta uno.\nCorta dos.', `Corta dos.\n${long}`])
+
+    // Sin espacio para repetir nada, el fragmento siguiente empieza con la oración nueva
+    const tight = chunkText(`Corta uno. ${'c'.repeat(85)}.`, { size: 90, overlap: 30 })
+    assert.deepEqual(tight, ['Corta uno.', `${'c'.repeat(85)}.`])
+})
+
+test('un texto sin pausas se corta a la fuerza con solapamiento', () => {
+    const text = 'x'.repeat(250)
+    const chunks = chunkText(text, { size: 100, overlap: 20 })
+    assert.ok(chunks.every(chunk => chunk.length <= 100))
+    assert.equal(chunks[0], 'x'.repeat(100))
+    assert.ok(chunks.join('').length >= text.length)
+})
+
+test('un texto vacío no genera fragmentos', () => {
+    assert.deepEqual(chunkText(''), [])
+    assert.deepEqual(chunkText(null), [])
+    assert.deepEqual(chunkText('Hola.'), ['Hola.'])
+})
@@ -0,0 +1,101 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { CONFIG } from '../src/config/constants.js'
+import { runToolLoop } from '../src/services/ai/tool-loop.js'
+import { createMockProvider } from '../src/services/ai/providers/mock.js'
+
+const TOOLS = [{ name: 'send_flow_media', description: 'Envía un archivo', parameters: { type: 'object', properties: {} } }]
+
+// Proveedor que devuelve las respuestas indicadas en orden y guarda cada llamada
+const createScriptedProvider = (responses) => {
+    const calls = []
+    return {
+        calls,
+        async chat(config) {
+            calls.push({ tools: config.tools, messages: [...config.messages] })
+            return { toolCalls: [], usage: null, ...responses[Math.min(calls.length - 1, responses.length - 1)] }
+        }
+    }
+}
+
+const toolCall = (id, name = 'send_flow_media', args = {}) => ({ id, name, arguments: args })
+
+test('sin herramientas responde en una sola llamada', async () => {
+    const config = { messages: [{ role: 'user', content: 'hola' }] }
+    const result = await runToolLoop(createMockProvider(), config)
+
+    assert.deepEqual(result, { response: '[mock] hola', usedTools: false, stopped: false })
+    assert.equal(config.messages.length, 1)
+})
+
+test('ejecuta las herramientas pedidas y vuelve a llamar al modelo con sus resultados', async () => {
+    const provider = createScriptedProvider([
+        { content: '', toolCalls: [toolCall('call_1', 'send_flow_media', { flow: 'catalogo' })] },
+        { content: 'Te envié el catálogo' }
+    ])
+    const executed = []
+    const config = { messages: [{ role: 'user', content: 'catálogo' }] }
+
+    const result = await runToolLoop(provider, config, {
+        tools: TOOLS,
+        executeTool: async (call) => {
+            executed.push(call)
+            return { output: { sent: true } }
+        }
+    })
+
+    assert.deepEqual(result, { response: 'Te envié el catálogo', usedTools: true, stopped: false })
+    assert.deepEqual(executed, [toolCall('call_1', 'send_flow_media', { flow: 'catalogo' })])
+    assert.deepEqual(config.messages.slice(1), [
+        {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'send_flow_media', arguments: '{"flow":"catalogo"}' } }]
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"sent":true}' }
+    ])
+    assert.equal(provider.calls[1].messages.length, 3)
+})
+
+test('una herramienta con stop termina el turno sin respuesta de texto', async () => {
+    const provider = createScriptedProvider([
+        { content: '', toolCalls: [toolCall('call_1', 'start_form'), toolCall('call_2')] }
+    ])
+    const executed = []
+
+    const result = await runToolLoop(provider, { messages: [{ role: 'user', content: 'registrarme' }] }, {
+        tools: TOOLS,
+        executeTool: async (call) => {
+            executed.push(call.id)
+            return { output: { started: true }, stop: call.name === 'start_form' }
+        }
+    })
+
+    assert.deepEqual(result, { response: '', usedTools: true, stopped: true })
+    assert.deepEqual(executed, ['call_1', 'call_2'])
+    assert.equal(provider.calls.length, 1)
+})
+
+test('en la última ronda no se ofrecen herramientas', async () => {
+    const provider = createScriptedProvider([
+        { content: '', toolCalls: [toolCall('call_x')] }
+    ])
+
+    const result = await runToolLoop(provider, { messages: [{ role: 'user', content: 'hola' }] }, {
+        tools: TOOLS,
+        executeTool: async () => ({ output: {} })
+    })
+
+    const { MAX_ROUNDS } = CONFIG.AI_TOOLS
+    assert.equal(provider.calls.length, MAX_ROUNDS + 1)
+    assert.ok(provider.calls.slice(0, MAX_ROUNDS).every(call => call.tools === TOOLS))
+    assert.deepEqual(provider.calls[MAX_ROUNDS].tools, [])
+    assert.equal(result.usedTools, true)
+})
+
+test('sin executeTool las herramientas no se ofrecen', async () => {
+    const provider = createScriptedProvider([{ content: 'ok' }])
+    await runToolLoop(provider, { messages: [{ role: 'user', content: 'hola' }] }, { tools: TOOLS })
+
+    assert.deepEqual(provider.calls[0].tools, [])
+})
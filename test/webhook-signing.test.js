@@ -0,0 +1,26 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { signPayload, getRetryDelay } from '../src/services/webhooks/signing.js'
+import { CONFIG } from '../src/config/constants.js'
+
+test('signPayload firma "<t>.<cuerpo>" con HMAC-SHA256', () => {
+    const body = JSON.stringify({ event: 'form.submitted' })
+    assert.equal(
+        signPayload('whsec_test', body, 1700000000),
+        't=1700000000,v1=6e9819ad14f809fb336dcb06009652c74887b8ba66db854978595f0fe1f1de3b'
+    )
+})
+
+test('signPayload usa la hora actual sin timestamp', () => {
+    const before = Math.floor(Date.now() / 1000)
+    const [timestamp] = signPayload('whsec_test', '{}').slice(2).split(',')
+    assert.ok(Number(timestamp) >= before)
+})
+
+test('getRetryDelay duplica la espera en cada intento hasta el máximo', () => {
+    const { BASE_DELAY, MAX_DELAY } = CONFIG.WEBHOOKS
+    assert.equal(getRetryDelay(1), BASE_DELAY)
+    assert.equal(getRetryDelay(2), BASE_DELAY * 2)
+    assert.equal(getRetryDelay(4), BASE_DELAY * 8)
+    assert.equal(getRetryDelay(20), MAX_DELAY)
+})